@@ -0,0 +1,258 @@
+/**
+ * Offline Update Bundles
+ *
+ * Reads the bundle files made by the host's Export-Bundle.js, for machines that
+ * cannot reach an update server: a tar file holding bundle.json (versions,
+ * builds, sizes, SHA-256 checksums and release info), archives/ and signatures/
+ * (see Export-Bundle.js for the layout). A client that can reach the update
+ * servers writes bundles in the same format from its downloads, so it can pass
+ * versions on to machines that cannot.
+ *
+ * A bundle is not trusted: its entries are checked against the client's extraction
+ * limits before it is extracted (see SafeExtract.js), every archive must match its
+ * checksum, then its signature is verified against the pinned public key like a
+ * downloaded one.
+ *
+ * Usage:
+ *   node Update.js install --from-file app-2.1.0.bundle.tar [VERSION]
+ *   node Update.js bundle 2.1.0 --out app-2.1.0.bundle.tar
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const SemVer = require('./SemVer');
+const { ERROR_CODES, UpdateError } = require('./Errors');
+const { DEFAULT_LIMITS, inspectArchive } = require('./SafeExtract');
+
+// Identifies bundle.json, and the newest layout this client reads
+const BUNDLE_FORMAT = 'omniupdate-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+const BUNDLE_MANIFEST = 'bundle.json';
+
+/**
+ * Computes the SHA-256 checksum of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Creates the error of a bundle that cannot be read
+ * @param {string} message - What is wrong
+ * @returns {UpdateError} INVALID_BUNDLE error
+ */
+function bundleError(message) {
+    return new UpdateError(ERROR_CODES.INVALID_BUNDLE, `Invalid bundle: ${message}`);
+}
+
+/**
+ * Checks a build listed in bundle.json
+ * @param {Object} build - Build entry
+ * @param {string} dir - Directory the bundle was extracted to
+ * @returns {string|null} What is wrong, or null if the entry is valid
+ */
+function validateBuild(build, dir) {
+    if (!build || typeof build !== 'object') {
+        return 'build entry is not an object';
+    }
+    if (!SemVer.isValid(build.version)) {
+        return `invalid version: ${build.version}`;
+    }
+    if (build.variant !== null && typeof build.variant !== 'string') {
+        return `invalid variant of ${build.version}`;
+    }
+    if (typeof build.archive !== 'string' || !/^archives\/[^/]+$/.test(build.archive) ||
+        !fs.existsSync(path.join(dir, build.archive))) {
+        return `archive of ${build.version} is missing`;
+    }
+    if (build.signature !== null && (typeof build.signature !== 'string' ||
+        !/^signatures\/[^/]+$/.test(build.signature) || !fs.existsSync(path.join(dir, build.signature)))) {
+        return `signature of ${build.version} is missing`;
+    }
+    if (!/^[0-9a-f]{64}$/.test(build.sha256) || !Number.isInteger(build.size)) {
+        return `checksum of ${build.version} is missing`;
+    }
+    return null;
+}
+
+/**
+ * Extracts a bundle and reads its manifest
+ * @param {string} bundlePath - Bundle file
+ * @param {string} dir - Empty directory to extract it to
+ * @param {Object} [limits] - Extraction limits (see SafeExtract.js); a bundle beyond them is rejected
+ *     with UNSAFE_ARCHIVE before anything is extracted
+ * @returns {Promise<Object>} app, created and builds: version, variant, info, archivePath, size, sha256
+ *     and signature (the signature document, null when unsigned)
+ */
+async function readBundle(bundlePath, dir, limits = DEFAULT_LIMITS) {
+    if (!fs.existsSync(bundlePath) || !fs.statSync(bundlePath).isFile()) {
+        throw new UpdateError(ERROR_CODES.INVALID_BUNDLE, `Bundle not found: ${bundlePath}`);
+    }
+
+    const problems = [];
+    try {
+        await inspectArchive(bundlePath, {
+            limits,
+            onEntry: (entry) => {
+                // Only bundle.json, and files directly inside archives/ and signatures/
+                const entryPath = entry.path.replace(/^\.\//, '');
+                const valid = entry.type === 'Directory'
+                    ? /^(archives|signatures)\/?$/.test(entryPath)
+                    : entry.type === 'File' && /^(bundle\.json|(archives|signatures)\/[^/.][^/]*)$/.test(entryPath);
+                if (!valid) {
+                    problems.push(entry.path);
+                }
+            }
+        });
+    } catch (error) {
+        if (error instanceof UpdateError) {
+            throw error;
+        }
+        throw bundleError(error.message);
+    }
+    if (problems.length > 0) {
+        throw bundleError(`unexpected entries: ${problems.join(', ')}`);
+    }
+
+    await tar.x({ file: bundlePath, cwd: dir, strict: true });
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(path.join(dir, BUNDLE_MANIFEST), 'utf8'));
+    } catch (error) {
+        throw bundleError(`${BUNDLE_MANIFEST} is missing or unreadable`);
+    }
+    if (!manifest || manifest.format !== BUNDLE_FORMAT || !Array.isArray(manifest.builds)) {
+        throw bundleError(`${BUNDLE_MANIFEST} is not a bundle manifest`);
+    }
+    if (!(manifest.formatVersion <= BUNDLE_FORMAT_VERSION)) {
+        throw bundleError(`format version ${manifest.formatVersion} is not supported, update the client first`);
+    }
+
+    const builds = [];
+    for (const build of manifest.builds) {
+        const problem = validateBuild(build, dir);
+        if (problem) {
+            throw bundleError(problem);
+        }
+
+        let signature = null;
+        if (build.signature) {
+            try {
+                signature = JSON.parse(fs.readFileSync(path.join(dir, build.signature), 'utf8'));
+            } catch (error) {
+                throw bundleError(`signature of ${build.version} is unreadable`);
+            }
+        }
+        builds.push({
+            version: build.version,
+            variant: build.variant,
+            info: build.info || {},
+            archivePath: path.join(dir, build.archive),
+            size: build.size,
+            sha256: build.sha256,
+            signature
+        });
+    }
+
+    return { app: manifest.app || null, created: manifest.created || null, builds };
+}
+
+/**
+ * Picks the build of a version for a platform
+ * @param {Array} builds - Builds of the bundle
+ * @param {string} version - Version
+ * @param {string} platform - Client platform (e.g. 'linux')
+ * @param {string} arch - Client architecture (e.g. 'x64')
+ * @returns {Object|null} The platform's build, else the generic one, else the build of a version
+ *     without variants; null if the bundle has none of them
+ */
+function selectBuild(builds, version, platform, arch) {
+    const candidates = builds.filter(build => build.version === version);
+    return candidates.find(build => build.variant === `${platform}-${arch}`) ||
+        candidates.find(build => build.variant === 'generic') ||
+        candidates.find(build => build.variant === null) ||
+        null;
+}
+
+/**
+ * Checks a bundled archive against its checksum
+ * @param {Object} build - Build of readBundle()
+ * @returns {Promise<void>} Rejects with VERIFICATION_FAILED when the archive was damaged
+ */
+async function verifyChecksum(build) {
+    const size = fs.statSync(build.archivePath).size;
+    if (size !== build.size || await hashFile(build.archivePath) !== build.sha256) {
+        throw new UpdateError(ERROR_CODES.VERIFICATION_FAILED,
+            `The archive of ${build.version} in the bundle is damaged (checksum mismatch)`);
+    }
+}
+
+/**
+ * Writes a bundle
+ * @param {Object} params - Parameters object
+ * @param {string|null} params.appId - Application the builds belong to (null for the default app)
+ * @param {Array} params.builds - Builds: version, variant, info, tarPath and signature (document, or null)
+ * @param {string} params.outPath - Bundle file to write
+ * @returns {Promise<string>} Path of the written bundle
+ */
+async function writeBundle({ appId, builds, outPath }) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omniupdate-bundle-'));
+    try {
+        fs.mkdirSync(path.join(workDir, 'archives'));
+        fs.mkdirSync(path.join(workDir, 'signatures'));
+
+        const entries = [];
+        for (const build of builds) {
+            const name = build.variant ? `${build.version}.${build.variant}` : build.version;
+            const archive = `archives/${name}.tar.gz`;
+            fs.copyFileSync(build.tarPath, path.join(workDir, archive));
+            const signature = build.signature ? `signatures/${name}.sig` : null;
+            if (signature) {
+                fs.writeFileSync(path.join(workDir, signature), JSON.stringify(build.signature, null, 2));
+            }
+
+            entries.push({
+                version: build.version,
+                variant: build.variant || null,
+                archive,
+                size: fs.statSync(path.join(workDir, archive)).size,
+                sha256: await hashFile(path.join(workDir, archive)),
+                signature,
+                info: build.info || {}
+            });
+        }
+
+        fs.writeFileSync(path.join(workDir, BUNDLE_MANIFEST), JSON.stringify({
+            format: BUNDLE_FORMAT,
+            formatVersion: BUNDLE_FORMAT_VERSION,
+            app: appId || null,
+            created: new Date().toISOString(),
+            builds: entries
+        }, null, 2));
+
+        fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+        await tar.c({ file: outPath, cwd: workDir, portable: true }, [BUNDLE_MANIFEST, 'archives', 'signatures']);
+        return outPath;
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    readBundle,
+    selectBuild,
+    verifyChecksum,
+    writeBundle
+};
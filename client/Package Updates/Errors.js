@@ -0,0 +1,121 @@
+/**
+ * Update Errors
+ *
+ * Failures reported by UpdateClient (rejected promises, 'error' events and the
+ * error of a check result) are UpdateErrors: an Error with a code telling what
+ * went wrong, so an embedding application can react to it (e.g. ask for a
+ * licence key on ACCESS_DENIED) without parsing messages. The original error, if
+ * any, is kept as error.cause.
+ *
+ * Usage:
+ *   client.on('error', (error) => {
+ *       if (error.code === ERROR_CODES.SERVER_UNAVAILABLE) {
+ *           showOfflineBanner();
+ *       }
+ *   });
+ */
+
+const ERROR_CODES = {
+    // Invalid client settings (servers, channel, version constraint, hooks)
+    INVALID_CONFIG: 'INVALID_CONFIG',
+    // No update server could be reached, or they all failed (5xx)
+    SERVER_UNAVAILABLE: 'SERVER_UNAVAILABLE',
+    // The server refused the client key, or requires one (401/403)
+    ACCESS_DENIED: 'ACCESS_DENIED',
+    // The server answered with an error other than the above (e.g. 400)
+    REQUEST_FAILED: 'REQUEST_FAILED',
+    // The requested version does not exist, or is not offered to this client
+    VERSION_NOT_FOUND: 'VERSION_NOT_FOUND',
+    // Not a version, 'LATEST' or a version constraint
+    INVALID_VERSION: 'INVALID_VERSION',
+    // No offered version matches the version constraint
+    NO_MATCHING_VERSION: 'NO_MATCHING_VERSION',
+    // Newer versions are offered, but none can be installed straight from the installed one
+    // (see minUpgradeFrom); error.requiredVersion names the version to install first
+    UPGRADE_PATH_REQUIRED: 'UPGRADE_PATH_REQUIRED',
+    // The version is older than the installed one and downgrades are not allowed
+    DOWNGRADE_REFUSED: 'DOWNGRADE_REFUSED',
+    // The download did not complete after every retry
+    DOWNLOAD_FAILED: 'DOWNLOAD_FAILED',
+    // The download was cancelled with cancel()
+    DOWNLOAD_CANCELLED: 'DOWNLOAD_CANCELLED',
+    // The archive is not signed by the pinned key, or does not match its signature
+    VERIFICATION_FAILED: 'VERIFICATION_FAILED',
+    // A lifecycle hook (preInstall, postInstall, healthCheck) failed
+    HOOK_FAILED: 'HOOK_FAILED',
+    // Extracting, preserving local data or swapping the new version in failed
+    INSTALL_FAILED: 'INSTALL_FAILED',
+    // The previous version could not be reinstated
+    ROLLBACK_FAILED: 'ROLLBACK_FAILED',
+    // Another process holds the update lock (see InstallState.js)
+    UPDATE_IN_PROGRESS: 'UPDATE_IN_PROGRESS',
+    // An offline bundle is missing, unreadable or for another application (see Bundles.js)
+    INVALID_BUNDLE: 'INVALID_BUNDLE',
+    // An archive entry would escape the app, is a device file or exceeds the extraction limits
+    // (see SafeExtract.js); error.entry names it
+    UNSAFE_ARCHIVE: 'UNSAFE_ARCHIVE'
+};
+
+class UpdateError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Error message
+     * @param {Object} details - (optional) Error details
+     * @param {Error} [details.cause] - Original error
+     * @param {number} [details.status] - HTTP status of the server response
+     */
+    constructor(code, message, { cause, status } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'UpdateError';
+        this.code = code;
+        if (status !== undefined) {
+            this.status = status;
+        }
+    }
+}
+
+/**
+ * Gives an error a code, keeping UpdateErrors as they are
+ * @param {Error} error - Error to convert
+ * @param {string} code - Code of errors that are not request failures (one of ERROR_CODES)
+ * @returns {UpdateError} Error with a code
+ */
+function toUpdateError(error, code) {
+    if (error instanceof UpdateError) {
+        return error;
+    }
+    if (error && (error.cancelled || error.code === 'ERR_CANCELED')) {
+        return new UpdateError(ERROR_CODES.DOWNLOAD_CANCELLED, error.message, { cause: error });
+    }
+
+    const status = error && error.response ? error.response.status : error && error.status;
+    if (status === 401 || status === 403) {
+        return new UpdateError(ERROR_CODES.ACCESS_DENIED, error.message, { cause: error, status });
+    }
+    if (status === 404) {
+        // Stream responses carry no parsed body
+        const data = error.response && error.response.data;
+        const message = data && typeof data.error === 'string' ? data.error : error.message;
+        return new UpdateError(ERROR_CODES.VERSION_NOT_FOUND, message, { cause: error, status });
+    }
+    if (status === 409) {
+        const data = error.response && error.response.data;
+        const upgradeError = new UpdateError(ERROR_CODES.UPGRADE_PATH_REQUIRED,
+            data && typeof data.error === 'string' ? data.error : error.message, { cause: error, status });
+        upgradeError.requiredVersion = (data && data.requiredVersion) || null;
+        return upgradeError;
+    }
+    if (status >= 500 || (error && error.isAxiosError && !status)) {
+        return new UpdateError(ERROR_CODES.SERVER_UNAVAILABLE, error.message, { cause: error, status });
+    }
+    if (status) {
+        return new UpdateError(ERROR_CODES.REQUEST_FAILED, error.message, { cause: error, status });
+    }
+    return new UpdateError(code, error ? error.message : 'Unknown error', { cause: error });
+}
+
+module.exports = {
+    ERROR_CODES,
+    UpdateError,
+    toUpdateError
+};
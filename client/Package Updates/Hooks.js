@@ -0,0 +1,154 @@
+/**
+ * Install Lifecycle Hooks
+ *
+ * Runs the commands configured around an install (see Updates-Client.js):
+ * - preInstall:  before the staged version is swapped in (e.g. stop the service)
+ * - postInstall: after the swap (e.g. run migrations, start the service)
+ * - healthCheck: last; retried while the new version starts up
+ *
+ * Each hook runs in a shell with a timeout. Its output is logged and, when it
+ * fails, the end of it is included in the error.
+ *
+ * update-config.json:
+ *   { "hooks": { "preInstall": "systemctl stop my-app",
+ *                "healthCheck": { "command": "curl -fsS localhost:8080/health", "timeout": 10000, "attempts": 5 } } }
+ */
+
+const { spawn } = require('child_process');
+
+// Hooks run around an install, in this order
+const HOOK_NAMES = ['preInstall', 'postInstall', 'healthCheck'];
+// Output kept per hook run (the end of it), for logs and error messages
+const MAX_OUTPUT = 64 * 1024;
+
+/**
+ * Normalizes a hook setting
+ * @param {string|Object} spec - Command line, or { command, timeout, attempts, delay }
+ * @param {string} name - Hook name
+ * @returns {Object|null} Hook: command, timeout (ms), attempts and delay (ms), or null if not set
+ */
+function normalizeHook(spec, name) {
+    if (!spec) {
+        return null;
+    }
+
+    const hook = typeof spec === 'string' ? { command: spec } : { ...spec };
+    if (typeof hook.command !== 'string' || !hook.command.trim()) {
+        throw new Error(`Invalid ${name} hook: a command is required`);
+    }
+
+    // Health checks are retried while the new version starts up
+    const isHealthCheck = name === 'healthCheck';
+    return {
+        command: hook.command,
+        timeout: Number(hook.timeout) || 60000,
+        attempts: Number(hook.attempts) || (isHealthCheck ? 3 : 1),
+        delay: Number(hook.delay) || (isHealthCheck ? 2000 : 0)
+    };
+}
+
+/**
+ * Runs a hook command once in a shell
+ * @param {Object} hook - Normalized hook
+ * @param {Object} options - Run options
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.env - Extra environment variables
+ * @returns {Promise<Object>} - Resolves with code, signal, timedOut and output (stdout and stderr)
+ */
+function runCommand(hook, { cwd, env }) {
+    return new Promise((resolve) => {
+        const isWindows = process.platform === 'win32';
+        const child = spawn(hook.command, {
+            cwd,
+            env: { ...process.env, ...env },
+            shell: true,
+            // Own process group, so a timeout also stops the command's children
+            detached: !isWindows,
+            stdio: ['ignore', 'pipe', 'pipe'],
+            windowsHide: true
+        });
+
+        let output = '';
+        let timedOut = false;
+        const collect = (chunk) => {
+            output = (output + chunk.toString()).slice(-MAX_OUTPUT);
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        const kill = (signal) => {
+            try {
+                if (isWindows) {
+                    child.kill(signal);
+                } else {
+                    process.kill(-child.pid, signal);
+                }
+            } catch (error) {
+                // Already exited
+            }
+        };
+
+        let forceTimer = null;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            kill('SIGTERM');
+            forceTimer = setTimeout(() => kill('SIGKILL'), 5000);
+        }, hook.timeout);
+
+        child.on('error', (error) => {
+            collect(`${error.message}\n`);
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            clearTimeout(forceTimer);
+            resolve({ code, signal, timedOut, output });
+        });
+    });
+}
+
+/**
+ * Runs a hook, retrying it up to hook.attempts times; rejects if every attempt fails
+ * @param {string} name - Hook name (e.g. 'healthCheck')
+ * @param {Object} hook - Normalized hook
+ * @param {Object} options - Run options
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.env - Extra environment variables
+ * @param {Object} options.logger - (optional) Logger the hook's output goes to, defaults to console
+ * @returns {Promise<string>} - Resolves with the output of the successful run
+ */
+async function runHook(name, hook, { cwd, env = {}, logger = console }) {
+    for (let attempt = 1; ; attempt++) {
+        logger.log(`Running ${name} hook: ${hook.command}` +
+            (hook.attempts > 1 ? ` (attempt ${attempt}/${hook.attempts})` : ''));
+        const result = await runCommand(hook, { cwd, env });
+
+        for (const line of result.output.split('\n').filter(Boolean)) {
+            logger.log(`[${name}] ${line}`);
+        }
+
+        if (result.code === 0 && !result.timedOut) {
+            return result.output;
+        }
+
+        const reason = result.timedOut
+            ? `timed out after ${hook.timeout}ms`
+            : result.signal ? `killed by ${result.signal}` : `exit code ${result.code}`;
+
+        if (attempt >= hook.attempts) {
+            const lastLines = result.output.trim().split('\n').slice(-5).join('\n');
+            const error = new Error(`${name} hook failed (${reason})${lastLines ? `:\n${lastLines}` : ''}`);
+            error.hook = name;
+            error.output = result.output;
+            throw error;
+        }
+
+        logger.warn(`${name} hook failed (${reason}), retrying in ${hook.delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, hook.delay));
+    }
+}
+
+module.exports = {
+    HOOK_NAMES,
+    normalizeHook,
+    runHook
+};
@@ -0,0 +1,360 @@
+/**
+ * Install State Journal and Update Lock
+ *
+ * update-state.json, next to the app, records what is installed: the current
+ * and previous versions, the history of installs and rollbacks, and the
+ * operation in progress, if any. Every change is written to a temporary file
+ * which is renamed over the state file, so a crash never leaves it half-written.
+ * version.txt is still written, for applications and scripts that read it.
+ *
+ * An install or rollback records its operation ({ action, from, to, step,
+ * startedAt, pid }) before touching the app, moves it through its steps, and
+ * clears it when it is over. An operation found by a later run was interrupted
+ * (crash, power loss, kill -9): UpdateClient.recover() finishes it or rolls it back.
+ *
+ * Only one process may change the app at a time: updates hold update.lock,
+ * created exclusively and holding its owner's pid, host and start time. A lock
+ * whose owner no longer runs on this host - or, when that cannot be checked, that
+ * is older than STALE_LOCK_AGE - was left behind by a run that died, and is taken over:
+ * it is renamed aside, and only removed if it is still the lock found stale, so
+ * two processes taking over the same stale lock never both end up holding one.
+ *
+ * update-signatures.json keeps the release signatures of the current and previous
+ * versions, as verified at install time, so the installed files can be checked
+ * against them without reaching an update server (e.g. after an offline install).
+ * They are verified again with the pinned key when used.
+ *
+ * Clients installed before the journal existed are picked up from version.txt,
+ * previous-version.txt and update-history.log.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { ERROR_CODES, UpdateError } = require('./Errors');
+
+// Installs and rollbacks kept in the history, oldest dropped first
+const MAX_HISTORY = 100;
+// Age after which a lock whose owner cannot be checked (other host) is stale
+const STALE_LOCK_AGE = 6 * 60 * 60 * 1000;
+// An empty lock file is being written by its owner for this long at most
+const LOCK_WRITE_GRACE = 5000;
+
+/**
+ * Reads a one-line text file
+ * @param {string} filePath - File to read
+ * @returns {string|null} Trimmed contents, or null if missing or empty
+ */
+function readTextFile(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8').trim() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+class InstallState {
+    /**
+     * @param {string} stateFile - Path of update-state.json
+     * @param {Object} options - Journal options
+     * @param {string} options.versionFile - version.txt, kept in step with the current version
+     * @param {string} options.previousVersionFile - previous-version.txt of clients without a journal
+     * @param {string} options.historyFile - update-history.log (one JSON entry per line) of clients without a journal
+     * @param {string} options.signaturesFile - update-signatures.json, signatures of the installed versions
+     * @param {Object} options.logger - Logger (log, warn and error methods)
+     */
+    constructor(stateFile, { versionFile, previousVersionFile, historyFile, signaturesFile, logger }) {
+        this.stateFile = stateFile;
+        this.versionFile = versionFile;
+        this.previousVersionFile = previousVersionFile;
+        this.historyFile = historyFile;
+        this.signaturesFile = signaturesFile;
+        this.logger = logger;
+    }
+
+    /**
+     * Reads the journal
+     * @returns {Object} currentVersion, previousVersion, history (oldest first) and operation (null when idle)
+     */
+    read() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                return {
+                    currentVersion: state.currentVersion || null,
+                    previousVersion: state.previousVersion || null,
+                    history: Array.isArray(state.history) ? state.history : [],
+                    operation: state.operation || null
+                };
+            }
+        } catch (error) {
+            this.logger.error(`Error reading state file, using ${this.versionFile} instead:`, error.message);
+        }
+
+        return {
+            currentVersion: readTextFile(this.versionFile),
+            previousVersion: readTextFile(this.previousVersionFile),
+            history: this.readLegacyHistory(),
+            operation: null
+        };
+    }
+
+    /**
+     * Reads the history of a client without a journal
+     * @returns {Array} Entries of update-history.log, oldest first
+     */
+    readLegacyHistory() {
+        const history = [];
+        for (const line of (readTextFile(this.historyFile) || '').split('\n')) {
+            try {
+                history.push(JSON.parse(line));
+            } catch (error) {
+                // Skip a line cut short by a crash
+                continue;
+            }
+        }
+        return history.slice(-MAX_HISTORY);
+    }
+
+    /**
+     * Replaces the journal
+     * @param {Object} state - State (see read())
+     */
+    write(state) {
+        // Write, flush, then rename, so the journal survives a crash or power loss at any point
+        const tmpFile = `${this.stateFile}.tmp`;
+        const fd = fs.openSync(tmpFile, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(state, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpFile, this.stateFile);
+
+        if (state.currentVersion) {
+            fs.writeFileSync(this.versionFile, state.currentVersion);
+        } else {
+            fs.rmSync(this.versionFile, { force: true });
+        }
+        // Superseded by the journal
+        fs.rmSync(this.previousVersionFile, { force: true });
+        fs.rmSync(this.historyFile, { force: true });
+    }
+
+    /**
+     * Merges changes into the journal
+     * @param {Object} changes - Fields to set (currentVersion, previousVersion, operation)
+     * @returns {Object} New state
+     */
+    update(changes) {
+        const state = { ...this.read(), ...changes };
+        this.write(state);
+        return state;
+    }
+
+    /**
+     * Adds an entry to the history, dropping the oldest ones beyond MAX_HISTORY
+     * @param {Object} entry - History entry
+     */
+    addHistory(entry) {
+        const state = this.read();
+        this.write({ ...state, history: [...state.history, entry].slice(-MAX_HISTORY) });
+    }
+
+    /**
+     * Reads the signatures kept for the installed versions
+     * @returns {Object} Signature documents by version
+     */
+    readSignatures() {
+        try {
+            const signatures = JSON.parse(fs.readFileSync(this.signaturesFile, 'utf8'));
+            return signatures && typeof signatures === 'object' && !Array.isArray(signatures) ? signatures : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Gets the signature kept for a version
+     * @param {string} version - Version
+     * @returns {Object|null} Signature document as verified at install time, or null if none was kept
+     */
+    readSignature(version) {
+        return this.readSignatures()[version] || null;
+    }
+
+    /**
+     * Keeps the signature of an installed version, dropping those of versions that are neither
+     * current nor previous
+     * @param {string} version - Version
+     * @param {Object} signed - Its verified signature document
+     */
+    saveSignature(version, signed) {
+        const { currentVersion, previousVersion } = this.read();
+        const signatures = {};
+        for (const [kept, document] of Object.entries(this.readSignatures())) {
+            if (kept === currentVersion || kept === previousVersion) {
+                signatures[kept] = document;
+            }
+        }
+        signatures[version] = signed;
+
+        const tmpFile = `${this.signaturesFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(signatures, null, 2));
+        fs.renameSync(tmpFile, this.signaturesFile);
+    }
+}
+
+/**
+ * Tells whether a process runs on this host
+ * @param {number} pid - Process id
+ * @returns {boolean} True if it runs
+ */
+function isProcessRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: it runs, as another user
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Reads the update lock
+ * @param {string} lockFile - Path of update.lock
+ * @returns {Object|null} owner (null if unreadable), age (ms) and ino (file identity), or null when
+ *     there is no lock
+ */
+function readLock(lockFile) {
+    let stats;
+    try {
+        stats = fs.statSync(lockFile);
+    } catch (error) {
+        return null;
+    }
+
+    let owner = null;
+    try {
+        owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    } catch (error) {
+        owner = null;
+    }
+    return { owner, age: Date.now() - stats.mtimeMs, ino: stats.ino };
+}
+
+/**
+ * Tells whether a lock was left behind by a run that is gone
+ * @param {Object} lock - Result of readLock()
+ * @returns {boolean} True if the lock can be taken over
+ */
+function isStaleLock({ owner, age }) {
+    if (!owner) {
+        return age > LOCK_WRITE_GRACE;
+    }
+    if (owner.hostname === os.hostname() && Number.isInteger(owner.pid)) {
+        return !isProcessRunning(owner.pid);
+    }
+    return age > STALE_LOCK_AGE;
+}
+
+/**
+ * Tells whether two reads of the lock are the same lock
+ * @param {Object} lock - Result of readLock()
+ * @param {Object} other - Result of readLock()
+ * @returns {boolean} True if it is the same file, with the same owner
+ */
+function isSameLock(lock, other) {
+    if (lock.ino !== other.ino || Boolean(lock.owner) !== Boolean(other.owner)) {
+        return false;
+    }
+    return !lock.owner || (lock.owner.pid === other.owner.pid && lock.owner.startedAt === other.owner.startedAt);
+}
+
+/**
+ * Removes a stale lock, unless another process replaced it since it was read
+ * @param {string} lockFile - Path of update.lock
+ * @param {Object} lock - The stale lock, as read by readLock()
+ */
+function takeOverLock(lockFile, lock) {
+    // Renaming is atomic: only one process moves a given lock file aside
+    const asidePath = `${lockFile}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+    try {
+        fs.renameSync(lockFile, asidePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // Already taken over by another process
+            return;
+        }
+        throw error;
+    }
+
+    const moved = readLock(asidePath);
+    if (moved && !isSameLock(lock, moved)) {
+        // The lock of a process that took over first: put it back, unless a newer one exists
+        try {
+            fs.linkSync(asidePath, lockFile);
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                fs.rmSync(asidePath, { force: true });
+                throw error;
+            }
+        }
+    }
+    fs.rmSync(asidePath, { force: true });
+}
+
+/**
+ * Takes the update lock, taking over a stale one
+ * @param {string} lockFile - Path of update.lock
+ * @param {string} action - What the lock is taken for (e.g. 'install'), shown to other processes
+ * @returns {Object} Owner written to the lock, to pass to releaseLock()
+ * @throws {UpdateError} UPDATE_IN_PROGRESS when another process holds the lock
+ */
+function acquireLock(lockFile, action) {
+    const owner = { pid: process.pid, hostname: os.hostname(), action, startedAt: new Date().toISOString() };
+
+    // Twice at most: once more after taking over a stale lock
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(lockFile, JSON.stringify(owner), { flag: 'wx' });
+            return owner;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const lock = readLock(lockFile);
+        if (lock && !isStaleLock(lock)) {
+            const holder = lock.owner;
+            throw new UpdateError(ERROR_CODES.UPDATE_IN_PROGRESS, holder
+                ? `Another update is in progress (${holder.action} by pid ${holder.pid} on ${holder.hostname} ` +
+                    `since ${holder.startedAt})`
+                : `Another update is in progress (${lockFile})`);
+        }
+        if (lock) {
+            takeOverLock(lockFile, lock);
+        }
+    }
+    throw new UpdateError(ERROR_CODES.UPDATE_IN_PROGRESS, `Another update is in progress (${lockFile})`);
+}
+
+/**
+ * Releases the update lock, unless it was taken over in the meantime
+ * @param {string} lockFile - Path of update.lock
+ * @param {Object} owner - Result of acquireLock()
+ */
+function releaseLock(lockFile, owner) {
+    const lock = readLock(lockFile);
+    if (lock && lock.owner && lock.owner.pid === owner.pid && lock.owner.startedAt === owner.startedAt) {
+        fs.rmSync(lockFile, { force: true });
+    }
+}
+
+module.exports = {
+    InstallState,
+    acquireLock,
+    releaseLock
+};
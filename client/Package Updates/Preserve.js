@@ -0,0 +1,279 @@
+/**
+ * Preserved Paths
+ *
+ * Local data that lives inside the app directory (config files, databases, logs,
+ * caches) would be lost when the app is replaced by a new version. Paths matching
+ * a preserve rule are carried over from the installed app into the staged one
+ * before it is swapped in.
+ *
+ * Rules come from the client settings ("preserve" in update-config.json) and from
+ * an update-preserve.json file shipped at the root of the release; client rules
+ * are checked first, and the first matching rule wins:
+ *
+ *   "preserve": [
+ *     "data/**",                                      ← string: keep the local copy
+ *     { "path": "config/*.json", "strategy": "save-new" },
+ *     { "path": "logs", "strategy": "take-new" }
+ *   ]
+ *
+ * Patterns are relative to the app directory: '*' and '?' match within a path
+ * segment, '**' matches across segments, and a pattern matching a directory
+ * covers everything in it.
+ *
+ * Strategies, for a path that exists locally:
+ * - keep:     the local copy replaces the release's version
+ * - take-new: the release's version wins; the local copy is kept only if the release has none
+ * - save-new: the local copy is kept, and a differing release version is saved next to it
+ *             as <path>.new
+ *
+ * A conflict is a preserved path whose local copy differs from the release's version.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Preserve rules shipped in a release, at the root of the app
+const PRESERVE_FILE = 'update-preserve.json';
+const STRATEGIES = ['keep', 'take-new', 'save-new'];
+
+/**
+ * Converts a glob pattern to a regular expression
+ * @param {string} pattern - Pattern relative to the app directory (e.g. 'data/*.db')
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // '**/' matches any number of directories, a trailing '**' anything
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validates preserve rules
+ * @param {Array} specs - Rules: patterns, or { path, strategy } objects
+ * @param {string} source - Where the rules come from, for error messages
+ * @returns {Array} Rules: pattern, strategy and regExp
+ */
+function normalizeRules(specs, source) {
+    if (!Array.isArray(specs)) {
+        throw new Error(`Invalid preserve rules in ${source}: expected a list`);
+    }
+
+    return specs.map((spec) => {
+        const rule = typeof spec === 'string' ? { path: spec } : { ...spec };
+        const pattern = typeof rule.path === 'string'
+            ? rule.path.trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '').replace(/\/+$/, '')
+            : '';
+        const strategy = rule.strategy || 'keep';
+
+        if (!pattern || pattern.split('/').includes('..')) {
+            throw new Error(`Invalid preserve rule in ${source}: ${JSON.stringify(spec)}`);
+        }
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Invalid preserve strategy in ${source}: ${strategy} (supported: ${STRATEGIES.join(', ')})`);
+        }
+
+        return { pattern, strategy, regExp: globToRegExp(pattern) };
+    });
+}
+
+/**
+ * Reads the preserve rules shipped in a release
+ * @param {string} dirPath - Staged app directory
+ * @param {Object|null} manifest - Verified manifest of the release (null when unsigned)
+ * @returns {Array} Rules (empty if the release ships none)
+ */
+function readReleaseRules(dirPath, manifest) {
+    const filePath = path.join(dirPath, PRESERVE_FILE);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const content = fs.readFileSync(filePath);
+
+    // The rules decide what is verified in a delta, so they must be the signed ones
+    if (manifest) {
+        const expected = (manifest.files || {})[PRESERVE_FILE];
+        if (!expected || crypto.createHash('sha256').update(content).digest('hex') !== expected.sha256) {
+            throw new Error(`${PRESERVE_FILE} does not match the signature`);
+        }
+    }
+
+    return normalizeRules(JSON.parse(content.toString('utf8')), PRESERVE_FILE);
+}
+
+/**
+ * Finds the rule that applies to a path
+ * @param {Array} rules - Normalized rules
+ * @param {string} relPath - Path relative to the app directory, '/'-separated
+ * @returns {Object|null} First matching rule, or null
+ */
+function findRule(rules, relPath) {
+    const segments = relPath.split('/');
+
+    for (const rule of rules) {
+        // A rule matching a directory covers everything in it
+        for (let length = segments.length; length > 0; length--) {
+            if (rule.regExp.test(segments.slice(0, length).join('/'))) {
+                return rule;
+            }
+        }
+    }
+
+    // <path>.new files left by save-new stay until the user deals with them
+    if (relPath.endsWith('.new')) {
+        const rule = findRule(rules, relPath.slice(0, -'.new'.length));
+        if (rule && rule.strategy === 'save-new') {
+            return { ...rule, strategy: 'keep' };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Lists the files and symbolic links in a directory
+ * @param {string} dirPath - Directory to list
+ * @returns {Array} Paths relative to the directory, '/'-separated
+ */
+function listFiles(dirPath) {
+    const files = [];
+
+    const walk = (dir) => {
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, item.name);
+            if (item.isDirectory()) {
+                walk(fullPath);
+            } else {
+                files.push(path.relative(dirPath, fullPath).split(path.sep).join('/'));
+            }
+        }
+    };
+
+    walk(dirPath);
+    return files;
+}
+
+/**
+ * Gets a comparable fingerprint of a file or symbolic link
+ * @param {string} filePath - Path to the file
+ * @returns {string}
+ */
+function fingerprint(filePath) {
+    const stat = fs.lstatSync(filePath);
+    if (stat.isSymbolicLink()) {
+        return `symlink:${fs.readlinkSync(filePath)}`;
+    }
+    return `file:${crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')}`;
+}
+
+/**
+ * Checks whether a path is a file or a symbolic link
+ * @param {string} filePath - Path to check
+ * @returns {boolean}
+ */
+function isFile(filePath) {
+    try {
+        return !fs.lstatSync(filePath).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Copies a preserved file into the staged app, replacing what is there
+ * @param {string} source - Local file
+ * @param {string} target - Path in the staged app
+ */
+function copyInto(source, target) {
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.cpSync(source, target, { verbatimSymlinks: true });
+}
+
+/**
+ * Carries preserved paths over from the installed app into the staged one
+ * @param {Object} params - Parameters object
+ * @param {string} params.appPath - Installed app directory
+ * @param {string} params.stagingPath - Staged app directory
+ * @param {Array} params.rules - Normalized rules
+ * @param {Object|null} params.manifest - Verified manifest of the release (null when unsigned)
+ * @returns {Object} preserved (number of paths carried over) and conflicts
+ *     (path, strategy and resolution of every path whose local copy differs from the release's)
+ */
+function applyPreserveRules({ appPath, stagingPath, rules, manifest }) {
+    const result = { preserved: 0, conflicts: [] };
+    if (rules.length === 0 || !fs.existsSync(appPath)) {
+        return result;
+    }
+
+    for (const relPath of listFiles(appPath)) {
+        const rule = findRule(rules, relPath);
+        if (!rule) {
+            continue;
+        }
+
+        const localPath = path.join(appPath, relPath);
+        const stagedPath = path.join(stagingPath, relPath);
+
+        // A staged delta starts as a copy of the installed app: the manifest says what the release ships
+        let newFingerprint = null;
+        if (manifest) {
+            const entry = (manifest.files || {})[relPath];
+            if (entry) {
+                newFingerprint = entry.type === 'symlink' ? `symlink:${entry.target}` : `file:${entry.sha256}`;
+            }
+        } else if (isFile(stagedPath)) {
+            newFingerprint = fingerprint(stagedPath);
+        }
+
+        const differs = newFingerprint !== null && newFingerprint !== fingerprint(localPath);
+        let resolution = 'kept local';
+
+        if (rule.strategy === 'take-new' && newFingerprint !== null) {
+            resolution = 'took new';
+        } else {
+            if (rule.strategy === 'save-new' && differs) {
+                copyInto(stagedPath, `${stagedPath}.new`);
+                resolution = `kept local, new saved as ${relPath}.new`;
+            }
+            copyInto(localPath, stagedPath);
+            result.preserved++;
+        }
+
+        if (differs) {
+            result.conflicts.push({ path: relPath, strategy: rule.strategy, resolution });
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    PRESERVE_FILE,
+    STRATEGIES,
+    normalizeRules,
+    readReleaseRules,
+    findRule,
+    applyPreserveRules
+};
@@ -0,0 +1,291 @@
+/**
+ * Release Subscription
+ *
+ * Listens to the server's release events (GET /events, Server-Sent Events) so a
+ * client learns about new releases as soon as they are published, instead of
+ * polling /versions. Created by UpdateClient.subscribe().
+ *
+ * The listener is called with { id, type, data } for every event of the
+ * client's channel: release, yank, unyank, rollout, delete, and resync (events
+ * were missed, check for updates).
+ *
+ * Lost connections are re-established with the Last-Event-ID header, so the
+ * server sends the events missed in between. When the stream is not available
+ * (an older server, or several failed connections in a row), the subscription
+ * falls back to polling checkForUpdate() and reports newly offered versions as
+ * release events (with data.polled set); it switches back to the stream once it
+ * can connect again. A server that cannot be reached makes the client fail over
+ * to its next update server (see Servers.js).
+ */
+
+const axios = require('axios');
+const { isFailoverError } = require('./Servers');
+
+class ReleaseSubscription {
+    /**
+     * @param {UpdateClient} client - Client whose server, application and channel are followed
+     * @param {Function} listener - Called with every event ({ id, type, data })
+     * @param {Object} options - Subscription options
+     * @param {number} [options.pollInterval=300000] - Milliseconds between checks while polling
+     * @param {number} [options.maxFailures=3] - Failed connections in a row before polling
+     * @param {number} [options.idleTimeout=60000] - Milliseconds without data (or keep-alive)
+     *     before the connection is considered lost
+     */
+    constructor(client, listener, options = {}) {
+        this.client = client;
+        this.listener = listener;
+        this.pollInterval = options.pollInterval || 5 * 60 * 1000;
+        this.maxFailures = options.maxFailures || 3;
+        this.idleTimeout = options.idleTimeout || 60000;
+
+        // 'stream' or 'polling'
+        this.mode = 'stream';
+        this.lastEventId = null;
+        // Reconnect delay, the server can change it with a retry field
+        this.retryDelay = client.retryDelay;
+        this.failures = 0;
+        this.lastPolledVersion = null;
+        this.closed = false;
+        this.timer = null;
+        this.abortController = null;
+    }
+
+    /**
+     * Connects to the event stream
+     * @returns {ReleaseSubscription} This subscription
+     */
+    start() {
+        this.connect();
+        return this;
+    }
+
+    /**
+     * Stops listening
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Opens the event stream and reads it until the connection is lost
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this.closed) {
+            return;
+        }
+
+        const abortController = new AbortController();
+        this.abortController = abortController;
+
+        const serverUrl = this.client.serverUrl;
+        const headers = { ...this.client.getRequestHeaders(), Accept: 'text/event-stream' };
+        if (this.lastEventId) {
+            headers['Last-Event-ID'] = this.lastEventId;
+        }
+
+        let response;
+        try {
+            response = await axios.get(this.client.getEndpointUrl('events', serverUrl), {
+                params: { channel: this.client.channel },
+                headers,
+                timeout: this.idleTimeout,
+                responseType: 'stream',
+                signal: abortController.signal
+            });
+
+            if (!/^text\/event-stream/.test(response.headers['content-type'] || '')) {
+                response.data.destroy();
+                const error = new Error('The server does not stream release events');
+                error.unsupported = true;
+                throw error;
+            }
+        } catch (error) {
+            // Servers without the events endpoint answer 404
+            if (error.response && error.response.status === 404) {
+                error.unsupported = true;
+            }
+            if (isFailoverError(error)) {
+                this.client.failover(serverUrl);
+            }
+            return this.onDisconnect(this.client.toAccessError(error));
+        }
+
+        if (this.mode === 'polling') {
+            this.client.logger.log('Release event stream available again, stopping polling');
+            this.mode = 'stream';
+        }
+        this.failures = 0;
+
+        const error = await this.readStream(response.data);
+        this.onDisconnect(error || new Error('Release event stream closed by the server'));
+    }
+
+    /**
+     * Reads events from the stream
+     * @param {stream.Readable} stream - Response stream
+     * @returns {Promise<Error|null>} Resolves when the stream ends, with the error that ended it
+     */
+    readStream(stream) {
+        return new Promise((resolve) => {
+            let buffer = '';
+            let event = { id: undefined, type: 'message', data: [] };
+            let idleTimer = null;
+
+            const resetIdleTimer = () => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(() => {
+                    stream.destroy(new Error(`No data received for ${this.idleTimeout}ms`));
+                }, this.idleTimeout);
+            };
+
+            const processLine = (line) => {
+                if (line === '') {
+                    this.dispatch(event);
+                    event = { id: undefined, type: 'message', data: [] };
+                    return;
+                }
+                if (line.startsWith(':')) {
+                    // Keep-alive comment
+                    return;
+                }
+
+                const colon = line.indexOf(':');
+                const field = colon === -1 ? line : line.slice(0, colon);
+                const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+                if (field === 'event') {
+                    event.type = value;
+                } else if (field === 'data') {
+                    event.data.push(value);
+                } else if (field === 'id' && !value.includes('\0')) {
+                    event.id = value;
+                } else if (field === 'retry' && /^\d+$/.test(value)) {
+                    this.retryDelay = Number(value);
+                }
+            };
+
+            let settled = false;
+            const finish = (error) => {
+                if (!settled) {
+                    settled = true;
+                    clearTimeout(idleTimer);
+                    resolve(error || null);
+                }
+            };
+
+            resetIdleTimer();
+            stream.setEncoding('utf8');
+            stream.on('data', (chunk) => {
+                resetIdleTimer();
+                const lines = (buffer + chunk).split(/\r\n|\r|\n/);
+                buffer = lines.pop();
+                lines.forEach(processLine);
+            });
+            stream.on('error', finish);
+            stream.on('end', () => finish(null));
+            stream.on('close', () => finish(null));
+        });
+    }
+
+    /**
+     * Passes a complete event to the listener
+     * @param {Object} event - Parsed event: id, type and data lines
+     */
+    dispatch(event) {
+        // An empty id resets the last event id
+        if (event.id !== undefined) {
+            this.lastEventId = event.id || null;
+        }
+        if (event.data.length === 0) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(event.data.join('\n'));
+        } catch (error) {
+            this.client.logger.error('Invalid release event data:', error.message);
+            return;
+        }
+
+        this.emit({ id: event.id || null, type: event.type, data });
+    }
+
+    /**
+     * Calls the listener, logging its errors
+     * @param {Object} event - Event: id, type and data
+     */
+    emit(event) {
+        try {
+            this.listener(event);
+        } catch (error) {
+            this.client.logger.error('Error in release event listener:', error.message);
+        }
+    }
+
+    /**
+     * Reconnects after a lost connection, or falls back to polling
+     * @param {Error} error - Why the connection was lost or refused
+     */
+    onDisconnect(error) {
+        if (this.closed) {
+            return;
+        }
+        this.failures++;
+
+        if (this.mode === 'stream' && !error.unsupported && this.failures < this.maxFailures) {
+            // Exponential backoff with full jitter, starting from the server's retry delay
+            const ceiling = Math.min(this.client.maxRetryDelay, this.retryDelay * 2 ** (this.failures - 1));
+            const delay = Math.round(Math.random() * ceiling);
+            this.client.logger.warn(`Release event stream lost (${error.message}), reconnecting in ${delay}ms...`);
+            this.timer = setTimeout(() => this.connect(), delay);
+            return;
+        }
+
+        if (this.mode === 'stream') {
+            this.client.logger.warn(`Release event stream not available (${error.message}), ` +
+                `polling every ${Math.round(this.pollInterval / 1000)}s instead`);
+            this.mode = 'polling';
+            // Check right away: events may have been missed
+            this.timer = setTimeout(() => this.pollAndReconnect(), 0);
+        } else {
+            this.timer = setTimeout(() => this.pollAndReconnect(), this.pollInterval);
+        }
+    }
+
+    /**
+     * Checks for an update, then tries the event stream again
+     * @returns {Promise<void>}
+     */
+    async pollAndReconnect() {
+        const check = await this.client.checkForUpdate();
+
+        if (this.closed) {
+            return;
+        }
+        if (!check.error && check.available && check.version !== this.lastPolledVersion) {
+            this.lastPolledVersion = check.version;
+            this.emit({
+                id: null,
+                type: 'release',
+                data: {
+                    version: check.version,
+                    channel: this.client.channel,
+                    notes: check.notes,
+                    date: check.date,
+                    mandatory: check.mandatory,
+                    polled: true
+                }
+            });
+        }
+
+        this.connect();
+    }
+}
+
+module.exports = ReleaseSubscription;
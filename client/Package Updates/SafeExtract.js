@@ -0,0 +1,242 @@
+/**
+ * Safe Archive Extraction
+ *
+ * Archives come from update servers, mirrors and bundles, and an unsigned or
+ * tampered one could try to write outside the app or fill the disk. Every entry
+ * is checked before anything is written, and extraction stops at the first one
+ * that is rejected:
+ *
+ * - absolute paths and paths with '..' segments
+ * - symbolic and hard links pointing outside the extracted app
+ * - device files, FIFOs and any other entry that is not a file, directory or link
+ * - archives beyond the extraction limits, which guard against decompression bombs:
+ *     maxFiles      entries (files, directories and links), default 100000
+ *     maxFileSize   bytes of a single file, default 1 GB
+ *     maxTotalSize  bytes of all files, default 4 GB
+ *   set with options.extractLimits, or "extractLimits" in update-config.json
+ *
+ * Extracted entries get normalized permissions: 0755 for directories and files
+ * with an execute bit, 0644 for other files. Owners, setuid, setgid and sticky
+ * bits are not restored.
+ *
+ * A rejected archive fails with UNSAFE_ARCHIVE, error.entry naming the entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar');
+const { ERROR_CODES, UpdateError } = require('./Errors');
+
+const DEFAULT_LIMITS = {
+    maxFiles: 100000,
+    maxFileSize: 1024 * 1024 * 1024,
+    maxTotalSize: 4 * 1024 * 1024 * 1024
+};
+// Entry types holding file contents
+const FILE_TYPES = ['File', 'OldFile', 'ContiguousFile'];
+// Entry types that may be extracted
+const ALLOWED_TYPES = [...FILE_TYPES, 'Directory', 'SymbolicLink', 'Link'];
+
+/**
+ * Validates the extraction limits of the client settings
+ * @param {Object} settings - maxFiles, maxFileSize and/or maxTotalSize (missing ones use the defaults)
+ * @returns {Object} Limits
+ * @throws {UpdateError} INVALID_CONFIG for an unknown or invalid limit
+ */
+function normalizeLimits(settings = {}) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new UpdateError(ERROR_CODES.INVALID_CONFIG, 'Invalid extraction limits: expected an object');
+    }
+
+    const limits = { ...DEFAULT_LIMITS };
+    for (const [name, value] of Object.entries(settings)) {
+        if (!(name in DEFAULT_LIMITS)) {
+            throw new UpdateError(ERROR_CODES.INVALID_CONFIG,
+                `Unknown extraction limit: ${name} (supported: ${Object.keys(DEFAULT_LIMITS).join(', ')})`);
+        }
+        if (!Number.isSafeInteger(value) || value <= 0) {
+            throw new UpdateError(ERROR_CODES.INVALID_CONFIG, `Invalid extraction limit ${name}: ${value}`);
+        }
+        limits[name] = value;
+    }
+    return limits;
+}
+
+/**
+ * Creates the error of a rejected entry
+ * @param {string} entryPath - Path of the entry in the archive
+ * @param {string} problem - Why it was rejected
+ * @returns {UpdateError} UNSAFE_ARCHIVE error, with entry set
+ */
+function unsafeEntry(entryPath, problem) {
+    const error = new UpdateError(ERROR_CODES.UNSAFE_ARCHIVE, `Archive entry rejected: ${entryPath} (${problem})`);
+    error.entry = entryPath;
+    return error;
+}
+
+/**
+ * Splits an archive path into its segments
+ * @param {string} entryPath - Path in the archive
+ * @returns {Array} Segments, without empty and '.' ones
+ */
+function splitPath(entryPath) {
+    return entryPath.split('/').filter(part => part !== '' && part !== '.');
+}
+
+/**
+ * Checks whether a path would be resolved from outside the extraction directory
+ * @param {string} entryPath - Path in the archive, or link target
+ * @returns {boolean} True for absolute paths (including Windows drives) and paths with '..' segments
+ */
+function isUnsafePath(entryPath) {
+    return path.posix.isAbsolute(entryPath) || /^[a-zA-Z]:|^\\/.test(entryPath) ||
+        entryPath.split(/[/\\]/).includes('..');
+}
+
+/**
+ * Checks an entry, counting it against the limits
+ * @param {Object} entry - Entry of the archive (path, type, size, linkpath)
+ * @param {number} strip - Leading path segments removed on extraction
+ * @param {Object} limits - Extraction limits
+ * @param {Object} totals - Entries and bytes counted so far (files, totalSize), updated
+ * @returns {string|null} Why the entry is rejected, or null if it is safe
+ */
+function checkEntry(entry, strip, limits, totals) {
+    if (isUnsafePath(entry.path)) {
+        return 'path leaves the app directory';
+    }
+
+    // Entries above the stripped folders are not extracted
+    const parts = splitPath(entry.path).slice(strip);
+    if (parts.length === 0) {
+        return null;
+    }
+
+    if (!ALLOWED_TYPES.includes(entry.type)) {
+        return entry.type === 'CharacterDevice' || entry.type === 'BlockDevice'
+            ? 'device files are not allowed'
+            : `${entry.type} entries are not allowed`;
+    }
+
+    if (entry.type === 'SymbolicLink') {
+        // Relative to the folder of the link
+        const target = path.posix.normalize(path.posix.join(path.posix.dirname(parts.join('/')), entry.linkpath || ''));
+        if (path.posix.isAbsolute(entry.linkpath || '') || target === '..' || target.startsWith('../')) {
+            return `link to ${entry.linkpath} points outside the app directory`;
+        }
+    } else if (entry.type === 'Link') {
+        // Relative to the archive root, and stripped like the entry paths
+        if (isUnsafePath(entry.linkpath || '') || splitPath(entry.linkpath || '').length <= strip) {
+            return `link to ${entry.linkpath} points outside the app directory`;
+        }
+    }
+
+    if (++totals.files > limits.maxFiles) {
+        return `more than ${limits.maxFiles} entries`;
+    }
+    if (FILE_TYPES.includes(entry.type)) {
+        if (entry.size > limits.maxFileSize) {
+            return `${entry.size} bytes, more than the ${limits.maxFileSize} allowed for a file`;
+        }
+        totals.totalSize += entry.size;
+        if (totals.totalSize > limits.maxTotalSize) {
+            return `the archive holds more than the ${limits.maxTotalSize} bytes allowed`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks every entry of an archive without extracting it, stopping at the first rejected one
+ * @param {string} tarPath - Path to the tar (or tar.gz) file
+ * @param {Object} options - Check options
+ * @param {number} [options.strip=0] - Leading path segments removed on extraction
+ * @param {Object} [options.limits] - Extraction limits (see normalizeLimits())
+ * @param {Function} [options.onEntry] - Called with every entry that passes the checks
+ * @returns {Promise<Object>} files (entries extracted) and totalSize (bytes); rejects with
+ *     UNSAFE_ARCHIVE naming the first rejected entry
+ */
+function inspectArchive(tarPath, { strip = 0, limits = DEFAULT_LIMITS, onEntry = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const totals = { files: 0, totalSize: 0 };
+        const source = fs.createReadStream(tarPath);
+        let settled = false;
+
+        const finish = (error) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            // Do not decompress the rest of a rejected archive
+            source.destroy();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(totals);
+            }
+        };
+
+        const parser = new tar.Parser({
+            strict: true,
+            onReadEntry: (entry) => {
+                entry.resume();
+                const problem = settled ? null : checkEntry(entry, strip, limits, totals);
+                if (problem) {
+                    finish(unsafeEntry(entry.path, problem));
+                } else if (!settled && onEntry) {
+                    onEntry(entry);
+                }
+            }
+        });
+
+        parser.on('error', finish);
+        parser.on('end', () => finish(null));
+        source.on('error', finish);
+        source.pipe(parser);
+    });
+}
+
+/**
+ * Gets the normalized permissions of an entry
+ * @param {Object} entry - Entry of the archive
+ * @returns {number} 0755 for directories and executable files, 0644 otherwise
+ */
+function normalizeMode(entry) {
+    return entry.type === 'Directory' || (entry.mode & 0o111) !== 0 ? 0o755 : 0o644;
+}
+
+/**
+ * Checks an archive, then extracts it
+ * @param {string} tarPath - Path to the tar (or tar.gz) file
+ * @param {string} destPath - Existing directory to extract into
+ * @param {Object} options - Extraction options
+ * @param {number} [options.strip=0] - Leading path segments to remove
+ * @param {Object} [options.limits] - Extraction limits (see normalizeLimits())
+ * @returns {Promise<Object>} files (entries extracted) and totalSize (bytes); rejects with
+ *     UNSAFE_ARCHIVE, before anything is written, when an entry is rejected
+ */
+async function safeExtract(tarPath, destPath, { strip = 0, limits = DEFAULT_LIMITS } = {}) {
+    const totals = await inspectArchive(tarPath, { strip, limits });
+
+    await tar.x({
+        file: tarPath,
+        cwd: destPath,
+        strip,
+        strict: true,
+        // Already rejected above; tar drops them too
+        preservePaths: false,
+        preserveOwner: false,
+        filter: (entryPath, entry) => {
+            entry.mode = normalizeMode(entry);
+            return true;
+        }
+    });
+    return totals;
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    normalizeLimits,
+    inspectArchive,
+    safeExtract
+};
@@ -0,0 +1,351 @@
+/**
+ * Semantic Versioning 2.0.0 helpers
+ *
+ * Parses version strings (MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD]) and orders
+ * them by SemVer precedence. See https://semver.org/spec/v2.0.0.html
+ *
+ * Version constraints (ranges) use npm's syntax:
+ * - Comparators:  <3.0.0, <=2.1, >1.4.2, >=1.4, =1.4.2 (space-separated: all must match)
+ * - Caret:        ^2.1.0 is >=2.1.0 <3.0.0, ^0.2.3 is >=0.2.3 <0.3.0
+ * - Tilde:        ~1.4 and ~1.4.2 stay on 1.4.x
+ * - Wildcards:    1.x, 1.4.*, 1 and * (any version)
+ * - Hyphen:       1.2.0 - 1.4 is >=1.2.0 <=1.4.x
+ * - Alternatives: ^1.2.0 || ^2.0.0
+ *
+ * Pre-releases match when they are within the range, except for the pre-releases
+ * of an upper bound: <2.0.0 and ^1.0.0 never match 2.0.0-beta.1.
+ */
+
+const SEMVER_PATTERN = new RegExp(
+    '^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)' +
+    '(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?' +
+    '(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$'
+);
+
+/**
+ * Parses a version string
+ * @param {string} version - Version string (e.g. '1.0.0-beta.1+build.5')
+ * @returns {Object|null} - Parsed version, or null if it is not valid SemVer
+ */
+function parse(version) {
+    if (typeof version !== 'string') {
+        return null;
+    }
+
+    const match = version.match(SEMVER_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        version,
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split('.') : [],
+        build: match[5] ? match[5].split('.') : []
+    };
+}
+
+/**
+ * Checks whether a string is a valid SemVer version
+ * @param {string} version - Version string
+ * @returns {boolean}
+ */
+function isValid(version) {
+    return parse(version) !== null;
+}
+
+/**
+ * Compares two pre-release identifiers
+ * @param {string} a - Identifier
+ * @param {string} b - Identifier
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareIdentifiers(a, b) {
+    const aNumeric = /^\d+$/.test(a);
+    const bNumeric = /^\d+$/.test(b);
+
+    // Numeric identifiers always have lower precedence than alphanumeric ones
+    if (aNumeric && bNumeric) {
+        return Number(a) - Number(b);
+    }
+    if (aNumeric) {
+        return -1;
+    }
+    if (bNumeric) {
+        return 1;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compares two versions by SemVer precedence (build metadata is ignored)
+ * @param {string|Object} a - Version string or parsed version
+ * @param {string|Object} b - Version string or parsed version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal precedence
+ */
+function compare(a, b) {
+    const va = typeof a === 'string' ? parse(a) : a;
+    const vb = typeof b === 'string' ? parse(b) : b;
+
+    if (!va || !vb) {
+        throw new Error(`Invalid version: ${!va ? a : b}`);
+    }
+
+    for (const part of ['major', 'minor', 'patch']) {
+        if (va[part] !== vb[part]) {
+            return va[part] - vb[part];
+        }
+    }
+
+    // A pre-release version has lower precedence than the normal version
+    if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+        return vb.prerelease.length - va.prerelease.length;
+    }
+
+    const length = Math.max(va.prerelease.length, vb.prerelease.length);
+    for (let i = 0; i < length; i++) {
+        // A larger set of pre-release fields has higher precedence
+        if (va.prerelease[i] === undefined) {
+            return -1;
+        }
+        if (vb.prerelease[i] === undefined) {
+            return 1;
+        }
+
+        const result = compareIdentifiers(va.prerelease[i], vb.prerelease[i]);
+        if (result !== 0) {
+            return result;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Gets the release channel a version belongs to: 'stable' for normal versions,
+ * otherwise the name of the first pre-release identifier ('1.0.0-beta.1' is 'beta')
+ * @param {string|Object} version - Version string or parsed version
+ * @returns {string|null} - Channel name, or null for an invalid version
+ */
+function channelOf(version) {
+    const parsed = typeof version === 'string' ? parse(version) : version;
+
+    if (!parsed) {
+        return null;
+    }
+    if (parsed.prerelease.length === 0) {
+        return 'stable';
+    }
+    return parsed.prerelease[0].replace(/[^a-zA-Z-]/g, '').toLowerCase() || 'prerelease';
+}
+
+const PARTIAL_PATTERN = new RegExp(
+    '^v?(0|[1-9]\\d*|[xX*])(?:\\.(0|[1-9]\\d*|[xX*]))?(?:\\.(0|[1-9]\\d*|[xX*]))?' +
+    '(?:-([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?(?:\\+[0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*)?$'
+);
+
+/**
+ * Parses a possibly partial version of a range ('1', '1.4', '1.x', '1.4.2-beta.1')
+ * @param {string} value - Partial version
+ * @returns {Object|null} major, minor and patch (null when left out or a wildcard) and
+ *     prerelease, or null if it is not valid
+ */
+function parsePartial(value) {
+    const match = value.match(PARTIAL_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    // Everything after a wildcard is a wildcard ('1.x.3' is '1.x')
+    const parts = [match[1], match[2], match[3]];
+    const wildcard = parts.findIndex(part => part === undefined || /^[xX*]$/.test(part));
+    const numbers = parts.map((part, index) => wildcard !== -1 && index >= wildcard ? null : Number(part));
+    if (match[4] && numbers[2] === null) {
+        return null;
+    }
+
+    return {
+        major: numbers[0],
+        minor: numbers[1],
+        patch: numbers[2],
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+}
+
+/**
+ * Creates a comparator
+ * @param {string} operator - '<', '<=', '>', '>=' or '='
+ * @param {number} major - Major version
+ * @param {number} minor - Minor version
+ * @param {number} patch - Patch version
+ * @param {Array} prerelease - (optional) Pre-release identifiers
+ * @returns {Object} Comparator
+ */
+function comparator(operator, major, minor, patch, prerelease = []) {
+    return { operator, version: { major, minor, patch, prerelease } };
+}
+
+/**
+ * Creates the comparator of an exclusive upper bound, which also excludes the bound's pre-releases
+ * @param {number} major - Major version
+ * @param {number} minor - Minor version
+ * @param {number} patch - Patch version
+ * @returns {Object} Comparator
+ */
+function below(major, minor, patch) {
+    return comparator('<', major, minor, patch, ['0']);
+}
+
+/**
+ * Turns one element of a range (e.g. '^2.1.0', '<3', '1.x') into comparators
+ * @param {string} operator - '^', '~', '<', '<=', '>', '>=', '=' or '' (same as '=')
+ * @param {Object} partial - Result of parsePartial()
+ * @returns {Array} Comparators that must all match (empty: any version)
+ */
+function toComparators(operator, partial) {
+    const { major, minor, patch, prerelease } = partial;
+    const lower = comparator('>=', major || 0, minor || 0, patch || 0, prerelease);
+
+    if (major === null) {
+        // '*', '>=*' and '<=*' match anything; '<*' and '>*' match nothing
+        return operator === '<' || operator === '>' ? [below(0, 0, 0)] : [];
+    }
+
+    switch (operator) {
+        case '^':
+            if (major > 0 || minor === null) {
+                return [lower, below(major + 1, 0, 0)];
+            }
+            if (minor > 0 || patch === null) {
+                return [lower, below(0, minor + 1, 0)];
+            }
+            return [lower, below(0, 0, patch + 1)];
+        case '~':
+            return minor === null ? [lower, below(major + 1, 0, 0)] : [lower, below(major, minor + 1, 0)];
+        case '>':
+            if (minor === null) {
+                return [comparator('>=', major + 1, 0, 0)];
+            }
+            if (patch === null) {
+                return [comparator('>=', major, minor + 1, 0)];
+            }
+            return [comparator('>', major, minor, patch, prerelease)];
+        case '>=':
+            return [lower];
+        case '<':
+            if (patch !== null && prerelease.length > 0) {
+                return [comparator('<', major, minor, patch, prerelease)];
+            }
+            return [below(major, minor || 0, patch || 0)];
+        case '<=':
+            if (minor === null) {
+                return [below(major + 1, 0, 0)];
+            }
+            if (patch === null) {
+                return [below(major, minor + 1, 0)];
+            }
+            return [comparator('<=', major, minor, patch, prerelease)];
+        default:
+            if (minor === null) {
+                return [lower, below(major + 1, 0, 0)];
+            }
+            if (patch === null) {
+                return [lower, below(major, minor + 1, 0)];
+            }
+            return [comparator('=', major, minor, patch, prerelease)];
+    }
+}
+
+/**
+ * Parses a version constraint
+ * @param {string} range - Range (e.g. '^2.1.0', '~1.4', '>=1.2.0 <3.0.0', '1.x || 2.x')
+ * @returns {Array|null} Alternatives, each a list of comparators that must all match,
+ *     or null if the range is not valid
+ */
+function parseRange(range) {
+    if (typeof range !== 'string') {
+        return null;
+    }
+
+    const alternatives = [];
+    for (const alternative of range.split('||')) {
+        const set = [];
+        const text = alternative.trim().replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1');
+        const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+        const elements = hyphen
+            ? [['>=', hyphen[1]], ['<=', hyphen[2]]]
+            : text.split(/\s+/).filter(Boolean).map(element => {
+                const match = element.match(/^(<=|>=|<|>|=|\^|~)?(.*)$/);
+                return [match[1] || '', match[2]];
+            });
+
+        for (const [operator, value] of elements) {
+            const partial = parsePartial(value);
+            if (!partial) {
+                return null;
+            }
+            set.push(...toComparators(operator, partial));
+        }
+        alternatives.push(set);
+    }
+    return alternatives;
+}
+
+/**
+ * Checks whether a string is a valid version constraint
+ * @param {string} range - Range
+ * @returns {boolean}
+ */
+function isValidRange(range) {
+    return parseRange(range) !== null;
+}
+
+/**
+ * Checks whether a version matches a version constraint
+ * @param {string} version - Version string
+ * @param {string} range - Range
+ * @returns {boolean} False for invalid versions and ranges
+ */
+function satisfies(version, range) {
+    const parsed = parse(version);
+    const alternatives = parseRange(range);
+    if (!parsed || !alternatives) {
+        return false;
+    }
+
+    return alternatives.some(set => set.every(({ operator, version: bound }) => {
+        const result = compare(parsed, bound);
+        switch (operator) {
+            case '<': return result < 0;
+            case '<=': return result <= 0;
+            case '>': return result > 0;
+            case '>=': return result >= 0;
+            default: return result === 0;
+        }
+    }));
+}
+
+/**
+ * Gets the highest version matching a version constraint
+ * @param {Array} versions - Version strings
+ * @param {string} range - Range
+ * @returns {string|null} Highest matching version, or null if none matches
+ */
+function maxSatisfying(versions, range) {
+    return versions
+        .filter(version => satisfies(version, range))
+        .reduce((best, version) => (best === null || compare(version, best) > 0 ? version : best), null);
+}
+
+module.exports = {
+    parse,
+    isValid,
+    compare,
+    channelOf,
+    parseRange,
+    isValidRange,
+    satisfies,
+    maxSatisfying
+};
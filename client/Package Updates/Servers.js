@@ -0,0 +1,95 @@
+/**
+ * Update Servers and Mirrors
+ *
+ * A client can be given an ordered list of update servers (options, a
+ * comma-separated UPDATE_SERVER_URL or "servers" in update-config.json). Requests
+ * go to the last server that answered, and fail over to the next one on
+ * connection errors, timeouts and 5xx responses; any other response (e.g. 404 or
+ * 403) is the server's answer and is not retried elsewhere.
+ *
+ * Mirrors (options.mirrors, UPDATE_MIRROR_URL or "mirrors") only serve archives.
+ * They are tried nearest first, measured by the response time of their /health
+ * endpoint, before the update servers. Mirrors are not trusted: release metadata
+ * and signatures always come from the update servers, and every archive from a
+ * mirror is checked against the signed manifest, so mirrors are only used when a
+ * release public key is pinned. Client keys are never sent to mirrors.
+ *
+ * update-config.json:
+ *   { "servers": ["https://updates.example.com", "https://updates-backup.example.com"],
+ *     "mirrors": ["https://eu.mirror.example.com", "https://us.mirror.example.com"] }
+ */
+
+/**
+ * Parses a list of server URLs
+ * @param {string|Array} value - URL, comma-separated URLs or an array of URLs
+ * @param {string} name - What the URLs are, for error messages (e.g. 'update server')
+ * @returns {Array} URLs without trailing slashes, in order and without duplicates
+ */
+function parseServerUrls(value, name = 'update server') {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const urls = [];
+
+    for (const entry of list) {
+        const url = typeof entry === 'string' ? entry.trim().replace(/\/+$/, '') : '';
+        if (!url) {
+            continue;
+        }
+
+        let protocol = null;
+        try {
+            protocol = new URL(url).protocol;
+        } catch (error) {
+            protocol = null;
+        }
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            throw new Error(`Invalid ${name} URL: ${entry}`);
+        }
+
+        if (!urls.includes(url)) {
+            urls.push(url);
+        }
+    }
+    return urls;
+}
+
+/**
+ * Tells whether a failed request should be tried on another server
+ * @param {Error} error - Request error
+ * @returns {boolean} True for connection errors, timeouts and 5xx responses
+ */
+function isFailoverError(error) {
+    if (!error || error.code === 'ERR_CANCELED') {
+        return false;
+    }
+    if (error.response) {
+        return error.response.status >= 500;
+    }
+    // No response at all: connection refused/reset, DNS failure, timeout
+    return Boolean(error.isAxiosError);
+}
+
+/**
+ * Orders URLs by measured response time, nearest first
+ * @param {Array} urls - URLs to rank
+ * @param {Function} probe - Measures a URL: resolves with its response time in ms, or null if unreachable
+ * @returns {Promise<Array>} Reachable URLs nearest first, then unreachable ones in their original order
+ */
+async function rankByLatency(urls, probe) {
+    const timings = await Promise.all(urls.map(url => probe(url).catch(() => null)));
+
+    return urls
+        .map((url, index) => ({ url, index, time: timings[index] }))
+        .sort((a, b) => {
+            if (a.time === null || b.time === null) {
+                return (a.time === null) - (b.time === null) || a.index - b.index;
+            }
+            return a.time - b.time || a.index - b.index;
+        })
+        .map(entry => entry.url);
+}
+
+module.exports = {
+    parseServerUrls,
+    isFailoverError,
+    rankByLatency
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar');
+
+/**
+ * Loads a pinned public key
+ * @param {string|Buffer} key - PEM encoded public key, or path to a PEM file
+ * @returns {crypto.KeyObject} - Public key object
+ */
+function loadPublicKey(key) {
+    if (Buffer.isBuffer(key) || key.includes('-----BEGIN')) {
+        return crypto.createPublicKey(key);
+    }
+
+    if (!fs.existsSync(key)) {
+        throw new Error(`Public key file does not exist: ${key}`);
+    }
+    return crypto.createPublicKey(fs.readFileSync(key));
+}
+
+/**
+ * Verifies a detached release signature and returns the signed manifest
+ * @param {Object} signed - Signature document served by /signature
+ * @param {string} signed.manifest - Signed manifest, as the exact signed JSON string
+ * @param {string} signed.signature - Base64 encoded signature
+ * @param {crypto.KeyObject} publicKey - Pinned public key
+ * @param {string} version - Version the manifest must belong to
+ * @param {string|null} appId - Application the manifest must belong to (null for the default app)
+ * @returns {Object} - Parsed manifest
+ */
+function verifyManifestSignature(signed, publicKey, version, appId = null) {
+    if (!signed || typeof signed.manifest !== 'string' || typeof signed.signature !== 'string') {
+        throw new Error('Invalid signature document');
+    }
+
+    const keyType = publicKey.asymmetricKeyType;
+    const valid = crypto.verify(
+        keyType === 'ed25519' ? null : 'sha256',
+        Buffer.from(signed.manifest),
+        publicKey,
+        Buffer.from(signed.signature, 'base64')
+    );
+
+    if (!valid) {
+        throw new Error('Release signature does not match the pinned public key');
+    }
+
+    const manifest = JSON.parse(signed.manifest);
+
+    // A valid signature for another version or app must not be replayed for this one
+    if (manifest.version !== version) {
+        throw new Error(`Signature is for version ${manifest.version}, expected ${version}`);
+    }
+    if ((manifest.app || null) !== (appId || null)) {
+        throw new Error(`Signature is for application ${manifest.app || 'default'}, expected ${appId || 'default'}`);
+    }
+
+    return manifest;
+}
+
+/**
+ * Checks that an archive contains exactly the files listed in a signed manifest
+ * @param {string} tarPath - Path to the tar.gz archive
+ * @param {Object} manifest - Verified manifest
+ * @returns {Promise<void>} - Resolves when the archive matches, rejects otherwise
+ */
+function verifyArchiveAgainstManifest(tarPath, manifest) {
+    return new Promise((resolve, reject) => {
+        const expected = manifest.files || {};
+        const seen = new Set();
+        const pending = [];
+        let failure = null;
+
+        const fail = (message) => {
+            if (!failure) {
+                failure = new Error(message);
+            }
+        };
+
+        tar.t({
+            file: tarPath,
+            onReadEntry: (entry) => {
+                // Entries are stored under the version folder, which extraction strips
+                const relPath = entry.path.split('/').slice(1).join('/').replace(/\/$/, '');
+
+                if (entry.type === 'Directory') {
+                    return;
+                }
+
+                const expectedEntry = expected[relPath];
+                if (!relPath || !expectedEntry || seen.has(relPath)) {
+                    return fail(`Archive entry is not covered by the signature: ${entry.path}`);
+                }
+                seen.add(relPath);
+
+                if (entry.type === 'SymbolicLink') {
+                    if (expectedEntry.type !== 'symlink' || expectedEntry.target !== entry.linkpath) {
+                        fail(`Symbolic link does not match the signature: ${relPath}`);
+                    }
+                    return;
+                }
+
+                if (entry.type !== 'File' || expectedEntry.type !== 'file') {
+                    return fail(`Archive entry type does not match the signature: ${relPath}`);
+                }
+
+                const hash = crypto.createHash('sha256');
+                let size = 0;
+                entry.on('data', (chunk) => {
+                    hash.update(chunk);
+                    size += chunk.length;
+                });
+                pending.push(new Promise((done) => entry.on('end', () => {
+                    if (size !== expectedEntry.size || hash.digest('hex') !== expectedEntry.sha256) {
+                        fail(`File content does not match the signature: ${relPath}`);
+                    }
+                    done();
+                })));
+            }
+        })
+            .then(() => Promise.all(pending))
+            .then(() => {
+                for (const relPath of Object.keys(expected)) {
+                    if (!seen.has(relPath)) {
+                        fail(`Signed file is missing from the archive: ${relPath}`);
+                    }
+                }
+                failure ? reject(failure) : resolve();
+            })
+            .catch(reject);
+    });
+}
+
+/**
+ * Compares a directory with the files listed in a signed manifest
+ * @param {string} dirPath - Directory to check (e.g. a staged or installed app)
+ * @param {Object} manifest - Verified manifest
+ * @param {Function} [skip] - Returns true for relative paths whose files are not checked
+ *     (e.g. local data that will be preserved)
+ * @returns {Array} Differences, in the order they were found: path and problem
+ *     ('unsigned', 'modified' or 'missing')
+ */
+function diffDirectoryAgainstManifest(dirPath, manifest, skip = () => false) {
+    const expected = manifest.files || {};
+    const seen = new Set();
+    const problems = [];
+
+    const walk = (dir) => {
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, item.name);
+            const relPath = path.relative(dirPath, fullPath).split(path.sep).join('/');
+
+            if (item.isDirectory()) {
+                walk(fullPath);
+                continue;
+            }
+
+            const expectedEntry = expected[relPath];
+            if (skip(relPath)) {
+                seen.add(relPath);
+                continue;
+            }
+            if (!expectedEntry) {
+                problems.push({ path: relPath, problem: 'unsigned', symlink: item.isSymbolicLink() });
+                continue;
+            }
+            seen.add(relPath);
+
+            if (item.isSymbolicLink()) {
+                if (expectedEntry.type !== 'symlink' || expectedEntry.target !== fs.readlinkSync(fullPath)) {
+                    problems.push({ path: relPath, problem: 'modified', symlink: true });
+                }
+                continue;
+            }
+
+            const content = fs.readFileSync(fullPath);
+            if (expectedEntry.type !== 'file' ||
+                content.length !== expectedEntry.size ||
+                crypto.createHash('sha256').update(content).digest('hex') !== expectedEntry.sha256) {
+                problems.push({ path: relPath, problem: 'modified', symlink: false });
+            }
+        }
+    };
+
+    walk(dirPath);
+
+    for (const relPath of Object.keys(expected)) {
+        if (!seen.has(relPath)) {
+            problems.push({ path: relPath, problem: 'missing', symlink: false });
+        }
+    }
+    return problems;
+}
+
+/**
+ * Checks that a directory holds exactly the files listed in a signed manifest
+ * @param {string} dirPath - Directory to check (e.g. a staged app)
+ * @param {Object} manifest - Verified manifest
+ * @param {Function} [skip] - Returns true for relative paths whose files are not checked
+ *     (e.g. local data that will be preserved)
+ * @returns {void} - Throws if the directory does not match
+ */
+function verifyDirectoryAgainstManifest(dirPath, manifest, skip = () => false) {
+    const [first] = diffDirectoryAgainstManifest(dirPath, manifest, skip);
+    if (!first) {
+        return;
+    }
+
+    if (first.problem === 'unsigned') {
+        throw new Error(`File is not covered by the signature: ${first.path}`);
+    }
+    if (first.problem === 'missing') {
+        throw new Error(`Signed file is missing: ${first.path}`);
+    }
+    throw new Error(first.symlink
+        ? `Symbolic link does not match the signature: ${first.path}`
+        : `File content does not match the signature: ${first.path}`);
+}
+
+module.exports = {
+    loadPublicKey,
+    verifyManifestSignature,
+    verifyArchiveAgainstManifest,
+    diffDirectoryAgainstManifest,
+    verifyDirectoryAgainstManifest
+};
@@ -1,23 +1,474 @@
+/**
+ * Command Line Interface
+ *
+ * Usage: node Update.js [COMMAND] [ARGUMENTS] [OPTIONS]
+ *
+ * Commands:
+ *   status               Installed version, the server's latest and whether an update is pending
+ *   list                 Versions offered to this client
+ *   check                Checks for an update
+ *   install [VERSION]    Installs LATEST (default), a version, or the newest version matching a range
+ *   install --from-file BUNDLE [VERSION]
+ *                        Installs from an offline bundle, without contacting the servers (see Bundles.js)
+ *   bundle [VERSION]... --out BUNDLE
+ *                        Downloads versions (default LATEST) into a bundle for machines without access
+ *   rollback             Reinstates the previous version
+ *   history [--limit N]  Past installs and rollbacks, newest first
+ *   verify               Checks the installed files against the release signature
+ *   clean [--all]        Removes downloads, except an update waiting to be installed by the daemon
+ *   daemon [--interval MINUTES] [--jitter MINUTES] [--window SPEC]...
+ *                        Keeps the application up to date in the background (see UpdateDaemon.js)
+ *   help                 Shows this help
+ *
+ * Options:
+ *   --json               Prints one JSON document on stdout; messages go to stderr
+ *   --channel NAME       Subscribes to a release channel (remembered in update-config.json)
+ *   --constraint RANGE   Holds updates to a version range, 'none' removes it (remembered)
+ *   --allow-downgrade    Lets install go to an older version
+ *
+ * Exit codes:
+ *   0  Success (check: an update is available)
+ *   1  The command failed; with --json, the output has error and code (see Errors.js)
+ *   2  Invalid command line
+ *   3  check: no update is available (the legacy --check flag exits 1, as it always did)
+ *   4  verify: the installed files differ from the signature
+ *
+ * Every command first finishes or rolls back an update that a crashed run left
+ * halfway (see InstallState.js). Updates hold update.lock: a second install or
+ * rollback fails with UPDATE_IN_PROGRESS while one is running.
+ *
+ * Without a command, LATEST is installed. The flags of earlier versions still work:
+ * --check, --list and --rollback, and a bare version is installed.
+ */
 
 const UpdateClient = require('./Updates-Client');
+const UpdateDaemon = require('./UpdateDaemon');
+const { ERROR_CODES } = require('./Errors');
 
-async function main() {
-    const args = process.argv.slice(2);
-    const serverUrl = process.env.UPDATE_SERVER_URL || 'http://localhost:3000';
-    const client = new UpdateClient(serverUrl);
-
-    if (args.includes('--check')) {
-        const available = await client.checkForUpdate();
-        console.log(available ? 'Update available' : 'No update available');
-        process.exit(available ? 0 : 1);
-    } else if (args.includes('--list')) {
-        const versions = await client.getAvailableVersions();
-        console.log('Available versions:', versions);
-    } else if (args[0]) {
-        await client.update(args[0]);
-    } else {
-        await client.update('LATEST');
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    NO_UPDATE: 3,
+    NOT_VERIFIED: 4
+};
+const COMMANDS = [
+    'status', 'list', 'check', 'install', 'rollback', 'history', 'verify', 'clean', 'bundle', 'daemon', 'help'
+];
+// Flags of earlier versions, mapped to their command
+const LEGACY_COMMANDS = { '--check': 'check', '--list': 'list', '--rollback': 'rollback' };
+// Options followed by a value
+const VALUE_OPTIONS = [
+    '--channel', '--constraint', '--limit', '--interval', '--jitter', '--window', '--from-file', '--out'
+];
+
+/**
+ * Creates the error of an invalid command line
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with usage set
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * Parses the command line
+ * @param {Array} args - Command line arguments
+ * @returns {Object} command, positional arguments and options (json, channel, constraint,
+ *     allowDowngrade, all, limit, windows, interval, jitter, fromFile, out, legacy)
+ */
+function parseArgs(args) {
+    const options = { json: false, allowDowngrade: false, all: false, legacy: false, windows: [] };
+    const positional = [];
+    let command = null;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--allow-downgrade') {
+            options.allowDowngrade = true;
+        } else if (arg === '--all') {
+            options.all = true;
+        } else if (arg === '--help' || arg === '-h') {
+            command = 'help';
+        } else if (LEGACY_COMMANDS[arg]) {
+            if (!command) {
+                command = LEGACY_COMMANDS[arg];
+                options.legacy = true;
+            }
+        } else if (VALUE_OPTIONS.includes(arg)) {
+            const value = args[++i];
+            if (value === undefined) {
+                throw usageError(`${arg} needs a value`);
+            }
+            if (arg === '--window') {
+                options.windows.push(value);
+            } else {
+                // e.g. --from-file sets options.fromFile
+                options[arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+            }
+        } else if (arg.startsWith('--')) {
+            throw usageError(`Unknown option: ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    if (!command) {
+        // A bare version (or nothing) installs it, as in earlier versions
+        command = COMMANDS.includes(positional[0]) ? positional.shift() : 'install';
+    }
+    if (command !== 'bundle' && positional.length > (command === 'install' ? 1 : 0)) {
+        throw usageError(`Unexpected argument: ${positional[command === 'install' ? 1 : 0]}`);
+    }
+    if (options.fromFile !== undefined && command !== 'install') {
+        throw usageError('--from-file only works with install');
+    }
+    if (command === 'bundle' && options.out === undefined) {
+        throw usageError('bundle needs --out FILE');
+    }
+    if (options.limit !== undefined && !(Number.isInteger(Number(options.limit)) && Number(options.limit) >= 0)) {
+        throw usageError(`Invalid --limit: ${options.limit}`);
+    }
+
+    return { command, positional, options };
+}
+
+/**
+ * Runs install() or rollback(), catching the reason of a failure from the client's error event
+ * @param {UpdateClient} client - Update client
+ * @param {Function} action - Resolves to the success status
+ * @returns {Promise<Object>} success, and error (the first UpdateError emitted, or null)
+ */
+async function runWithErrors(client, action) {
+    let failure = null;
+    const onError = (error) => {
+        failure = failure || error;
+    };
+    client.on('error', onError);
+    try {
+        const success = await action();
+        return { success, error: success ? null : failure };
+    } finally {
+        client.off('error', onError);
+    }
+}
+
+/**
+ * Formats a number of bytes
+ * @param {number} bytes - Size
+ * @returns {string} Size in B, KB or MB
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+// Each command resolves to { exitCode, data (the --json output), lines (the text output) }
+const handlers = {
+    async status(client) {
+        const check = await client.checkForUpdate();
+        const daemonStatus = new UpdateDaemon(client).readStatus();
+        const { operation } = client.getState();
+        const data = {
+            installedVersion: check.currentVersion,
+            previousVersion: client.getPreviousVersion(),
+            channel: client.channel,
+            constraint: client.versionConstraint,
+            latest: check.latest,
+            available: check.available,
+            version: check.version,
+            urgency: check.urgency,
+            supported: check.supported,
+            pending: daemonStatus.pending ? daemonStatus.pending.version : null,
+            daemon: daemonStatus.state ? { state: daemonStatus.state, pid: daemonStatus.pid || null } : null,
+            operation,
+            error: check.error || null,
+            code: check.code || null
+        };
+
+        const lines = [
+            `Installed version: ${data.installedVersion || 'none'}` +
+                (data.previousVersion ? ` (previous: ${data.previousVersion})` : ''),
+            `Channel: ${data.channel}${data.constraint ? `, version constraint: ${data.constraint}` : ''}`
+        ];
+        if (check.error) {
+            lines.push(`Server: ${check.error}`);
+        } else {
+            lines.push(`Server latest: ${data.latest || 'none'}`);
+            lines.push(data.available ? `Update available: ${data.version} (${data.urgency})` : 'No update available');
+        }
+        if (data.pending) {
+            lines.push(`Downloaded, waiting to be installed: ${data.pending}`);
+        }
+        if (operation) {
+            lines.push(`In progress: ${operation.action} ${operation.from || 'none'} -> ${operation.to || 'unknown'} ` +
+                `(${operation.step}, pid ${operation.pid})`);
+        }
+        if (data.daemon) {
+            lines.push(`Daemon: ${data.daemon.state}${data.daemon.pid ? ` (pid ${data.daemon.pid})` : ''}`);
+        }
+        return { exitCode: check.error ? EXIT_CODES.FAILED : EXIT_CODES.OK, data, lines };
+    },
+
+    async list(client) {
+        const { versions, latest } = await client.fetchVersionList();
+        const installed = client.getCurrentVersion();
+        return {
+            exitCode: EXIT_CODES.OK,
+            data: { channel: client.channel, latest, installedVersion: installed, versions },
+            lines: versions.length === 0
+                ? [`No versions available on channel ${client.channel}`]
+                : versions.map(version => `${version === installed ? '*' : ' '} ${version}` +
+                    (version === latest ? '  (latest)' : ''))
+        };
+    },
+
+    async check(client, { options }) {
+        const result = await client.checkForUpdate();
+        const lines = [];
+        if (result.error) {
+            lines.push(`Update check failed: ${result.error}`);
+        } else if (result.available) {
+            lines.push(`Update available: ${result.currentVersion || 'none'} -> ${result.version} (${result.urgency})`);
+            if (!result.supported) {
+                lines.push('The installed version is no longer supported, please update');
+            }
+            for (const release of result.releases) {
+                if (release.notes) {
+                    lines.push(`\n${release.version}${release.mandatory ? ' (mandatory)' : ''}:\n${release.notes}`);
+                }
+            }
+        } else {
+            lines.push(`No update available${result.constraint ? ` matching ${result.constraint}` : ''}`);
+        }
+
+        // Scripts written for --check expect 1 when no update is available
+        const noUpdate = options.legacy ? EXIT_CODES.FAILED : EXIT_CODES.NO_UPDATE;
+        const exitCode = result.error ? EXIT_CODES.FAILED
+            : result.available ? EXIT_CODES.OK : noUpdate;
+        return { exitCode, data: result, lines };
+    },
+
+    async install(client, { positional, options }) {
+        const requested = positional[0] || 'LATEST';
+        const from = client.getCurrentVersion();
+        const { success, error } = await runWithErrors(client, () => (options.fromFile !== undefined
+            ? client.installFromFile(options.fromFile, requested)
+            : client.update(requested)));
+        const version = client.getCurrentVersion();
+        return {
+            exitCode: success ? EXIT_CODES.OK : EXIT_CODES.FAILED,
+            data: {
+                success,
+                requested,
+                from,
+                version,
+                installed: success && version !== from,
+                error: error ? error.message : null,
+                code: error ? error.code : null
+            },
+            // The client already logged the progress and the outcome
+            lines: []
+        };
+    },
+
+    async rollback(client) {
+        const from = client.getCurrentVersion();
+        const { success, error } = await runWithErrors(client, () => client.rollback());
+        return {
+            exitCode: success ? EXIT_CODES.OK : EXIT_CODES.FAILED,
+            data: {
+                success,
+                from,
+                version: client.getCurrentVersion(),
+                error: error ? error.message : null,
+                code: error ? error.code : null
+            },
+            lines: []
+        };
+    },
+
+    async history(client, { options }) {
+        const entries = client.getHistory(Number(options.limit || 0));
+        return {
+            exitCode: EXIT_CODES.OK,
+            data: { entries },
+            lines: entries.length === 0
+                ? ['No installs recorded yet']
+                : entries.map(entry => `${entry.time}  ${entry.action.padEnd(8)} ` +
+                    `${entry.from || 'none'} -> ${entry.to || entry.requested || 'unknown'}  ${entry.outcome}` +
+                    (entry.durationMs !== null ? ` (${(entry.durationMs / 1000).toFixed(1)}s)` : '') +
+                    (entry.rolledBack ? ', rolled back' : '') +
+                    (entry.recovered ? ' after an interruption' : '') +
+                    (entry.error ? `: ${entry.error.split('\n')[0]}` : ''))
+        };
+    },
+
+    async verify(client) {
+        const result = await client.verifyInstalled();
+        return {
+            exitCode: result.verified ? EXIT_CODES.OK : EXIT_CODES.NOT_VERIFIED,
+            data: result,
+            lines: result.verified
+                ? [`Installed files match the signature of ${result.version}`]
+                : [
+                    `Installed files differ from the signature of ${result.version}:`,
+                    ...result.problems.map(problem => `  ${problem.problem.padEnd(8)} ${problem.path}`)
+                ]
+        };
+    },
+
+    async bundle(client, { positional, options }) {
+        const result = await client.exportBundle(positional.length > 0 ? positional : ['LATEST'], options.out);
+        return {
+            exitCode: EXIT_CODES.OK,
+            data: result,
+            lines: [
+                ...result.builds.map(build => `  ${build.version} (${build.variant || 'all platforms'})`),
+                `Wrote ${result.builds.length} build(s) to ${result.outPath}`
+            ]
+        };
+    },
+
+    async clean(client, { options }) {
+        // The daemon installs its pending download in the next maintenance window
+        const daemonStatus = new UpdateDaemon(client).readStatus();
+        const keep = !options.all && daemonStatus.pending ? [daemonStatus.pending.tarPath] : [];
+        const result = client.cleanDownloads(keep);
+        return {
+            exitCode: EXIT_CODES.OK,
+            data: { ...result, kept: keep },
+            lines: [`Removed ${result.removed.length} file(s), freed ${formatBytes(result.bytes)}` +
+                (keep.length > 0 ? ' (kept the download waiting to be installed, use --all to remove it)' : '')]
+        };
     }
+};
+
+/**
+ * Prints the usage of the command line interface
+ * @param {Function} print - Output function (e.g. console.log)
+ */
+function printUsage(print) {
+    print('Usage: node Update.js [COMMAND] [ARGUMENTS] [OPTIONS]');
+    print('');
+    print('Commands:');
+    print('  status               Installed version, server latest and whether an update is pending');
+    print('  list                 Versions offered to this client');
+    print('  check                Check for an update (exit code 3: none available)');
+    print('  install [VERSION]    Install LATEST (default), a version or the newest match of a range');
+    print('  install --from-file BUNDLE [VERSION]');
+    print('                       Install from an offline bundle, without contacting the servers');
+    print('  bundle [VERSION]... --out BUNDLE');
+    print('                       Download versions (default LATEST) into a bundle for offline machines');
+    print('  rollback             Reinstate the previous version');
+    print('  history [--limit N]  Past installs and rollbacks, newest first');
+    print('  verify               Check the installed files against the signature (exit code 4: they differ)');
+    print('  clean [--all]        Remove downloads (--all: also the one waiting to be installed)');
+    print('  daemon [--interval MINUTES] [--jitter MINUTES] [--window SPEC]...');
+    print('                       Keep the application up to date in the background');
+    print('');
+    print('Options:');
+    print('  --json               Print one JSON document on stdout, messages on stderr');
+    print('  --channel NAME       Subscribe to a release channel (remembered)');
+    print('  --constraint RANGE   Hold updates to a version range, none to remove it (remembered)');
+    print('  --allow-downgrade    Let install go to an older version');
+}
+
+/**
+ * Runs the command line interface
+ * @param {Array} args - Command line arguments
+ * @returns {Promise<number|null>} Exit code, or null while the daemon runs
+ */
+async function main(args) {
+    try {
+        const parsed = parseArgs(args);
+        const { command, options } = parsed;
+
+        if (command === 'help') {
+            printUsage(console.log);
+            return EXIT_CODES.OK;
+        }
+
+        // One or more comma-separated servers, else "servers" in update-config.json, else http://localhost:3000
+        const serverUrl = process.env.UPDATE_SERVER_URL || null;
+        // Keep stdout for the JSON document
+        const logger = options.json
+            ? { log: (...values) => console.error(...values), warn: console.warn, error: console.error }
+            : undefined;
+        const client = new UpdateClient(serverUrl, undefined, { allowDowngrade: options.allowDowngrade, logger });
+
+        if (options.channel !== undefined) {
+            client.setChannel(options.channel);
+        }
+        if (options.constraint !== undefined) {
+            client.setVersionConstraint(options.constraint);
+        }
+
+        if (command !== 'daemon') {
+            // Finish or roll back an update a crashed run left halfway (the daemon does it on every check)
+            try {
+                await client.recover();
+            } catch (error) {
+                // Another process is updating: its operation is not interrupted
+                if (error.code !== ERROR_CODES.UPDATE_IN_PROGRESS) {
+                    throw error;
+                }
+            }
+        }
+
+        if (command === 'daemon') {
+            const daemonOptions = {};
+            if (options.interval !== undefined) {
+                daemonOptions.intervalMinutes = Number(options.interval);
+            }
+            if (options.jitter !== undefined) {
+                daemonOptions.jitterMinutes = Number(options.jitter);
+            }
+            if (options.windows.length > 0) {
+                daemonOptions.maintenanceWindows = options.windows;
+            }
+            new UpdateDaemon(client, daemonOptions).start();
+            return null;
+        }
+
+        const { exitCode, data, lines } = await handlers[command](client, parsed);
+        if (options.json) {
+            console.log(JSON.stringify(data, null, 2));
+        } else {
+            for (const line of lines) {
+                console.log(line);
+            }
+        }
+        return exitCode;
+    } catch (error) {
+        if (args.includes('--json')) {
+            console.log(JSON.stringify({ error: error.message, code: error.code || null }, null, 2));
+        } else {
+            console.error(error.usage ? `Error: ${error.message}` : error.message);
+        }
+        if (error.usage) {
+            printUsage(console.error);
+            return EXIT_CODES.USAGE;
+        }
+        return EXIT_CODES.FAILED;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((exitCode) => {
+        if (exitCode !== null) {
+            process.exit(exitCode);
+        }
+    });
 }
 
-main().catch(console.error);
+module.exports = {
+    EXIT_CODES,
+    main
+};
@@ -0,0 +1,359 @@
+/**
+ * Background Update Daemon
+ *
+ * Keeps an application up to date without a cron wrapper: polls the update
+ * server on an interval (with random jitter, so a fleet does not poll in step),
+ * downloads new versions in the background as soon as they are offered, and
+ * installs them inside the configured maintenance windows - or right away when
+ * a pending release is mandatory.
+ *
+ * Its state is written to update-status.json next to version.txt, so other
+ * processes can see what it is doing. SIGTERM/SIGINT stop it cleanly: a download
+ * in progress is cancelled (and resumed on the next start), an install in
+ * progress is completed first.
+ *
+ * Maintenance windows use the local time: '[DAYS] HH:MM-HH:MM', for example
+ * '02:00-04:00' (every day), 'Sat,Sun 01:00-06:00', 'Mon-Fri 22:00-02:00'
+ * (ends the next morning). Without windows, updates are installed when found.
+ *
+ * Usage:
+ *   node Update.js daemon [--interval MINUTES] [--jitter MINUTES] [--window "Sat 02:00-04:00"]...
+ *
+ * Settings can also be stored in update-config.json:
+ *   { "daemon": { "intervalMinutes": 60, "jitterMinutes": 10, "maintenanceWindows": ["Sat 02:00-04:00"] } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { UpdateError } = require('./Errors');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTE = 60 * 1000;
+
+/**
+ * Parses a maintenance window
+ * @param {string} spec - Window, e.g. 'Mon-Fri 22:00-02:00' or '02:00-04:00'
+ * @returns {Object} Window: days (Set of day numbers, 0 = Sunday), start and end (minutes after midnight)
+ */
+function parseWindow(spec) {
+    const match = /^\s*(?:([a-zA-Z,-]+)\s+)?(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/.exec(spec || '');
+    if (!match) {
+        throw new Error(`Invalid maintenance window: ${spec} (expected e.g. 'Sat,Sun 02:00-04:00')`);
+    }
+
+    const [, daySpec, startHour, startMinute, endHour, endMinute] = match;
+    const start = Number(startHour) * 60 + Number(startMinute);
+    const end = Number(endHour) * 60 + Number(endMinute);
+    if (start >= 24 * 60 || end > 24 * 60 || Number(startMinute) > 59 || Number(endMinute) > 59 || start === end) {
+        throw new Error(`Invalid maintenance window: ${spec}`);
+    }
+
+    const days = new Set();
+    if (!daySpec || daySpec.toLowerCase() === 'daily') {
+        DAY_NAMES.forEach((name, day) => days.add(day));
+    } else {
+        for (const part of daySpec.toLowerCase().split(',')) {
+            const [from, to = from] = part.split('-').map(name => DAY_NAMES.indexOf(name.slice(0, 3)));
+            if (from === -1 || to === -1) {
+                throw new Error(`Invalid day in maintenance window: ${spec}`);
+            }
+            // Ranges may wrap around the week (e.g. Fri-Mon)
+            for (let day = from; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === to) {
+                    break;
+                }
+            }
+        }
+    }
+
+    return { spec, days, start, end };
+}
+
+/**
+ * Checks whether a date falls inside a maintenance window
+ * @param {Object} window - Parsed window
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ */
+function isInWindow(window, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+
+    if (window.start < window.end) {
+        return window.days.has(day) && minutes >= window.start && minutes < window.end;
+    }
+
+    // The window runs past midnight: it started today or the day before
+    return (window.days.has(day) && minutes >= window.start) ||
+        (window.days.has((day + 6) % 7) && minutes < window.end);
+}
+
+/**
+ * Gets the start of the next maintenance window after a date
+ * @param {Array} windows - Parsed windows
+ * @param {Date} date - Date to search from
+ * @returns {Date|null} Start of the next window, or null without windows
+ */
+function nextWindowStart(windows, date) {
+    let next = null;
+
+    for (let offset = 0; offset <= 7; offset++) {
+        for (const window of windows) {
+            const start = new Date(date);
+            start.setDate(start.getDate() + offset);
+            if (!window.days.has(start.getDay())) {
+                continue;
+            }
+            start.setHours(Math.floor(window.start / 60), window.start % 60, 0, 0);
+            if (start > date && (!next || start < next)) {
+                next = start;
+            }
+        }
+    }
+
+    return next;
+}
+
+class UpdateDaemon {
+    /**
+     * @param {UpdateClient} client - Client used to check, download and install updates
+     * @param {Object} options - Daemon options (default: the 'daemon' settings of update-config.json)
+     * @param {number} [options.intervalMinutes=60] - Minutes between two checks
+     * @param {number} [options.jitterMinutes=10] - Up to this many minutes are added to every wait
+     * @param {Array} [options.maintenanceWindows=[]] - Windows updates may be installed in
+     *     (none: install as soon as an update is downloaded)
+     * @param {string} [options.statusFile] - Status file, defaults to update-status.json next to version.txt
+     */
+    constructor(client, options = {}) {
+        const config = client.getConfig().daemon || {};
+        const setting = (name, fallback) => (options[name] !== undefined ? options[name]
+            : config[name] !== undefined ? config[name] : fallback);
+
+        this.client = client;
+        this.interval = Number(setting('intervalMinutes', 60)) * MINUTE;
+        this.jitter = Number(setting('jitterMinutes', 10)) * MINUTE;
+        this.windows = setting('maintenanceWindows', []).map(parseWindow);
+        this.statusFile = options.statusFile || path.join(path.dirname(client.versionFile), 'update-status.json');
+
+        if (!(this.interval > 0) || !(this.jitter >= 0)) {
+            throw new Error('The check interval must be positive and the jitter must not be negative');
+        }
+
+        this.timer = null;
+        this.running = false;
+        this.busy = null;
+        // Downloaded update waiting for a maintenance window, kept across restarts
+        this.pending = this.readStatus().pending || null;
+        this.status = { pending: this.pending };
+    }
+
+    /**
+     * Starts polling, and stops cleanly on SIGTERM/SIGINT
+     */
+    start() {
+        this.running = true;
+        this.onSignal = (signal) => {
+            this.client.logger.log(`Received ${signal}, stopping...`);
+            this.stop().then(() => process.exit(0));
+        };
+        process.on('SIGTERM', this.onSignal);
+        process.on('SIGINT', this.onSignal);
+
+        this.client.logger.log(`Update daemon started (pid ${process.pid}), checking every ${this.interval / MINUTE} minutes` +
+            (this.windows.length > 0
+                ? `, installing in: ${this.windows.map(window => window.spec).join(', ')}`
+                : ', installing as soon as updates are downloaded'));
+
+        this.writeStatus({ state: 'starting', startedAt: new Date().toISOString() });
+
+        // Spread the first check as well, so restarted fleets do not poll together
+        this.schedule(Math.round(Math.random() * this.jitter));
+    }
+
+    /**
+     * Stops the daemon: cancels a download in progress, lets an install in progress finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+        clearTimeout(this.timer);
+        process.removeListener('SIGTERM', this.onSignal);
+        process.removeListener('SIGINT', this.onSignal);
+
+        if (this.status.state === 'downloading') {
+            this.client.cancel();
+        }
+        if (this.busy) {
+            await this.busy;
+        }
+
+        this.writeStatus({ state: 'stopped', nextCheck: null });
+        this.client.logger.log('Update daemon stopped');
+    }
+
+    /**
+     * Schedules the next check
+     * @param {number} delay - Milliseconds to wait
+     */
+    schedule(delay) {
+        if (!this.running) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.writeStatus({ nextCheck: new Date(Date.now() + delay).toISOString() });
+        this.timer = setTimeout(() => {
+            this.busy = this.tick().finally(() => {
+                this.busy = null;
+            });
+        }, delay);
+    }
+
+    /**
+     * Runs one check: downloads a new version if needed and installs it when allowed
+     * @returns {Promise<void>}
+     */
+    async tick() {
+        let delay = this.interval + Math.round(Math.random() * this.jitter);
+
+        try {
+            this.writeStatus({ state: 'checking', lastCheck: new Date().toISOString() });
+            // Finish or roll back an update a crashed run left halfway
+            await this.client.recover();
+            const check = await this.client.checkForUpdate();
+            if (check.error) {
+                throw new UpdateError(check.code, check.error);
+            }
+            if (!this.running) {
+                return;
+            }
+
+            this.writeStatus({
+                currentVersion: check.currentVersion,
+                availableVersion: check.version,
+                mandatory: check.mandatory,
+                lastError: null,
+                lastErrorCode: null
+            });
+
+            if (!check.available) {
+                this.discardPending();
+                this.writeStatus({ state: 'idle' });
+            } else {
+                // Download in the background, once per version
+                if (!this.pending || this.pending.version !== check.version ||
+                    (this.pending.isDelta && this.pending.from !== check.currentVersion) ||
+                    !fs.existsSync(this.pending.tarPath)) {
+                    this.discardPending();
+                    this.writeStatus({ state: 'downloading' });
+                    this.pending = await this.client.download(check.version);
+                    this.writeStatus({ pending: this.pending });
+                }
+
+                const now = new Date();
+                if (check.mandatory || this.isInMaintenanceWindow(now)) {
+                    this.writeStatus({ state: 'installing' });
+                    const download = this.pending;
+                    this.pending = null;
+                    this.writeStatus({ pending: null });
+                    // install() reports why it failed through the client's error event
+                    let installError = null;
+                    const onError = (error) => {
+                        installError = installError || error;
+                    };
+                    this.client.on('error', onError);
+                    let success;
+                    try {
+                        success = await this.client.install(download);
+                    } finally {
+                        this.client.off('error', onError);
+                    }
+                    this.writeStatus({
+                        state: 'idle',
+                        currentVersion: this.client.getCurrentVersion(),
+                        lastInstall: { version: download.version, success, time: new Date().toISOString() },
+                        lastError: success ? null : `Install of ${download.version} failed` +
+                            (installError ? `: ${installError.message}` : ''),
+                        lastErrorCode: success ? null : (installError ? installError.code : null)
+                    });
+                } else {
+                    // Come back when the next window opens (within its first minutes)
+                    const windowStart = nextWindowStart(this.windows, now);
+                    this.writeStatus({ state: 'waiting', nextWindow: windowStart.toISOString() });
+                    delay = Math.min(delay, windowStart - now + Math.round(Math.random() * Math.min(this.jitter, 5 * MINUTE)));
+                }
+            }
+        } catch (error) {
+            if (error.cancelled) {
+                return;
+            }
+            this.client.logger.error('Update check failed:', error.message);
+            this.writeStatus({ state: 'error', lastError: error.message, lastErrorCode: error.code || null });
+        }
+
+        this.schedule(delay);
+    }
+
+    /**
+     * Checks whether updates may be installed now
+     * @param {Date} date - Date to check
+     * @returns {boolean} True inside a maintenance window, or when no windows are configured
+     */
+    isInMaintenanceWindow(date) {
+        return this.windows.length === 0 || this.windows.some(window => isInWindow(window, date));
+    }
+
+    /**
+     * Removes a downloaded update that is no longer offered
+     */
+    discardPending() {
+        if (this.pending) {
+            fs.rmSync(this.pending.tarPath, { force: true });
+            this.pending = null;
+            this.writeStatus({ pending: null });
+        }
+    }
+
+    /**
+     * Reads the status file of the last run
+     * @returns {Object} Status (empty if there is none)
+     */
+    readStatus() {
+        try {
+            if (fs.existsSync(this.statusFile)) {
+                return JSON.parse(fs.readFileSync(this.statusFile, 'utf8'));
+            }
+        } catch (error) {
+            this.client.logger.error('Error reading status file:', error.message);
+        }
+        return {};
+    }
+
+    /**
+     * Merges changes into the status file
+     * @param {Object} changes - Status fields to set
+     */
+    writeStatus(changes) {
+        this.status = {
+            ...this.status,
+            pid: process.pid,
+            ...changes,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            // Write then rename, so readers never see a half-written file
+            const tmpFile = `${this.statusFile}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(this.status, null, 2));
+            fs.renameSync(tmpFile, this.statusFile);
+        } catch (error) {
+            this.client.logger.error('Error writing status file:', error.message);
+        }
+    }
+}
+
+module.exports = UpdateDaemon;
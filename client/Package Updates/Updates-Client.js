@@ -10,36 +10,605 @@
  * │   └── Updates-Client.js      ← This file
  * │   └── TARer.js               ← Required for tar operations
  * |   └── update.js              ← Command Line Interface
+ * │   └── Signatures.js          ← Release signature verification
+ * │   └── SemVer.js              ← Version ordering
+ * │   └── Hooks.js               ← Lifecycle hook runner
+ * │   └── Preserve.js            ← Local data kept across installs
+ * │   └── ReleaseSubscription.js ← Release event stream listener
+ * │   └── Servers.js             ← Server failover and mirror ranking
+ * │   └── Errors.js              ← Error codes of failed updates
+ * │   └── InstallState.js        ← State journal and update lock
+ * │   └── Bundles.js             ← Offline update bundles
+ * │   └── SafeExtract.js         ← Archive checks before extraction
+ * │   └── release-public.pem     ← Pinned release public key
  * └── app/                       ← Current app (will be replaced)
- * └── version.txt                ← Tracks currently installed version
+ * └── app.staging/               ← New version being extracted (temporary)
+ * └── app.previous/              ← Previous version, kept for rollback
+ * └── update-state.json          ← Current and previous version, history, operation in progress
+ * └── update-signatures.json     ← Signatures of the current and previous version, for offline checks
+ * └── update.lock                ← Held by the process updating the app
+ * └── version.txt                ← Currently installed version (copy of update-state.json's)
+ * └── update-config.json         ← Client settings (e.g. subscribed release channel, install id)
+ * └── update-status.json         ← State of the update daemon (see UpdateDaemon.js)
+ * └── update-conflicts.json      ← Preserved paths that differed from the last installed release
+ *
+ * Installs never extract over the live app: the archive is extracted into
+ * app.staging/ and swapped in with renames, keeping the replaced app as
+ * app.previous/ so a failed update (or rollback()) can reinstate it.
+ *
+ * Archives are checked before they are extracted: entries that would land outside
+ * the app (absolute paths, '..', links pointing out of it), device files and archives
+ * beyond the size and file count limits (options.extractLimits) are rejected, and
+ * permissions are normalized; see SafeExtract.js.
+ *
+ * Installs and rollbacks hold update.lock, so two processes never replace the app
+ * at the same time, and journal their steps in update-state.json. When a run dies
+ * halfway, the next one finishes the operation if the new version was already
+ * swapped in, and rolls it back otherwise (see recover()).
+ *
+ * When the installed version is known, the server is asked for a delta
+ * (changed files and a list of deleted paths) which is applied to a copy
+ * of the current app. If that fails, the full archive is used instead.
+ *
+ * Every downloaded archive is checked against a detached signature made with the
+ * release private key before anything is installed. The key pair is created with
+ * the host's Sign-Release.js tool; only the public key is shipped to clients.
+ *
+ * subscribe() listens to the server's release events (Server-Sent Events), so new
+ * releases are known as soon as they are published; it falls back to polling when
+ * the server does not offer the stream.
+ *
+ * After every install attempt, a report (install id, versions, outcome, duration,
+ * error and platform) is sent to the server's /reports endpoint, so the fleet's
+ * state can be followed there; turn it off with options.telemetry = false.
+ *
+ * Several update servers can be configured (an array, a comma-separated
+ * UPDATE_SERVER_URL or "servers" in update-config.json): requests fail over to
+ * the next one on connection errors and 5xx responses, and the last server that
+ * answered is remembered. Archives can be downloaded from mirrors, nearest first,
+ * while metadata and signatures come from the update servers; see Servers.js.
+ *
+ * Machines without access to the update servers install from a bundle file
+ * (installFromFile()) exported by the host's Export-Bundle.js, or by a client that
+ * has access (exportBundle()). Its archives are checked against their checksums and
+ * bundled signatures, then installed like a download; no report is sent.
+ *
+ * Requests carry the client's platform and architecture (options.platform and
+ * options.arch, process.platform and process.arch by default), so servers hosting
+ * a build per platform send the matching one.
+ *
+ * Servers that require client authentication are sent a client key, as a bearer
+ * token (options.token or UPDATE_SERVER_TOKEN) or an API key (options.apiKey).
+ *
+ * Updates to LATEST can be held to a version constraint (options.versionConstraint,
+ * or "versionConstraint" in update-config.json), e.g. '^1.4.0' for a client that must
+ * stay on 1.x: the newest matching version is installed instead of the server's
+ * latest. Downgrades are refused unless options.allowDowngrade is set; rollback()
+ * is not affected.
+ *
+ * Lifecycle hooks (options.hooks, or "hooks" in update-config.json) run around an
+ * install: preInstall before the swap (e.g. stop the service), postInstall after it
+ * (e.g. migrate, restart) and healthCheck last. If postInstall or healthCheck fails,
+ * the previous version is restored and the update is reported as failed.
+ *
+ * Local data inside the app (config files, databases, logs) matching the preserve
+ * rules of the client settings or of the release is carried over into the new
+ * version; see Preserve.js.
+ *
+ * The client is an EventEmitter, so an embedding application can follow an update:
+ * checking, update-available, download-progress, verifying, installing, installed,
+ * rolled-back, recovered and error (see the Events section of the client README). Failures
+ * are UpdateErrors with a code (see Errors.js), and messages go to options.logger
+ * (console by default, null to silence them).
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const tar = require('tar');
 const { createTarArchive } = require('./TARer');
+const SemVer = require('./SemVer');
+const { HOOK_NAMES, normalizeHook, runHook } = require('./Hooks');
+const { normalizeRules, readReleaseRules, findRule, applyPreserveRules } = require('./Preserve');
+const ReleaseSubscription = require('./ReleaseSubscription');
+const { parseServerUrls, isFailoverError, rankByLatency } = require('./Servers');
+const { ERROR_CODES, UpdateError, toUpdateError } = require('./Errors');
+const { InstallState, acquireLock, releaseLock } = require('./InstallState');
+const { readBundle, selectBuild, verifyChecksum, writeBundle } = require('./Bundles');
+const { normalizeLimits, safeExtract } = require('./SafeExtract');
+const {
+    loadPublicKey,
+    verifyManifestSignature,
+    verifyArchiveAgainstManifest,
+    diffDirectoryAgainstManifest,
+    verifyDirectoryAgainstManifest
+} = require('./Signatures');
 
-class UpdateClient {
-    constructor(serverUrl, appPath = '../app') {
-        this.serverUrl = serverUrl;
+const DEFAULT_PUBLIC_KEY = path.join(__dirname, 'release-public.pem');
+const DEFAULT_SERVER_URL = 'http://localhost:3000';
+// How long the nearest-first order of the mirrors is reused before they are measured again (ms)
+const MIRROR_RANKING_TTL = 60 * 60 * 1000;
+// Time allowed to a mirror to answer the latency probe (ms)
+const MIRROR_PROBE_TIMEOUT = 5000;
+// Name of the metadata file at the root of a delta archive
+const DELTA_META_FILE = 'omniupdate-delta.json';
+// Minimum time between two download-progress events (ms)
+const PROGRESS_INTERVAL = 250;
+// Logger that drops every message
+const SILENT_LOGGER = { log() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Wraps the logger given to the client, so loggers without a log method (e.g. pino) work
+ * @param {Object|null|undefined} logger - Logger with log/info, warn and error methods;
+ *     undefined for console, null to drop every message
+ * @returns {Object} Logger with log, info, warn and error methods
+ */
+function createLogger(logger) {
+    if (logger === undefined) {
+        return console;
+    }
+    if (!logger) {
+        return SILENT_LOGGER;
+    }
+
+    const write = (method, fallback) => (typeof logger[method] === 'function'
+        ? logger[method].bind(logger)
+        : typeof logger[fallback] === 'function' ? logger[fallback].bind(logger) : () => {});
+    return {
+        log: write('log', 'info'),
+        info: write('info', 'log'),
+        warn: write('warn', 'log'),
+        error: write('error', 'log')
+    };
+}
+
+class UpdateClient extends EventEmitter {
+    /**
+     * @param {string|Array} serverUrl - URL of the update server, or an ordered list of servers (array or
+     *     comma-separated) to fail over between; defaults to "servers" in update-config.json, else
+     *     http://localhost:3000
+     * @param {string} appPath - Path to the application directory
+     * @param {Object} options - Client options
+     * @param {string} [options.publicKey] - Pinned release public key (PEM or path to a PEM file),
+     *     defaults to UPDATE_PUBLIC_KEY or release-public.pem next to this file
+     * @param {boolean} [options.allowUnsigned=false] - Install releases without a signature check
+     * @param {boolean} [options.deltaUpdates=true] - Ask for delta archives from the installed version
+     * @param {string} [options.channel] - Release channel, defaults to the one saved in
+     *     update-config.json, else 'stable'
+     * @param {string} [options.appId] - Application id on a multi-application server,
+     *     defaults to UPDATE_APP_ID (none: the server's default application)
+     * @param {number} [options.downloadAttempts=5] - Attempts before a download is given up
+     * @param {number} [options.downloadTimeout=30000] - Milliseconds to wait for a response or for
+     *     the next data of a download before retrying
+     * @param {number} [options.retryDelay=1000] - Base delay of the exponential retry backoff (ms)
+     * @param {number} [options.maxRetryDelay=30000] - Upper bound of the retry backoff (ms)
+     * @param {string} [options.token] - Client key sent as a bearer token, defaults to UPDATE_SERVER_TOKEN
+     * @param {string} [options.apiKey] - Client key sent in the X-API-Key header instead
+     * @param {Object} [options.hooks] - Lifecycle hooks (preInstall, postInstall, healthCheck), each a
+     *     command line or { command, timeout, attempts, delay }; defaults to "hooks" in update-config.json
+     * @param {Array} [options.preserve] - Paths in the app kept across installs: glob patterns, or
+     *     { path, strategy } with strategy 'keep', 'take-new' or 'save-new'; defaults to "preserve"
+     *     in update-config.json
+     * @param {boolean} [options.reportConflicts] - Log preserved paths that differ from the release and
+     *     write them to update-conflicts.json; defaults to "reportConflicts" in update-config.json
+     * @param {boolean} [options.telemetry=true] - Report the outcome of every install attempt to the server;
+     *     defaults to "telemetry" in update-config.json
+     * @param {string} [options.platform] - Platform whose builds are installed, defaults to "platform" in
+     *     update-config.json, else process.platform
+     * @param {string} [options.arch] - Architecture whose builds are installed, defaults to "arch" in
+     *     update-config.json, else process.arch
+     * @param {string|Array} [options.mirrors] - Mirrors archives are downloaded from, nearest first (array
+     *     or comma-separated); defaults to UPDATE_MIRROR_URL, else "mirrors" in update-config.json
+     * @param {string} [options.versionConstraint] - Range updates to LATEST must match (e.g. '^2.1.0',
+     *     '~1.4', '<3.0.0'); defaults to "versionConstraint" in update-config.json (none: any version)
+     * @param {boolean} [options.allowDowngrade=false] - Install versions older than the installed one
+     * @param {Object} [options.extractLimits] - Limits of extracted archives (maxFiles, maxFileSize and
+     *     maxTotalSize in bytes; see SafeExtract.js); defaults to "extractLimits" in update-config.json
+     * @param {Object|null} [options.logger=console] - Where messages go: an object with log (or info),
+     *     warn and error methods, or null to silence the client
+     */
+    constructor(serverUrl, appPath = '../app', options = {}) {
+        super();
+        this.logger = createLogger(options.logger);
+        this.appId = options.appId || process.env.UPDATE_APP_ID || null;
         this.appPath = path.resolve(appPath);
         this.versionFile = path.join(path.dirname(this.appPath), 'version.txt');
+        this.stagingPath = `${this.appPath}.staging`;
+        this.backupPath = `${this.appPath}.previous`;
+        this.state = new InstallState(path.join(path.dirname(this.appPath), 'update-state.json'), {
+            versionFile: this.versionFile,
+            previousVersionFile: path.join(path.dirname(this.appPath), 'previous-version.txt'),
+            historyFile: path.join(path.dirname(this.appPath), 'update-history.log'),
+            signaturesFile: path.join(path.dirname(this.appPath), 'update-signatures.json'),
+            logger: this.logger
+        });
+        this.lockFile = path.join(path.dirname(this.appPath), 'update.lock');
+        // Owner of update.lock while this client holds it
+        this.lockOwner = null;
+        this.publicKey = options.publicKey || process.env.UPDATE_PUBLIC_KEY ||
+            (fs.existsSync(DEFAULT_PUBLIC_KEY) ? DEFAULT_PUBLIC_KEY : null);
+        this.allowUnsigned = options.allowUnsigned === true;
+        this.deltaUpdates = options.deltaUpdates !== false;
+        this.configFile = path.join(path.dirname(this.appPath), 'update-config.json');
+        this.servers = parseServerUrls(serverUrl || this.getConfig().servers || DEFAULT_SERVER_URL);
+        if (this.servers.length === 0) {
+            throw new UpdateError(ERROR_CODES.INVALID_CONFIG, 'No update server configured');
+        }
+        // Server requests go to first: the last one that answered
+        const lastServer = this.getConfig().lastServer;
+        this.serverUrl = this.servers.includes(lastServer) ? lastServer : this.servers[0];
+        this.mirrors = parseServerUrls(
+            options.mirrors || process.env.UPDATE_MIRROR_URL || this.getConfig().mirrors || [],
+            'mirror'
+        );
+        // Mirrors nearest first, and when they were measured
+        this.mirrorRanking = null;
+        // Server or mirror the last download came from ({ url, mirror })
+        this.downloadSource = null;
+        // Signature document verified last ({ version, signed }), kept once its version is installed
+        this.verifiedSignature = null;
+        this.channel = options.channel || this.getConfig().channel || 'stable';
+        this.versionConstraint = options.versionConstraint || this.getConfig().versionConstraint || null;
+        if (this.versionConstraint && !SemVer.isValidRange(this.versionConstraint)) {
+            throw new UpdateError(ERROR_CODES.INVALID_CONFIG, `Invalid version constraint: ${this.versionConstraint}`);
+        }
+        this.allowDowngrade = options.allowDowngrade === true;
+        this.installId = this.getInstallId();
+        this.downloadsDir = path.join(__dirname, 'downloads');
+        this.downloadAttempts = options.downloadAttempts || 5;
+        this.downloadTimeout = options.downloadTimeout || 30000;
+        this.retryDelay = options.retryDelay || 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+        this.token = options.token || (options.apiKey ? null : process.env.UPDATE_SERVER_TOKEN || null);
+        this.apiKey = options.apiKey || null;
+        // Aborts the download in progress (see cancel())
+        this.abortController = null;
+        this.hooks = this.loadHooks(options.hooks || this.getConfig().hooks || {});
+        this.preserve = normalizeRules(options.preserve || this.getConfig().preserve || [], 'client settings');
+        this.reportConflicts = options.reportConflicts !== undefined
+            ? options.reportConflicts === true
+            : this.getConfig().reportConflicts === true;
+        this.conflictsFile = path.join(path.dirname(this.appPath), 'update-conflicts.json');
+        this.telemetry = options.telemetry !== undefined
+            ? options.telemetry !== false
+            : this.getConfig().telemetry !== false;
+        this.platform = options.platform || this.getConfig().platform || process.platform;
+        this.arch = options.arch || this.getConfig().arch || process.arch;
+        this.extractLimits = normalizeLimits(options.extractLimits || this.getConfig().extractLimits || {});
     }
 
     /**
-     * Gets the current installed version from version.txt
-     * @returns {string|null} Current version or null if not found
+     * Validates the lifecycle hook settings
+     * @param {Object} settings - Hook settings by name
+     * @returns {Object} Normalized hooks by name (missing hooks are null)
      */
-    getCurrentVersion() {
+    loadHooks(settings) {
+        for (const name of Object.keys(settings)) {
+            if (!HOOK_NAMES.includes(name)) {
+                throw new UpdateError(ERROR_CODES.INVALID_CONFIG,
+                    `Unknown hook: ${name} (supported: ${HOOK_NAMES.join(', ')})`);
+            }
+        }
+
+        const hooks = {};
+        for (const name of HOOK_NAMES) {
+            hooks[name] = normalizeHook(settings[name], name);
+        }
+        return hooks;
+    }
+
+    /**
+     * Runs a lifecycle hook, if it is configured
+     * @param {string} name - Hook name ('preInstall', 'postInstall' or 'healthCheck')
+     * @param {Object} context - Install the hook runs for
+     * @param {string|null} context.from - Version being replaced
+     * @param {string|null} context.to - Version being installed
+     * @param {boolean} [context.rollback=false] - Whether the previous version is being reinstated
+     * @returns {Promise<void>} Rejects with a HOOK_FAILED error if the hook fails
+     */
+    async runLifecycleHook(name, context) {
+        const hook = this.hooks[name];
+        if (!hook) {
+            return;
+        }
+
+        try {
+            await runHook(name, hook, {
+                cwd: fs.existsSync(this.appPath) ? this.appPath : path.dirname(this.appPath),
+                env: {
+                    OMNIUPDATE_HOOK: name,
+                    OMNIUPDATE_APP_PATH: this.appPath,
+                    OMNIUPDATE_FROM_VERSION: context.from || '',
+                    OMNIUPDATE_TO_VERSION: context.to || '',
+                    OMNIUPDATE_ROLLBACK: context.rollback ? 'true' : 'false'
+                },
+                logger: this.logger
+            });
+        } catch (error) {
+            const hookError = new UpdateError(ERROR_CODES.HOOK_FAILED, error.message, { cause: error });
+            hookError.hook = name;
+            hookError.output = error.output;
+            throw hookError;
+        }
+    }
+
+    /**
+     * Builds the URL of a server endpoint for this client's application
+     * @param {string} endpoint - Endpoint name (e.g. 'versions')
+     * @param {string} serverUrl - (optional) Server or mirror, defaults to the current update server
+     * @returns {string} Endpoint URL
+     */
+    getEndpointUrl(endpoint, serverUrl = this.serverUrl) {
+        if (this.appId) {
+            return `${serverUrl}/apps/${encodeURIComponent(this.appId)}/${endpoint}`;
+        }
+        return `${serverUrl}/${endpoint}`;
+    }
+
+    /**
+     * Gets the update servers in the order requests try them
+     * @returns {Array} Current server first, then the others in configured order
+     */
+    getServerOrder() {
+        return [this.serverUrl, ...this.servers.filter(serverUrl => serverUrl !== this.serverUrl)];
+    }
+
+    /**
+     * Makes a server the one requests go to first, and remembers it in update-config.json
+     * @param {string} serverUrl - Update server that answered
+     */
+    markServerHealthy(serverUrl) {
+        if (serverUrl === this.serverUrl && this.getConfig().lastServer === serverUrl) {
+            return;
+        }
+        if (serverUrl !== this.serverUrl) {
+            this.logger.log(`Using update server ${serverUrl}`);
+        }
+        this.serverUrl = serverUrl;
+
+        if (this.servers.length > 1) {
+            try {
+                this.saveConfig({ lastServer: serverUrl });
+            } catch (error) {
+                this.logger.error('Error saving last update server:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Moves on to the next update server after a failed request (e.g. of the release event stream)
+     * @param {string} serverUrl - Server that failed
+     */
+    failover(serverUrl) {
+        if (serverUrl === this.serverUrl && this.servers.length > 1) {
+            const next = this.servers[(this.servers.indexOf(serverUrl) + 1) % this.servers.length];
+            this.logger.warn(`Update server ${serverUrl} unavailable, switching to ${next}`);
+            this.serverUrl = next;
+        }
+    }
+
+    /**
+     * Sends a request to the update servers, failing over to the next server on
+     * connection errors, timeouts and 5xx responses
+     * @param {string} endpoint - Endpoint name (e.g. 'versions')
+     * @param {Object} config - (optional) axios request config (method, params, data, timeout, ...)
+     * @returns {Promise<Object>} Response of the first server that answered
+     */
+    async serverRequest(endpoint, config = {}) {
+        const servers = this.getServerOrder();
+        let lastError = null;
+
+        for (let index = 0; index < servers.length; index++) {
+            try {
+                const response = await axios({
+                    method: 'GET',
+                    ...config,
+                    url: this.getEndpointUrl(endpoint, servers[index]),
+                    headers: { ...this.getRequestHeaders(), ...config.headers }
+                });
+                this.markServerHealthy(servers[index]);
+                return response;
+            } catch (error) {
+                if (!isFailoverError(error)) {
+                    throw error;
+                }
+                if (index < servers.length - 1) {
+                    this.logger.warn(`Update server ${servers[index]} unavailable (${error.message}), ` +
+                        `trying ${servers[index + 1]}...`);
+                }
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Gets the servers an archive is downloaded from, in the order they are tried
+     * @param {boolean} useMirrors - (optional) Include the mirrors, nearest first
+     * @returns {Promise<Array>} Sources: url, and mirror (true for a mirror)
+     */
+    async getDownloadSources(useMirrors = true) {
+        const servers = this.getServerOrder().map(url => ({ url, mirror: false }));
+
+        if (!useMirrors || this.mirrors.length === 0) {
+            return servers;
+        }
+        if (!this.publicKey) {
+            // Without a signature check, nothing would detect an altered archive
+            this.logger.warn('WARNING: No release public key pinned, not downloading from mirrors');
+            return servers;
+        }
+
+        if (!this.mirrorRanking || Date.now() - this.mirrorRanking.time > MIRROR_RANKING_TTL) {
+            const headers = this.getRequestHeaders(false);
+            const urls = await rankByLatency(this.mirrors, async (mirrorUrl) => {
+                const start = Date.now();
+                try {
+                    await axios.get(this.getEndpointUrl('health', mirrorUrl), {
+                        headers,
+                        timeout: MIRROR_PROBE_TIMEOUT
+                    });
+                } catch (error) {
+                    return null;
+                }
+                return Date.now() - start;
+            });
+            this.mirrorRanking = { time: Date.now(), urls };
+        }
+
+        return [...this.mirrorRanking.urls.map(url => ({ url, mirror: true })), ...servers];
+    }
+
+    /**
+     * Gets the persistent install id of this client, creating it on first use.
+     * The server uses it to place the client in staged rollouts.
+     * @returns {string} Install id
+     */
+    getInstallId() {
+        const config = this.getConfig();
+        if (config.installId) {
+            return config.installId;
+        }
+
+        const installId = crypto.randomUUID();
+        try {
+            this.saveConfig({ installId });
+        } catch (error) {
+            this.logger.error('Error saving install id:', error.message);
+        }
+        return installId;
+    }
+
+    /**
+     * Builds the headers identifying (and authenticating) this client to the server
+     * @param {boolean} includeCredentials - (optional) Include the client key (not sent to mirrors)
+     * @returns {Object} Request headers
+     */
+    getRequestHeaders(includeCredentials = true) {
+        const headers = {
+            'X-Install-Id': this.installId,
+            'X-Platform': this.platform,
+            'X-Arch': this.arch
+        };
+        const currentVersion = this.getCurrentVersion();
+        if (currentVersion) {
+            headers['X-Current-Version'] = currentVersion;
+        }
+        if (!includeCredentials) {
+            return headers;
+        }
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        } else if (this.apiKey) {
+            headers['X-API-Key'] = this.apiKey;
+        }
+        return headers;
+    }
+
+    /**
+     * Turns a 401/403 response into an error explaining the access problem
+     * @param {Error} error - Request error
+     * @returns {Error} ACCESS_DENIED error, or the original error for anything else
+     */
+    toAccessError(error) {
+        const status = error.response && error.response.status;
+        if (status !== 401 && status !== 403) {
+            return error;
+        }
+
+        // Stream responses carry no parsed body
+        const data = error.response.data;
+        const reason = data && typeof data.error === 'string' ? `: ${data.error}` : '';
+        const app = this.appId ? `application ${this.appId}` : 'the default application';
+
+        let message;
+        if (status === 401) {
+            message = this.token || this.apiKey
+                ? `Authentication failed, the update server rejected the client key (401)${reason}`
+                : `Authentication required, the update server needs a client key (401)${reason}. ` +
+                  'Set UPDATE_SERVER_TOKEN or pass options.token / options.apiKey';
+        } else {
+            message = `Access denied (403), the client key does not give access to ${app} ` +
+                `on channel ${this.channel}${reason}`;
+        }
+
+        return new UpdateError(ERROR_CODES.ACCESS_DENIED, message, { cause: error, status });
+    }
+
+    /**
+     * Reads the client settings from update-config.json
+     * @returns {Object} Settings (empty if the file does not exist)
+     */
+    getConfig() {
         try {
-            if (fs.existsSync(this.versionFile)) {
-                return fs.readFileSync(this.versionFile, 'utf8').trim();
+            if (fs.existsSync(this.configFile)) {
+                return JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
             }
         } catch (error) {
-            console.error('Error reading version file:', error.message);
+            this.logger.error('Error reading config file:', error.message);
+        }
+        return {};
+    }
+
+    /**
+     * Merges settings into update-config.json
+     * @param {Object} changes - Settings to store
+     */
+    saveConfig(changes) {
+        const config = { ...this.getConfig(), ...changes };
+        fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+    }
+
+    /**
+     * Subscribes the client to a release channel and remembers it
+     * @param {string} channel - Channel name (e.g. 'stable', 'beta', 'nightly')
+     */
+    setChannel(channel) {
+        if (!/^[a-zA-Z-]+$/.test(channel)) {
+            throw new UpdateError(ERROR_CODES.INVALID_CONFIG, `Invalid channel: ${channel}`);
+        }
+        this.channel = channel.toLowerCase();
+        this.saveConfig({ channel: this.channel });
+        this.logger.log(`Subscribed to channel: ${this.channel}`);
+    }
+
+    /**
+     * Sets the range updates to LATEST must match and remembers it
+     * @param {string|null} range - Range (e.g. '^2.1.0'), or null, '' or 'none' to remove the constraint
+     */
+    setVersionConstraint(range) {
+        if (!range || range === 'none') {
+            this.versionConstraint = null;
+            this.saveConfig({ versionConstraint: null });
+            this.logger.log('Version constraint removed');
+            return;
+        }
+        if (!SemVer.isValidRange(range)) {
+            throw new UpdateError(ERROR_CODES.INVALID_CONFIG, `Invalid version constraint: ${range}`);
         }
-        return null;
+        this.versionConstraint = range.trim();
+        this.saveConfig({ versionConstraint: this.versionConstraint });
+        this.logger.log(`Version constraint: ${this.versionConstraint}`);
+    }
+
+    /**
+     * Gets the current installed version from update-state.json
+     * @returns {string|null} Current version or null if not found
+     */
+    getCurrentVersion() {
+        return this.state.read().currentVersion;
+    }
+
+    /**
+     * Reads the install state journal
+     * @returns {Object} currentVersion, previousVersion, history (oldest first) and operation: the
+     *     install or rollback in progress ({ action, from, to, step, startedAt, pid }), null when idle
+     */
+    getState() {
+        return this.state.read();
     }
 
     /**
@@ -48,25 +617,35 @@ class UpdateClient {
      */
     async getAvailableVersions() {
         try {
-            const response = await axios.get(`${this.serverUrl}/versions`);
+            const response = await this.serverRequest('versions', {
+                params: { channel: this.channel }
+            });
 
             if (response.data && response.data.versions) {
                 return response.data.versions;
             } else {
-                console.error('Invalid response format from server');
+                this.logger.error('Invalid response format from server');
                 return [];
             }
         } catch (error) {
-            console.error('Error fetching available versions:', error.message);
+            // The health endpoint would be refused as well
+            const accessError = this.toAccessError(error);
+            if (accessError !== error) {
+                throw accessError;
+            }
+
+            this.logger.error('Error fetching available versions:', error.message);
 
             // Fallback: try to get versions from health endpoint
             try {
-                const healthResponse = await axios.get(`${this.serverUrl}/health`);
+                const healthResponse = await this.serverRequest('health', {
+                    params: { channel: this.channel }
+                });
                 if (healthResponse.data && healthResponse.data.versions) {
                     return healthResponse.data.versions;
                 }
             } catch (fallbackError) {
-                console.error('Fallback health check also failed:', fallbackError.message);
+                this.logger.error('Fallback health check also failed:', fallbackError.message);
             }
 
             return [];
@@ -74,173 +653,1754 @@ class UpdateClient {
     }
 
     /**
-     * Downloads a version from the server
+     * Downloads a version from the mirrors (nearest first) or the update servers.
+     * The archive is written to a .part file and only renamed once complete; interrupted
+     * downloads are retried with exponential backoff and resumed with HTTP Range requests.
+     * Unavailable servers and mirrors are skipped for the next one.
      * @param {string} version - Version to download (or 'LATEST')
-     * @returns {Promise<string>} Path to the downloaded tar file
+     * @param {string|null} from - Installed version to request a delta from (null for a full archive)
+     * @param {boolean} useMirrors - (optional) Try the mirrors first; false downloads from the update servers
+     * @returns {Promise<string>} Path to the downloaded tar file (named *.delta.tar.gz for a delta); rejects
+     *     with an UpdateError (DOWNLOAD_FAILED, DOWNLOAD_CANCELLED, SERVER_UNAVAILABLE, ACCESS_DENIED, ...)
      */
-    async downloadVersion(version = 'LATEST') {
-        try {
-            const response = await axios({
-                method: 'GET',
-                url: `${this.serverUrl}/updates`,
-                params: { version },
-                responseType: 'stream'
-            });
+    async downloadVersion(version = 'LATEST', from = null, useMirrors = true) {
+        if (!fs.existsSync(this.downloadsDir)) {
+            fs.mkdirSync(this.downloadsDir, { recursive: true });
+        }
 
-            // Create downloads directory if it doesn't exist
-            const downloadsDir = path.join(__dirname, 'downloads');
-            if (!fs.existsSync(downloadsDir)) {
-                fs.mkdirSync(downloadsDir, { recursive: true });
-            }
+        const sources = await this.getDownloadSources(useMirrors);
+        if (version === 'LATEST' && sources[0].mirror) {
+            // Mirrors do not know the client's channel, rollouts or access rights: ask an update server
+            version = (await this.getReleaseInfo('LATEST')).version;
+        }
+
+        // One .part file per request, so a later run can resume it
+        const key = [this.appId || 'default', this.channel, version, from || 'full']
+            .join('_')
+            .replace(/[^a-zA-Z0-9._-]/g, '-');
+        const partPath = path.join(this.downloadsDir, `${key}.part`);
+        const params = from ? { version, channel: this.channel, from } : { version, channel: this.channel };
+        const abortController = new AbortController();
+        this.abortController = abortController;
+        let sourceIndex = 0;
+        let attempt = 1;
 
-            // Determine filename from Content-Disposition header or use version
-            let filename = `${version}.tar.gz`;
-            const contentDisposition = response.headers['content-disposition'];
-            if (contentDisposition) {
-                const match = contentDisposition.match(/filename="(.+)"/);
-                if (match && match[1]) {
-                    filename = match[1];
+        while (true) {
+            const source = sources[sourceIndex];
+            try {
+                const tarPath = await this.downloadAttempt(params, partPath, source);
+                if (!source.mirror) {
+                    this.markServerHealthy(source.url);
+                }
+                this.downloadSource = source;
+                return tarPath;
+            } catch (error) {
+                // The .part file is kept, a later download resumes it
+                if (abortController.signal.aborted) {
+                    const cancelled = new UpdateError(ERROR_CODES.DOWNLOAD_CANCELLED, 'Download cancelled');
+                    cancelled.cancelled = true;
+                    throw cancelled;
+                }
+
+                // Any failure of a mirror, and unavailable update servers, move on to the next source
+                const hasNext = sourceIndex < sources.length - 1;
+                if (hasNext && (source.mirror || isFailoverError(error))) {
+                    sourceIndex++;
+                    this.logger.warn(`Download from ${source.url} failed (${error.message}), ` +
+                        `trying ${sources[sourceIndex].url}...`);
+                    continue;
                 }
-            }
 
-            const filePath = path.join(downloadsDir, filename);
-            const writer = fs.createWriteStream(filePath);
+                if (!this.isRetryableError(error) || attempt >= this.downloadAttempts) {
+                    const finalError = toUpdateError(this.toAccessError(error), ERROR_CODES.DOWNLOAD_FAILED);
+                    this.logger.error('Error downloading version:', finalError.message);
+                    throw finalError;
+                }
 
-            response.data.pipe(writer);
+                if (isFailoverError(error)) {
+                    // Every source failed: start over with the first one after the backoff
+                    sourceIndex = 0;
+                }
 
-            return new Promise((resolve, reject) => {
-                writer.on('finish', () => resolve(filePath));
-                writer.on('error', reject);
-            });
-        } catch (error) {
-            console.error('Error downloading version:', error.message);
-            throw error;
+                // Exponential backoff with full jitter
+                const ceiling = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (attempt - 1));
+                const delay = Math.round(Math.random() * ceiling);
+                this.logger.warn(`Download interrupted (${error.message}), retrying in ${delay}ms ` +
+                    `(attempt ${attempt + 1}/${this.downloadAttempts})...`);
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, delay);
+                    abortController.signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        resolve();
+                    }, { once: true });
+                });
+                attempt++;
+            }
         }
     }
 
     /**
-     * Extracts a tar file to the app directory
-     * @param {string} tarPath - Path to the tar file
-     * @returns {Promise<void>}
+     * Cancels the download in progress; downloadVersion() then rejects with error.cancelled set
      */
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
 
-    async extractTar(tarPath) {
-         try {
-             // Remove existing app directory
-             if (fs.existsSync(this.appPath)) {
-                 fs.rmSync(this.appPath, { recursive: true, force: true });
-             }
-
-             // Create app directory
-             fs.mkdirSync(this.appPath, { recursive: true });
+    /**
+     * Removes downloaded archives and partial downloads from downloads/
+     * @param {Array} keep - (optional) Paths of downloads to keep (e.g. an update waiting to be installed)
+     * @returns {Object} removed (file names) and bytes (space freed)
+     */
+    cleanDownloads(keep = []) {
+        const kept = keep.filter(Boolean).map(filePath => path.resolve(filePath));
+        const result = { removed: [], bytes: 0 };
+        if (!fs.existsSync(this.downloadsDir)) {
+            return result;
+        }
 
-             // Extract tar file - FIXED: Changed cwd to extract directly into appPath
-             await tar.x({
-                 file: tarPath,
-                 cwd: this.appPath,  // Changed from path.dirname(this.appPath)
-                 strip: 1
-             });
+        for (const name of fs.readdirSync(this.downloadsDir)) {
+            const filePath = path.join(this.downloadsDir, name);
+            if (kept.includes(filePath)) {
+                continue;
+            }
 
-             console.log('Extraction completed successfully');
-         } catch (error) {
-             console.error('Error extracting tar file:', error.message);
-             throw error;
-         }
+            const stats = fs.statSync(filePath);
+            fs.rmSync(filePath, { recursive: true, force: true });
+            result.removed.push(name);
+            result.bytes += stats.isFile() ? stats.size : 0;
+        }
+        return result;
     }
 
     /**
-     * Writes the version to version.txt
-     * @param {string} version - Version to record
-     * @returns {Promise<void>}
+     * Listens to the server's release events for this client's application and channel,
+     * reconnecting with Last-Event-ID and polling when the event stream is not available
+     * @param {Function} listener - Called with every event ({ id, type, data }); type is 'release',
+     *     'yank', 'unyank', 'rollout', 'delete' or 'resync' (events were missed, check for updates)
+     * @param {Object} options - Subscription options (pollInterval, maxFailures, idleTimeout; see ReleaseSubscription.js)
+     * @returns {ReleaseSubscription} Subscription, stop it with close()
      */
-    async recordVersion(version) {
-        try {
-            fs.writeFileSync(this.versionFile, version);
-            console.log(`Recorded version: ${version}`);
-        } catch (error) {
-            console.error('Error recording version:', error.message);
-            throw error;
-        }
+    subscribe(listener, options = {}) {
+        return new ReleaseSubscription(this, listener, options).start();
     }
 
     /**
-     * Main update function
-     * @param {string} version - Version to update to (default: 'LATEST')
-     * @returns {Promise<boolean>} Success status
+     * Makes one download attempt, resuming the .part file when the server still has the same archive
+     * @param {Object} params - Query parameters of the /updates request
+     * @param {string} partPath - Path to the partial download
+     * @param {Object} source - (optional) Server or mirror to download from ({ url, mirror }),
+     *     defaults to the current update server
+     * @returns {Promise<string>} Path to the completed download
      */
-    async update(version = 'LATEST') {
+    async downloadAttempt(params, partPath, source = { url: this.serverUrl, mirror: false }) {
+        const statePath = `${partPath}.json`;
+        let state = {};
         try {
-            console.log(`Starting update to version: ${version}`);
+            if (fs.existsSync(statePath)) {
+                state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+            }
+        } catch (error) {
+            state = {};
+        }
+
+        // Resuming is only safe when the archive can be identified by its ETag
+        let offset = fs.existsSync(partPath) && state.etag ? fs.statSync(partPath).size : 0;
 
-            // Download the version
-            console.log('Downloading version...');
-            const tarPath = await this.downloadVersion(version);
+        if (offset > 0 && offset === state.total) {
+            return this.completeDownload(partPath, statePath, state.filename);
+        }
 
-            // Extract the tar file
-            console.log('Extracting...');
-            await this.extractTar(tarPath);
+        // Mirrors are not trusted with the client key
+        const headers = this.getRequestHeaders(!source.mirror);
+        if (offset > 0) {
+            headers.Range = `bytes=${offset}-`;
+            headers['If-Range'] = state.etag;
+            this.logger.log(`Resuming download at byte ${offset}`);
+        }
 
-            // Determine the actual version (from filename)
-            let actualVersion = version;
-            if (version === 'LATEST') {
-                // Extract version from filename
-                const filename = path.basename(tarPath);
-                actualVersion = filename.replace('.tar.gz', '');
+        let response;
+        try {
+            response = await axios({
+                method: 'GET',
+                url: this.getEndpointUrl('updates', source.url),
+                params,
+                headers,
+                timeout: this.downloadTimeout,
+                responseType: 'stream',
+                signal: this.abortController ? this.abortController.signal : undefined
+            });
+        } catch (error) {
+            if (error.response && error.response.status === 416) {
+                // The partial file no longer matches the archive, start over
+                fs.rmSync(partPath, { force: true });
+                fs.rmSync(statePath, { force: true });
+                error.retryable = true;
             }
+            throw error;
+        }
 
-            // Record the version
-            await this.recordVersion(actualVersion);
+        // Size of the whole archive, as declared by the server
+        let total = null;
+        if (response.status === 206) {
+            const range = /^bytes (\d+)-\d+\/(\d+)$/.exec(response.headers['content-range'] || '');
+            if (!range || Number(range[1]) !== offset) {
+                response.data.destroy();
+                fs.rmSync(partPath, { force: true });
+                const error = new Error('Server returned an unexpected range');
+                error.retryable = true;
+                throw error;
+            }
+            total = Number(range[2]);
+        } else {
+            // Full response: the server has a different archive (or ignored the range)
+            offset = 0;
+            const length = response.headers['content-length'];
+            total = length !== undefined ? Number(length) : null;
+        }
 
-            // Clean up downloaded file
-            fs.unlinkSync(tarPath);
+        // Determine filename from Content-Disposition header or use version
+        let filename = `${params.version}.tar.gz`;
+        const contentDisposition = response.headers['content-disposition'];
+        if (contentDisposition) {
+            const match = contentDisposition.match(/filename="(.+)"/);
+            if (match && match[1]) {
+                filename = path.basename(match[1]);
+            }
+        }
+
+        // Mirrors do not choose the version: it was resolved by an update server
+        if (source.mirror && filename.replace(/(\.delta)?\.tar\.gz$/, '') !== params.version) {
+            response.data.destroy();
+            throw new Error(`Mirror sent ${filename}, expected version ${params.version}`);
+        }
+
+        // Pin LATEST to the version being downloaded, so retries resume the same archive
+        if (params.version === 'LATEST') {
+            params.version = filename.replace(/(\.delta)?\.tar\.gz$/, '');
+        }
+
+        state = { etag: response.headers.etag || null, filename, total };
+        fs.writeFileSync(statePath, JSON.stringify(state));
+
+        const writer = fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' });
+
+        // Bytes of the whole archive received so far, including those of earlier attempts
+        let received = offset;
+        let lastProgress = 0;
+        const emitProgress = () => {
+            lastProgress = Date.now();
+            this.emit('download-progress', {
+                version: params.version,
+                bytes: received,
+                total,
+                percent: total ? Math.floor((received / total) * 100) : null,
+                delta: Boolean(params.from),
+                source: source.url
+            });
+        };
+
+        await new Promise((resolve, reject) => {
+            let failure = null;
+
+            // Abort a stalled transfer instead of waiting forever
+            let stallTimer = null;
+            const resetStallTimer = () => {
+                clearTimeout(stallTimer);
+                stallTimer = setTimeout(() => {
+                    response.data.destroy(new Error(`No data received for ${this.downloadTimeout}ms`));
+                }, this.downloadTimeout);
+            };
+
+            // Keep what was received so far, the next attempt resumes from there
+            const fail = (error) => {
+                if (!failure) {
+                    failure = error;
+                    failure.retryable = true;
+                    response.data.unpipe(writer);
+                    writer.end();
+                }
+            };
+
+            resetStallTimer();
+            emitProgress();
+            response.data.on('data', (chunk) => {
+                resetStallTimer();
+                received += chunk.length;
+                if (Date.now() - lastProgress >= PROGRESS_INTERVAL) {
+                    emitProgress();
+                }
+            });
+            response.data.on('error', fail);
+            response.data.on('aborted', () => fail(new Error('Connection aborted')));
+            writer.on('error', (error) => {
+                failure = failure || error;
+                response.data.destroy();
+            });
+            // Settle once the file is closed, so the next attempt sees every written byte
+            writer.on('close', () => {
+                clearTimeout(stallTimer);
+                failure ? reject(failure) : resolve();
+            });
+
+            response.data.pipe(writer);
+        });
+
+        emitProgress();
+        const size = fs.statSync(partPath).size;
+        if (total !== null && size !== total) {
+            const error = new Error(`Incomplete download: received ${size} of ${total} bytes`);
+            error.retryable = true;
+            throw error;
+        }
 
-            console.log('Update completed successfully!');
+        return this.completeDownload(partPath, statePath, filename);
+    }
+
+    /**
+     * Moves a completed .part file to its final name
+     * @param {string} partPath - Path to the completed partial download
+     * @param {string} statePath - Path to the download state file
+     * @param {string} filename - Final file name
+     * @returns {string} Path to the downloaded tar file
+     */
+    completeDownload(partPath, statePath, filename) {
+        const filePath = path.join(this.downloadsDir, filename);
+        fs.renameSync(partPath, filePath);
+        fs.rmSync(statePath, { force: true });
+        return filePath;
+    }
+
+    /**
+     * Tells whether a failed download is worth retrying
+     * @param {Error} error - Download error
+     * @returns {boolean} True for network errors, timeouts and 408/429/5xx responses
+     */
+    isRetryableError(error) {
+        if (error.retryable) {
             return true;
-        } catch (error) {
-            console.error('Update failed:', error.message);
-            return false;
         }
+        if (error.response) {
+            const status = error.response.status;
+            return status === 408 || status === 429 || status >= 500;
+        }
+        // No response at all: connection refused/reset, DNS failure, timeout
+        return Boolean(error.isAxiosError);
     }
 
     /**
-     * Checks if an update is available
-     * @returns {Promise<boolean>} Whether an update is available
+     * Loads the pinned release public key
+     * @returns {crypto.KeyObject|null} Public key, or null when none is pinned and unsigned installs are allowed
      */
-    async checkForUpdate() {
-        try {
-            const currentVersion = this.getCurrentVersion();
-            const availableVersions = await this.getAvailableVersions();
+    loadReleaseKey() {
+        if (!this.publicKey) {
+            if (this.allowUnsigned) {
+                this.logger.warn('WARNING: No release public key pinned, skipping signature check');
+                return null;
+            }
+            throw new UpdateError(ERROR_CODES.VERIFICATION_FAILED,
+                'No release public key pinned, refusing to install an unverified archive');
+        }
 
-            // Simplified check - in a real implementation, you'd compare versions
-            return availableVersions.length > 0 &&
-                   availableVersions[0] !== currentVersion;
+        try {
+            return loadPublicKey(this.publicKey);
         } catch (error) {
-            console.error('Error checking for updates:', error.message);
-            return false;
+            throw new UpdateError(ERROR_CODES.INVALID_CONFIG, error.message, { cause: error });
         }
     }
-}
-
-// Command-line interface
-if (require.main === module) {
-    const args = process.argv.slice(2);
-    const version = args[0] || 'LATEST';
-    const serverUrl = process.env.UPDATE_SERVER_URL || 'http://localhost:3000';
 
-    const client = new UpdateClient(serverUrl);
+    /**
+     * Fetches the signed manifest of a version and verifies it with the pinned key
+     * @param {string} version - Version to fetch the manifest for
+     * @returns {Promise<Object|null>} Verified manifest, or null when unsigned installs are allowed
+     */
+    async fetchManifest(version) {
+        const publicKey = this.loadReleaseKey();
+        return publicKey ? this.verifySignature(await this.fetchSignature(version), publicKey, version) : null;
+    }
 
-    // Check if just checking for updates
-    if (args[0] === '--check') {
-        client.checkForUpdate().then(available => {
-            console.log(available ? 'Update available' : 'No update available');
-            process.exit(available ? 0 : 1);
+    /**
+     * Fetches the signature document of a version
+     * @param {string} version - Version to fetch the signature for
+     * @returns {Promise<Object>} Signature document (algorithm, manifest and signature)
+     */
+    async fetchSignature(version) {
+        let response;
+        try {
+            // Always from the update servers: mirrors are not trusted
+            response = await this.serverRequest('signature', {
+                params: { version }
+            });
+        } catch (error) {
+            const cause = toUpdateError(this.toAccessError(error), ERROR_CODES.VERIFICATION_FAILED);
+            // A missing signature is an unsigned release
+            const code = cause.code === ERROR_CODES.VERSION_NOT_FOUND ? ERROR_CODES.VERIFICATION_FAILED : cause.code;
+            throw new UpdateError(code, `Could not fetch signature for version ${version}: ${cause.message}`,
+                { cause: error, status: cause.status });
+        }
+        return response.data;
+    }
+
+    /**
+     * Verifies the signature document of a version and returns its manifest
+     * @param {Object} signed - Signature document
+     * @param {crypto.KeyObject} publicKey - Pinned public key
+     * @param {string} version - Version the signature must belong to
+     * @returns {Object} Verified manifest
+     */
+    verifySignature(signed, publicKey, version) {
+        let manifest;
+        try {
+            manifest = verifyManifestSignature(signed, publicKey, version, this.appId);
+        } catch (error) {
+            throw new UpdateError(ERROR_CODES.VERIFICATION_FAILED, error.message, { cause: error });
+        }
+
+        // A build for another platform must not be installed, even when validly signed
+        const target = `${this.platform}-${this.arch}`;
+        if (manifest.variant && manifest.variant !== 'generic' && manifest.variant !== target) {
+            throw new UpdateError(ERROR_CODES.VERIFICATION_FAILED,
+                `Signature is for the ${manifest.variant} build, expected ${target} or generic`);
+        }
+        this.verifiedSignature = { version, signed };
+        return manifest;
+    }
+
+    /**
+     * Keeps the signature verified for a version that was just installed, so the installed files
+     * can be checked without reaching a server (see verifyInstalled()). Never fails.
+     * @param {string} version - Installed version
+     */
+    saveVerifiedSignature(version) {
+        if (!this.verifiedSignature || this.verifiedSignature.version !== version) {
+            return;
+        }
+        try {
+            this.state.saveSignature(version, this.verifiedSignature.signed);
+        } catch (error) {
+            this.logger.warn('Could not keep the release signature:', error.message);
+        }
+    }
+
+    /**
+     * Verifies a downloaded archive against the release signature
+     * @param {string} tarPath - Path to the downloaded tar file
+     * @param {string} version - Version the archive was downloaded as
+     * @param {Object} bundle - (optional) Bundle the archive comes from: its signature document is
+     *     used (null when unsigned) instead of the update servers'
+     * @returns {Promise<Object|null>} Verified manifest (null when unsigned); rejects with a
+     *     VERIFICATION_FAILED error if the archive is not signed by the pinned key
+     */
+    async verifyDownload(tarPath, version, bundle = null) {
+        this.emit('verifying', { version });
+        let manifest;
+        if (bundle) {
+            const publicKey = this.loadReleaseKey();
+            if (publicKey && !bundle.signature) {
+                throw new UpdateError(ERROR_CODES.VERIFICATION_FAILED, `Version ${version} of the bundle is not signed`);
+            }
+            manifest = publicKey ? this.verifySignature(bundle.signature, publicKey, version) : null;
+        } else {
+            manifest = await this.fetchManifest(version);
+        }
+
+        if (manifest) {
+            try {
+                await verifyArchiveAgainstManifest(tarPath, manifest);
+            } catch (error) {
+                throw toUpdateError(error, ERROR_CODES.VERIFICATION_FAILED);
+            }
+            this.logger.log('Signature verified');
+        }
+        return manifest;
+    }
+
+    /**
+     * Checks the installed app against the signed manifest of the installed version.
+     * Paths matching the preserve rules hold local data and are not checked. When no update server
+     * answers, the signature kept at install time is used, verified again with the pinned key.
+     * @returns {Promise<Object>} version, verified (true when nothing differs) and problems:
+     *     path and problem ('unsigned', 'modified' or 'missing') of every file that differs
+     */
+    async verifyInstalled() {
+        const version = this.getCurrentVersion();
+        if (!version || !fs.existsSync(this.appPath)) {
+            throw new UpdateError(ERROR_CODES.VERIFICATION_FAILED, 'No version is installed');
+        }
+
+        this.emit('verifying', { version });
+        let manifest;
+        try {
+            manifest = await this.fetchManifest(version);
+        } catch (error) {
+            const kept = this.state.readSignature(version);
+            if (error.code !== ERROR_CODES.SERVER_UNAVAILABLE || !kept) {
+                throw error;
+            }
+            this.logger.warn(`${error.message}; using the signature kept at install time`);
+            manifest = this.verifySignature(kept, this.loadReleaseKey(), version);
+        }
+        if (!manifest) {
+            throw new UpdateError(ERROR_CODES.VERIFICATION_FAILED,
+                'No release public key pinned, the installed files cannot be verified');
+        }
+
+        let rules = this.preserve;
+        try {
+            rules = [...this.preserve, ...readReleaseRules(this.appPath, manifest)];
+        } catch (error) {
+            // An altered rules file is reported as a modified file
+            rules = this.preserve;
+        }
+        const isLocalData = relPath => Boolean(findRule(rules, relPath));
+
+        const problems = diffDirectoryAgainstManifest(this.appPath, manifest, isLocalData)
+            .filter(problem => problem.problem !== 'missing' || !isLocalData(problem.path))
+            .map(({ path: relPath, problem }) => ({ path: relPath, problem }));
+        return { version, verified: problems.length === 0, problems };
+    }
+
+    /**
+     * Builds the new version in the staging directory from the current app and a delta archive.
+     * The staged result is checked against the release signature as a whole.
+     * @param {string} tarPath - Path to the delta tar file
+     * @param {string} version - Version the delta leads to
+     * @returns {Promise<Object|null>} Verified manifest (null when unsigned)
+     */
+    async applyDelta(tarPath, version) {
+        try {
+            const manifest = await this.fetchManifest(version);
+
+            // Read the list of deleted paths from the delta metadata
+            let meta = null;
+            await tar.t({
+                file: tarPath,
+                filter: (entryPath) => entryPath === DELTA_META_FILE,
+                onReadEntry: (entry) => {
+                    const chunks = [];
+                    entry.on('data', (chunk) => chunks.push(chunk));
+                    entry.on('end', () => {
+                        meta = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                    });
+                }
+            });
+
+            if (!meta || meta.to !== version || meta.from !== this.getCurrentVersion()) {
+                throw new Error('Delta does not apply to the installed version');
+            }
+
+            // Start from a copy of the current app
+            fs.rmSync(this.stagingPath, { recursive: true, force: true });
+            fs.cpSync(this.appPath, this.stagingPath, { recursive: true, verbatimSymlinks: true });
+
+            for (const relPath of meta.deleted || []) {
+                const target = path.resolve(this.stagingPath, relPath);
+                if (!target.startsWith(this.stagingPath + path.sep)) {
+                    throw new Error(`Invalid deleted path in delta: ${relPath}`);
+                }
+                fs.rmSync(target, { recursive: true, force: true });
+            }
+
+            // The metadata file sits at the archive root and is dropped by strip: 1
+            await safeExtract(tarPath, this.stagingPath, { strip: 1, limits: this.extractLimits });
+
+            if (manifest) {
+                this.emit('verifying', { version });
+                // Local data that replaces the staged copy on install is not part of the release
+                const rules = this.getPreserveRules(manifest);
+                verifyDirectoryAgainstManifest(this.stagingPath, manifest, (relPath) => {
+                    const rule = findRule(rules, relPath);
+                    return Boolean(rule) && (rule.strategy === 'keep' || !manifest.files[relPath]) &&
+                        fs.existsSync(path.join(this.appPath, relPath));
+                });
+                this.logger.log('Signature verified');
+            }
+
+            this.logger.log('Delta applied successfully');
+            return manifest;
+        } catch (error) {
+            fs.rmSync(this.stagingPath, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Extracts a tar file into the staging directory next to the app directory.
+     * The live app is not touched; call installStaged() to swap it in. Archives with unsafe
+     * entries are rejected before anything is extracted (see SafeExtract.js).
+     * @param {string} tarPath - Path to the tar file
+     * @returns {Promise<void>}
+     */
+    async extractTar(tarPath) {
+        try {
+            // Start from an empty staging directory
+            fs.rmSync(this.stagingPath, { recursive: true, force: true });
+            fs.mkdirSync(this.stagingPath, { recursive: true });
+
+            await safeExtract(tarPath, this.stagingPath, { strip: 1, limits: this.extractLimits });
+
+            this.logger.log('Extraction completed successfully');
+        } catch (error) {
+            this.logger.error('Error extracting tar file:', error.message);
+            fs.rmSync(this.stagingPath, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the preserve rules for the staged release: the client's first, then the release's own
+     * @param {Object|null} manifest - Verified manifest of the release (null when unsigned)
+     * @returns {Array} Normalized rules
+     */
+    getPreserveRules(manifest) {
+        return [...this.preserve, ...readReleaseRules(this.stagingPath, manifest)];
+    }
+
+    /**
+     * Carries preserved local data over into the staged app, and reports conflicts if enabled
+     * @param {Object|null} manifest - Verified manifest of the release (null when unsigned)
+     * @param {string} version - Version being installed
+     * @returns {Array} Conflicts: path, strategy and resolution
+     */
+    preserveLocalData(manifest, version) {
+        const { preserved, conflicts } = applyPreserveRules({
+            appPath: this.appPath,
+            stagingPath: this.stagingPath,
+            rules: this.getPreserveRules(manifest),
+            manifest
+        });
+
+        if (preserved > 0) {
+            this.logger.log(`Preserved ${preserved} local file(s)`);
+        }
+
+        if (this.reportConflicts) {
+            for (const conflict of conflicts) {
+                this.logger.warn(`Conflict: ${conflict.path} differs from the release (${conflict.strategy}: ${conflict.resolution})`);
+            }
+            fs.writeFileSync(this.conflictsFile, JSON.stringify({
+                version,
+                time: new Date().toISOString(),
+                conflicts
+            }, null, 2));
+        }
+        return conflicts;
+    }
+
+    /**
+     * Swaps the staged app in, keeping the current app as the backup
+     * @returns {Promise<void>}
+     */
+    async installStaged() {
+        if (!fs.existsSync(this.stagingPath)) {
+            throw new Error('Nothing staged to install');
+        }
+
+        const currentVersion = this.getCurrentVersion();
+
+        // Only one backup is kept: the version being replaced
+        fs.rmSync(this.backupPath, { recursive: true, force: true });
+
+        const hadApp = fs.existsSync(this.appPath);
+        if (hadApp) {
+            fs.renameSync(this.appPath, this.backupPath);
+        }
+
+        try {
+            fs.renameSync(this.stagingPath, this.appPath);
+        } catch (error) {
+            // Put the previous app back before reporting the failure
+            if (hadApp) {
+                fs.renameSync(this.backupPath, this.appPath);
+            }
+            throw error;
+        }
+
+        this.state.update({ previousVersion: hadApp ? currentVersion : null });
+
+        this.logger.log('Installed staged version');
+    }
+
+    /**
+     * Restores the backup made by the last install, discarding the current app
+     * @returns {Promise<string|null>} Restored version (null if it was unknown)
+     */
+    async restoreBackup() {
+        if (!fs.existsSync(this.backupPath)) {
+            throw new UpdateError(ERROR_CODES.ROLLBACK_FAILED, 'No previous version available to restore');
+        }
+
+        const previousVersion = this.getPreviousVersion();
+
+        // Move the current app aside first, so the swap itself is a single rename
+        const discardPath = `${this.appPath}.discard`;
+        fs.rmSync(discardPath, { recursive: true, force: true });
+        if (fs.existsSync(this.appPath)) {
+            fs.renameSync(this.appPath, discardPath);
+        }
+        fs.renameSync(this.backupPath, this.appPath);
+        fs.rmSync(discardPath, { recursive: true, force: true });
+
+        this.state.update({ currentVersion: previousVersion, previousVersion: null });
+
+        return previousVersion;
+    }
+
+    /**
+     * Completes a restore of the backup that was interrupted: restores the backup if it is still
+     * there, else records the swap that was already done
+     * @param {string|null} version - Version the restore brings back
+     * @returns {Promise<string|null>} Restored version (null if it was unknown)
+     */
+    async resumeRestore(version) {
+        if (fs.existsSync(this.backupPath)) {
+            return this.restoreBackup();
+        }
+
+        fs.rmSync(`${this.appPath}.discard`, { recursive: true, force: true });
+        const { currentVersion, previousVersion } = this.getState();
+        if (currentVersion !== version) {
+            if (!previousVersion) {
+                throw new UpdateError(ERROR_CODES.ROLLBACK_FAILED, 'No previous version available to restore');
+            }
+            // The backup was moved in, but the journal was not updated yet
+            this.state.update({ currentVersion: previousVersion, previousVersion: null });
+        }
+        return this.getCurrentVersion();
+    }
+
+    /**
+     * Restores the previous version after a failed install: stops the failed version with the
+     * preInstall hook, restores the backup and brings it back up with postInstall (emits rolled-back).
+     * A failing hook is logged, it does not stop the rollback.
+     * @param {string} failedVersion - Version that failed
+     * @param {string|null} previousVersion - Version being restored
+     * @param {UpdateError} error - Why it failed
+     * @param {Function} restore - Restores the backup, resolves to the restored version
+     * @returns {Promise<string|null>} Restored version (null if it was unknown)
+     */
+    async reinstatePrevious(failedVersion, previousVersion, error, restore) {
+        const runRollbackHook = async (name, to) => {
+            try {
+                await this.runLifecycleHook(name, { from: failedVersion, to, rollback: true });
+            } catch (hookError) {
+                // Keeping the failed version is worse than a hook that did not run
+                this.logger.error(`Rolling back anyway: ${hookError.message}`);
+            }
+        };
+
+        // postInstall has usually started the failed version: stop it before swapping its files out
+        await runRollbackHook('preInstall', previousVersion);
+        const restoredVersion = await restore();
+        this.logger.log(`Restored previous version: ${restoredVersion || 'unknown'}`);
+
+        // Bring the restored version back up
+        await runRollbackHook('postInstall', restoredVersion);
+        this.emit('rolled-back', { version: restoredVersion, from: failedVersion, error });
+        return restoredVersion;
+    }
+
+    /**
+     * Gets the version kept in the backup for rollback
+     * @returns {string|null} Previous version, or null if unknown
+     */
+    getPreviousVersion() {
+        return this.state.read().previousVersion;
+    }
+
+    /**
+     * Reinstates the previous (last known-good) version, running the preInstall and postInstall hooks.
+     * Holds update.lock, and recovers an interrupted operation first.
+     * @returns {Promise<boolean>} Success status
+     */
+    async rollback() {
+        return this.runLocked('rollback', async () => {
+            await this.resumeInterrupted();
+            return this.rollbackInstalled();
+        });
+    }
+
+    /**
+     * Reinstates the previous version; the caller holds the update lock
+     * @returns {Promise<boolean>} Success status
+     */
+    async rollbackInstalled() {
+        const startedAt = Date.now();
+        const from = this.getCurrentVersion();
+        try {
+            if (!fs.existsSync(this.backupPath)) {
+                throw new UpdateError(ERROR_CODES.ROLLBACK_FAILED, 'No previous version available to restore');
+            }
+
+            this.logger.log('Rolling back to the previous version...');
+            const hookContext = {
+                from: this.getCurrentVersion(),
+                to: this.getPreviousVersion(),
+                rollback: true
+            };
+            this.beginOperation({ action: 'rollback', from: hookContext.from, to: hookContext.to, step: 'restoring' });
+            await this.runLifecycleHook('preInstall', hookContext);
+            const restoredVersion = await this.restoreBackup();
+            this.setOperationStep('finishing');
+            await this.runLifecycleHook('postInstall', hookContext);
+            this.logger.log(`Rollback completed, current version: ${restoredVersion || 'unknown'}`);
+            this.endOperation();
+            this.emit('rolled-back', { version: restoredVersion, from: hookContext.from, error: null });
+            this.appendHistory({ action: 'rollback', from, to: restoredVersion, outcome: 'success', startedAt });
+            return true;
+        } catch (error) {
+            const rollbackError = toUpdateError(error, ERROR_CODES.ROLLBACK_FAILED);
+            this.logger.error('Rollback failed:', rollbackError.message);
+            this.endOperation();
+            this.emitError(rollbackError);
+            this.appendHistory({
+                action: 'rollback',
+                from,
+                to: this.getPreviousVersion(),
+                outcome: 'failure',
+                startedAt,
+                error: rollbackError
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Records the installed version in update-state.json (and version.txt)
+     * @param {string} version - Version to record
+     * @returns {Promise<void>}
+     */
+    async recordVersion(version) {
+        try {
+            this.state.update({ currentVersion: version });
+            this.logger.log(`Recorded version: ${version}`);
+        } catch (error) {
+            this.logger.error('Error recording version:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Downloads a version without installing it, as a delta from the installed version when possible
+     * @param {string} version - Version to download: 'LATEST' (default), a range (e.g. '^2.1.0') or a version
+     * @returns {Promise<Object>} Download to pass to install(): version, tarPath, isDelta, from and
+     *     mirror (the mirror it came from, null when downloaded from an update server)
+     */
+    async download(version = 'LATEST') {
+        const actualVersion = await this.resolveUpdateVersion(version);
+        const currentVersion = this.deltaUpdates && fs.existsSync(this.appPath)
+            ? this.getCurrentVersion()
+            : null;
+        this.logger.log(`Downloading version ${actualVersion}...`);
+        const tarPath = await this.downloadVersion(actualVersion, currentVersion);
+        const isDelta = path.basename(tarPath).endsWith('.delta.tar.gz');
+
+        return {
+            version: actualVersion,
+            tarPath,
+            isDelta,
+            from: currentVersion,
+            mirror: this.downloadSource.mirror ? this.downloadSource.url : null
+        };
+    }
+
+    /**
+     * Verifies and installs a downloaded version, restoring the previous one on failure
+     * (emits verifying, installing, then installed, or error and rolled-back). Holds update.lock,
+     * and recovers an interrupted operation first.
+     * @param {Object} download - Result of download()
+     * @returns {Promise<boolean>} Success status
+     */
+    async install(download) {
+        return this.runLocked('install', async () => {
+            await this.resumeInterrupted();
+            return this.installDownload(download);
+        });
+    }
+
+    /**
+     * Verifies and installs a downloaded version; the caller holds the update lock
+     * @param {Object} download - Result of download(), or a build of a bundle (see installFromFile())
+     * @returns {Promise<boolean>} Success status
+     */
+    async installDownload(download) {
+        let installed = false;
+        let tarPath = download.tarPath;
+        let mirror = download.mirror || null;
+        const actualVersion = download.version;
+        const hookContext = { from: this.getCurrentVersion(), to: actualVersion };
+        const startedAt = Date.now();
+
+        try {
+            this.beginOperation({ action: 'install', from: hookContext.from, to: actualVersion, step: 'staging' });
+            let staged = false;
+            let manifest = null;
+            if (download.isDelta) {
+                this.logger.log(`Applying delta from ${download.from}...`);
+                try {
+                    manifest = await this.applyDelta(tarPath, actualVersion);
+                    staged = true;
+                } catch (error) {
+                    this.logger.warn('Delta could not be applied, downloading full archive:', error.message);
+                    fs.rmSync(tarPath, { force: true });
+                    tarPath = await this.downloadVersion(actualVersion);
+                    mirror = this.downloadSource.mirror ? this.downloadSource.url : null;
+                }
+            }
+
+            if (!staged) {
+                // Verify the archive before touching the installed app
+                this.logger.log('Verifying signature...');
+                try {
+                    manifest = await this.verifyDownload(tarPath, actualVersion, download.bundle);
+                } catch (error) {
+                    fs.rmSync(tarPath, { force: true });
+                    if (!mirror) {
+                        throw error;
+                    }
+
+                    // A mirror served an altered or outdated archive: take it from the update servers
+                    this.logger.warn(`Archive from mirror ${mirror} failed verification (${error.message}), ` +
+                        'downloading it from the update servers...');
+                    tarPath = await this.downloadVersion(actualVersion, null, false);
+                    try {
+                        manifest = await this.verifyDownload(tarPath, actualVersion);
+                    } catch (retryError) {
+                        fs.rmSync(tarPath, { force: true });
+                        throw retryError;
+                    }
+                }
+            }
+
+            this.emit('installing', { version: actualVersion, from: hookContext.from });
+            if (!staged) {
+                // Extract into staging
+                this.logger.log('Extracting...');
+                await this.extractTar(tarPath);
+            }
+
+            // e.g. stop the running app
+            this.setOperationStep('swapping');
+            await this.runLifecycleHook('preInstall', hookContext);
+
+            // Carry local config and data over, once the app has stopped writing to them
+            this.preserveLocalData(manifest, actualVersion);
+
+            // Swap the staged version in
+            await this.installStaged();
+            installed = true;
+
+            // Record the version
+            await this.recordVersion(actualVersion);
+            this.saveVerifiedSignature(actualVersion);
+            this.setOperationStep('finishing');
+
+            // Clean up downloaded file
+            fs.unlinkSync(tarPath);
+
+            // e.g. migrate and restart, then make sure the new version actually runs
+            await this.runLifecycleHook('postInstall', hookContext);
+            await this.runLifecycleHook('healthCheck', hookContext);
+
+            this.logger.log('Update completed successfully!');
+            this.endOperation();
+            this.emit('installed', {
+                version: actualVersion,
+                from: hookContext.from,
+                durationMs: Date.now() - startedAt
+            });
+            await this.recordInstallAttempt({
+                from: hookContext.from,
+                to: actualVersion,
+                outcome: 'success',
+                startedAt,
+                offline: Boolean(download.bundle)
+            });
+            return true;
+        } catch (error) {
+            const installError = toUpdateError(error, ERROR_CODES.INSTALL_FAILED);
+            this.reportUpdateFailure(installError);
+            this.emitError(installError);
+            fs.rmSync(this.stagingPath, { recursive: true, force: true });
+
+            let rolledBack = false;
+            if (installed) {
+                try {
+                    this.setOperationStep('restoring');
+                    await this.reinstatePrevious(actualVersion, hookContext.from, installError,
+                        () => this.restoreBackup());
+                    rolledBack = true;
+                } catch (restoreError) {
+                    this.logger.error('Could not restore previous version:', restoreError.message);
+                    this.emitError(toUpdateError(restoreError, ERROR_CODES.ROLLBACK_FAILED));
+                }
+            }
+
+            this.endOperation();
+            await this.recordInstallAttempt({
+                from: hookContext.from,
+                to: actualVersion,
+                outcome: 'failure',
+                startedAt,
+                error: installError,
+                rolledBack,
+                offline: Boolean(download.bundle)
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Logs why an update failed
+     * @param {Error} error - Update error
+     */
+    reportUpdateFailure(error) {
+        // Access errors already say what is wrong and how to fix it
+        this.logger.error(error.code === ERROR_CODES.ACCESS_DENIED ? error.message : `Update failed: ${error.message}`);
+    }
+
+    /**
+     * Emits an 'error' event for a failure that is otherwise only reported by a return value.
+     * Without an 'error' listener nothing is emitted (EventEmitter would throw instead).
+     * @param {UpdateError} error - Failure
+     */
+    emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Runs a task holding update.lock, so no other process changes the app meanwhile
+     * @param {string} action - What the lock is taken for (e.g. 'install'), shown to other processes
+     * @param {Function} task - Resolves to the result
+     * @returns {Promise<*>} Result of the task
+     * @throws {UpdateError} UPDATE_IN_PROGRESS when another process, or another call of this
+     *     client, is updating
+     */
+    async withLock(action, task) {
+        if (this.lockOwner) {
+            throw new UpdateError(ERROR_CODES.UPDATE_IN_PROGRESS,
+                `Another update is in progress (${this.lockOwner.action} by this process)`);
+        }
+
+        this.lockOwner = acquireLock(this.lockFile, action);
+        try {
+            return await task();
+        } finally {
+            releaseLock(this.lockFile, this.lockOwner);
+            this.lockOwner = null;
+        }
+    }
+
+    /**
+     * Runs an update, install or rollback holding update.lock; failing to take the lock (or
+     * to recover an interrupted operation) is reported like any other failure
+     * @param {string} action - What the lock is taken for
+     * @param {Function} task - Resolves to the success status
+     * @returns {Promise<boolean>} Success status
+     */
+    async runLocked(action, task) {
+        try {
+            return await this.withLock(action, task);
+        } catch (error) {
+            const lockError = toUpdateError(error, ERROR_CODES.INSTALL_FAILED);
+            this.reportUpdateFailure(lockError);
+            this.emitError(lockError);
+            return false;
+        }
+    }
+
+    /**
+     * Journals the start of an install or rollback
+     * @param {Object} operation - action ('install' or 'rollback'), from, to and first step
+     */
+    beginOperation({ action, from, to, step }) {
+        this.state.update({
+            operation: {
+                action,
+                from: from || null,
+                to: to || null,
+                step,
+                startedAt: new Date().toISOString(),
+                pid: process.pid
+            }
         });
-    } else {
-        // Perform update
-        client.update(version).then(success => {
-            process.exit(success ? 0 : 1);
+    }
+
+    /**
+     * Journals the step the operation in progress has reached
+     * @param {string} step - 'staging', 'swapping', 'finishing' or 'restoring'
+     */
+    setOperationStep(step) {
+        const { operation } = this.getState();
+        if (operation) {
+            this.state.update({ operation: { ...operation, step } });
+        }
+    }
+
+    /**
+     * Journals the end of the operation in progress. Never fails.
+     */
+    endOperation() {
+        try {
+            this.state.update({ operation: null });
+        } catch (error) {
+            this.logger.error('Error writing state file:', error.message);
+        }
+    }
+
+    /**
+     * Finishes or rolls back an install or rollback that an earlier run did not complete (crash,
+     * power loss, killed process). update(), install() and rollback() do this first as well.
+     * @returns {Promise<Object|null>} What was recovered (see resumeInterrupted()), null if nothing was
+     * @throws {UpdateError} UPDATE_IN_PROGRESS when another process is updating
+     */
+    async recover() {
+        if (!this.getState().operation) {
+            return null;
+        }
+        return this.withLock('recover', () => this.resumeInterrupted());
+    }
+
+    /**
+     * Finishes or rolls back the interrupted operation of the journal (emits recovered); the
+     * caller holds the update lock, so the run that journaled it is gone.
+     * An install that had swapped the new version in is finished: its postInstall and healthCheck
+     * hooks are run (again), and the previous version is restored if they fail. An install that
+     * had not is rolled back, and so is one that was restoring the previous version. An interrupted
+     * rollback is finished.
+     * @returns {Promise<Object|null>} action, from, to, step, outcome ('finished', 'rolled-back' or
+     *     'failed'), version (installed now) and error; null if nothing was interrupted
+     */
+    async resumeInterrupted() {
+        const operation = this.getState().operation;
+        if (!operation) {
+            return null;
+        }
+
+        const { action, from, to, step } = operation;
+        this.logger.warn(`Found an interrupted ${action} (${from || 'none'} -> ${to || 'unknown'}, ` +
+            `step: ${step}, pid ${operation.pid}), recovering...`);
+        const startedAt = Date.parse(operation.startedAt) || Date.now();
+        const interrupted = new UpdateError(
+            action === 'rollback' ? ERROR_CODES.ROLLBACK_FAILED : ERROR_CODES.INSTALL_FAILED,
+            `The ${action} was interrupted (step: ${step})`
+        );
+
+        let result;
+        try {
+            result = action === 'rollback'
+                ? await this.recoverRollback(operation)
+                : await this.recoverInstall(operation, interrupted);
+        } catch (recoveryError) {
+            result = { outcome: 'failed', error: toUpdateError(recoveryError, ERROR_CODES.ROLLBACK_FAILED) };
+            this.logger.error(`Could not recover the interrupted ${action}:`, result.error.message);
+            this.emitError(result.error);
+        }
+
+        // Cleared even when recovery failed, so it does not block every later update
+        this.endOperation();
+        const version = this.getCurrentVersion();
+        this.logger.log(`Recovered the interrupted ${action} (${result.outcome}), ` +
+            `current version: ${version || 'none'}`);
+
+        const recovery = { action, from, to, step, outcome: result.outcome, version, error: result.error };
+        const historyEntry = {
+            from,
+            to,
+            outcome: result.outcome === 'finished' ? 'success' : 'failure',
+            startedAt,
+            error: result.error,
+            rolledBack: result.outcome === 'rolled-back',
+            recovered: true
+        };
+        if (action === 'rollback') {
+            this.appendHistory({ action, ...historyEntry });
+        } else {
+            await this.recordInstallAttempt(historyEntry);
+        }
+        this.emit('recovered', recovery);
+        return recovery;
+    }
+
+    /**
+     * Finishes or rolls back an interrupted install
+     * @param {Object} operation - Journaled operation
+     * @param {UpdateError} interrupted - Error reported for the interruption
+     * @returns {Promise<Object>} outcome ('finished' or 'rolled-back') and error (null when finished)
+     */
+    async recoverInstall(operation, interrupted) {
+        const { from, to, step } = operation;
+        const hasStaging = fs.existsSync(this.stagingPath);
+        const hasApp = fs.existsSync(this.appPath);
+
+        if (step === 'swapping' && !hasStaging && hasApp) {
+            // The new version was swapped in, but not recorded yet
+            this.state.update({
+                currentVersion: to,
+                previousVersion: fs.existsSync(this.backupPath) ? from : null
+            });
+        } else if (step === 'staging' || step === 'swapping') {
+            // The installed app was not replaced (or only moved aside): keep it
+            fs.rmSync(this.stagingPath, { recursive: true, force: true });
+            if (!hasApp && fs.existsSync(this.backupPath)) {
+                fs.renameSync(this.backupPath, this.appPath);
+            }
+            if (!fs.existsSync(this.backupPath) && this.getPreviousVersion()) {
+                // The swap starts by removing the old backup
+                this.state.update({ previousVersion: null });
+            }
+            if (step === 'swapping') {
+                // preInstall may have stopped the app: bring it back up
+                await this.runLifecycleHook('postInstall', { from: to, to: from, rollback: true });
+            }
+            return { outcome: 'rolled-back', error: interrupted };
+        }
+
+        let error = interrupted;
+        if (step !== 'restoring') {
+            try {
+                await this.runLifecycleHook('postInstall', { from, to });
+                await this.runLifecycleHook('healthCheck', { from, to });
+                return { outcome: 'finished', error: null };
+            } catch (hookError) {
+                error = toUpdateError(hookError, ERROR_CODES.INSTALL_FAILED);
+                this.logger.error(`Could not finish the install of ${to}:`, error.message);
+            }
+        }
+
+        await this.reinstatePrevious(to, from, error, () => this.resumeRestore(from));
+        return { outcome: 'rolled-back', error };
+    }
+
+    /**
+     * Finishes an interrupted rollback
+     * @param {Object} operation - Journaled operation
+     * @returns {Promise<Object>} outcome ('finished') and error (null)
+     */
+    async recoverRollback(operation) {
+        const { from, to, step } = operation;
+        if (step === 'restoring') {
+            await this.resumeRestore(to);
+        }
+        await this.runLifecycleHook('postInstall', { from, to, rollback: true });
+        this.emit('rolled-back', { version: this.getCurrentVersion(), from, error: null });
+        return { outcome: 'finished', error: null };
+    }
+
+    /**
+     * Records an install attempt in the local history and reports it to the server
+     * @param {Object} attempt - Install attempt (see sendInstallReport())
+     * @param {boolean} [attempt.rolledBack=false] - Whether the previous version was reinstated after a failure
+     * @param {boolean} [attempt.offline=false] - Installed from a bundle: no report is sent
+     * @returns {Promise<void>}
+     */
+    async recordInstallAttempt(attempt) {
+        this.appendHistory({ action: 'install', ...attempt });
+        // Installs from a bundle run without network access
+        if (!attempt.offline) {
+            await this.sendInstallReport(attempt);
+        }
+    }
+
+    /**
+     * Adds an install or rollback to the history of update-state.json. Never fails.
+     * @param {Object} entry - History entry
+     * @param {string} entry.action - 'install' or 'rollback'
+     * @param {string|null} entry.from - Version before
+     * @param {string|null} entry.to - Version it was for (null if the requested one was not resolved)
+     * @param {string} [entry.requested] - Version, 'LATEST' or range requested, when it was not resolved
+     * @param {string} entry.outcome - 'success' or 'failure'
+     * @param {number} entry.startedAt - Start time (ms since epoch)
+     * @param {Error} [entry.error] - Why it failed
+     * @param {boolean} [entry.rolledBack=false] - Whether the previous version was reinstated after a failure
+     * @param {boolean} [entry.recovered=false] - Whether it was interrupted, and completed by recover()
+     */
+    appendHistory({
+        action, from, to, requested = null, outcome, startedAt, error = null, rolledBack = false, recovered = false
+    }) {
+        const entry = {
+            time: new Date().toISOString(),
+            action,
+            from: from || null,
+            to: to || null,
+            requested: requested || to || null,
+            outcome,
+            durationMs: Date.now() - startedAt,
+            error: error ? error.message : null,
+            code: error ? error.code || null : null,
+            rolledBack,
+            recovered
+        };
+
+        try {
+            this.state.addHistory(entry);
+        } catch (historyError) {
+            this.logger.error('Error writing state file:', historyError.message);
+        }
+    }
+
+    /**
+     * Reads the install and rollback history from update-state.json (the last 100 are kept)
+     * @param {number} limit - (optional) Number of entries to return, newest first (0: all)
+     * @returns {Array} History entries, newest first
+     */
+    getHistory(limit = 0) {
+        const entries = this.getState().history.slice().reverse();
+        return limit > 0 ? entries.slice(0, limit) : entries;
+    }
+
+    /**
+     * Sends the report of an install attempt to the server (unless telemetry is off).
+     * Never fails: a server that cannot take the report does not affect the update.
+     * @param {Object} attempt - Install attempt
+     * @param {string|null} attempt.from - Version installed before the attempt
+     * @param {string|null} attempt.to - Version the attempt was for (null if the requested one was not resolved)
+     * @param {string} [attempt.requested] - Version, 'LATEST' or range requested (defaults to attempt.to)
+     * @param {string} attempt.outcome - 'success' or 'failure'
+     * @param {number} attempt.startedAt - Start time of the attempt (ms since epoch)
+     * @param {Error} [attempt.error] - Why the attempt failed
+     * @returns {Promise<void>}
+     */
+    async sendInstallReport({ from, to, requested = null, outcome, startedAt, error = null }) {
+        if (!this.telemetry) {
+            return;
+        }
+
+        try {
+            await this.serverRequest('reports', {
+                method: 'POST',
+                data: {
+                    installId: this.installId,
+                    from: from || null,
+                    to: to || null,
+                    requested: requested || to || null,
+                    outcome,
+                    durationMs: Date.now() - startedAt,
+                    error: error ? error.message : null,
+                    platform: {
+                        os: process.platform,
+                        arch: process.arch,
+                        release: os.release(),
+                        node: process.version
+                    }
+                },
+                timeout: 10000
+            });
+        } catch (reportError) {
+            this.logger.warn('Could not send install report:', reportError.message);
+        }
+    }
+
+    /**
+     * Main update function. Holds update.lock, and recovers an interrupted operation first.
+     * @param {string} version - Version to update to: 'LATEST' (default), a range (e.g. '^2.1.0') or a version
+     * @returns {Promise<boolean>} Success status; failures are emitted as 'error' events
+     */
+    async update(version = 'LATEST') {
+        return this.runLocked('update', async () => {
+            await this.resumeInterrupted();
+            return this.updateLocked(version);
         });
     }
+
+    /**
+     * Downloads and installs a version; the caller holds the update lock
+     * @param {string} version - Version to update to: 'LATEST', a range or a version
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateLocked(version) {
+        const startedAt = Date.now();
+        let download;
+        let target = version;
+        try {
+            this.logger.log(`Starting update to version: ${version}`);
+            if (!SemVer.isValid(version)) {
+                target = await this.resolveUpdateVersion(version);
+                if (target === this.getCurrentVersion()) {
+                    this.logger.log(`Already up to date (${target})`);
+                    return true;
+                }
+            }
+            download = await this.download(target);
+        } catch (error) {
+            const updateError = toUpdateError(error, ERROR_CODES.DOWNLOAD_FAILED);
+            this.reportUpdateFailure(updateError);
+            this.emitError(updateError);
+            await this.recordInstallAttempt({
+                from: this.getCurrentVersion(),
+                // Null when 'LATEST' or the range could not be resolved
+                to: SemVer.isValid(target) ? target : null,
+                requested: version,
+                outcome: 'failure',
+                startedAt,
+                error: updateError
+            });
+            return false;
+        }
+
+        return this.installDownload(download);
+    }
+
+    /**
+     * Installs a version from a bundle file (see Bundles.js) without contacting the update servers:
+     * the archive is checked against its checksum and bundled signature, then installed like a
+     * download (staging, hooks, version recording). Holds update.lock, and recovers an interrupted
+     * operation first.
+     * @param {string} bundlePath - Bundle file (made by the host's Export-Bundle.js, or exportBundle())
+     * @param {string} version - Version to install: 'LATEST' (default, the newest of the bundle, held to
+     *     the version constraint), a range or a version
+     * @returns {Promise<boolean>} Success status; failures are emitted as 'error' events
+     */
+    async installFromFile(bundlePath, version = 'LATEST') {
+        return this.runLocked('install', async () => {
+            await this.resumeInterrupted();
+
+            const startedAt = Date.now();
+            fs.mkdirSync(this.downloadsDir, { recursive: true });
+            const workDir = fs.mkdtempSync(path.join(this.downloadsDir, 'bundle-'));
+            try {
+                let download;
+                try {
+                    this.logger.log(`Reading bundle ${bundlePath}...`);
+                    download = await this.openBundle(bundlePath, version, workDir);
+                } catch (error) {
+                    const bundleError = toUpdateError(error, ERROR_CODES.INVALID_BUNDLE);
+                    this.reportUpdateFailure(bundleError);
+                    this.emitError(bundleError);
+                    await this.recordInstallAttempt({
+                        from: this.getCurrentVersion(),
+                        to: SemVer.isValid(version) ? version : null,
+                        requested: version,
+                        outcome: 'failure',
+                        startedAt,
+                        error: bundleError,
+                        offline: true
+                    });
+                    return false;
+                }
+
+                return download ? await this.installDownload(download) : true;
+            } finally {
+                fs.rmSync(workDir, { recursive: true, force: true });
+            }
+        });
+    }
+
+    /**
+     * Extracts a bundle and picks the build to install
+     * @param {string} bundlePath - Bundle file
+     * @param {string} version - 'LATEST', a range or a version
+     * @param {string} dir - Empty directory to extract the bundle to
+     * @returns {Promise<Object|null>} Download to pass to installDownload(), with the bundle's
+     *     signature; null when the newest matching version is already installed
+     */
+    async openBundle(bundlePath, version, dir) {
+        const bundle = await readBundle(bundlePath, dir, this.extractLimits);
+        if ((bundle.app || null) !== (this.appId || null)) {
+            throw new UpdateError(ERROR_CODES.INVALID_BUNDLE, `Bundle is for ${bundle.app || 'the default app'}, ` +
+                `not ${this.appId || 'the default app'}`);
+        }
+
+        // One build per version: the one this client would be sent
+        const builds = bundle.builds.filter(build =>
+            selectBuild(bundle.builds, build.version, this.platform, this.arch) === build);
+        if (builds.length === 0) {
+            throw new UpdateError(ERROR_CODES.INVALID_BUNDLE, `Bundle has no build for ${this.platform}-${this.arch}`);
+        }
+        const versions = builds.map(build => build.version).sort((a, b) => SemVer.compare(b, a));
+        if (SemVer.isValid(version) && !versions.includes(version)) {
+            throw new UpdateError(ERROR_CODES.VERSION_NOT_FOUND, bundle.builds.some(build => build.version === version)
+                ? `Bundle has no build of ${version} for ${this.platform}-${this.arch}`
+                : `Version ${version} is not in the bundle (available: ${versions.join(', ')})`);
+        }
+
+        const target = await this.resolveUpdateVersion(version, {
+            versions,
+            latest: null,
+            releases: Object.fromEntries(builds.map(build => [build.version, build.info]))
+        });
+        if (!SemVer.isValid(version) && target === this.getCurrentVersion()) {
+            this.logger.log(`Already up to date (${target})`);
+            return null;
+        }
+
+        const build = builds.find(candidate => candidate.version === target);
+        await verifyChecksum(build);
+        return {
+            version: target,
+            tarPath: build.archivePath,
+            isDelta: false,
+            from: null,
+            mirror: null,
+            bundle: { path: bundlePath, signature: build.signature }
+        };
+    }
+
+    /**
+     * Downloads versions and writes them into a bundle file (see Bundles.js), so machines that
+     * cannot reach the update servers can install them from this client's copy. Every archive
+     * is verified against its signature first.
+     * @param {Array} versions - Versions to bundle ('LATEST' or versions)
+     * @param {string} outPath - Bundle file to write
+     * @returns {Promise<Object>} outPath and builds (version and variant of every bundled build)
+     */
+    async exportBundle(versions, outPath) {
+        const publicKey = this.loadReleaseKey();
+        const builds = [];
+        try {
+            for (const requested of [...new Set(versions)]) {
+                // Release info as the server publishes it, without its builds
+                const info = await this.getReleaseInfo(requested);
+                delete info.platforms;
+                const version = info.version;
+
+                this.logger.log(`Downloading version ${version}...`);
+                const tarPath = await this.downloadVersion(version);
+                // Unsigned, the build is the one sent to this platform
+                const build = { version, variant: `${this.platform}-${this.arch}`, info, tarPath, signature: null };
+                builds.push(build);
+
+                if (publicKey) {
+                    this.emit('verifying', { version });
+                    build.signature = await this.fetchSignature(version);
+                    const manifest = this.verifySignature(build.signature, publicKey, version);
+                    try {
+                        await verifyArchiveAgainstManifest(tarPath, manifest);
+                    } catch (error) {
+                        throw toUpdateError(error, ERROR_CODES.VERIFICATION_FAILED);
+                    }
+                    build.variant = manifest.variant || null;
+                }
+            }
+
+            await writeBundle({ appId: this.appId, builds, outPath });
+            this.logger.log(`Bundled ${builds.map(build => build.version).join(', ')} into ${outPath}`);
+            return {
+                outPath,
+                builds: builds.map(({ version, variant }) => ({ version, variant }))
+            };
+        } finally {
+            for (const build of builds) {
+                fs.rmSync(build.tarPath, { force: true });
+            }
+        }
+    }
+
+    /**
+     * Fetches the release info of a version (notes, date, mandatory, minClientVersion, minUpgradeFrom)
+     * @param {string} version - Version (or 'LATEST')
+     * @returns {Promise<Object>} Release info
+     */
+    async getReleaseInfo(version = 'LATEST') {
+        try {
+            const response = await this.serverRequest(`versions/${encodeURIComponent(version)}`, {
+                params: { channel: this.channel }
+            });
+            return response.data;
+        } catch (error) {
+            throw toUpdateError(this.toAccessError(error), ERROR_CODES.REQUEST_FAILED);
+        }
+    }
+
+    /**
+     * Fetches the versions offered to the client
+     * @returns {Promise<Object>} versions (newest first), latest, requiredVersion (set when no offered
+     *     version can be installed straight from the installed one) and releases (release info by version)
+     */
+    async fetchVersionList() {
+        try {
+            const response = await this.serverRequest('versions', {
+                params: { channel: this.channel }
+            });
+            const { versions = [], latest = null, requiredVersion = null, releases = {} } = response.data || {};
+            return { versions, latest, requiredVersion, releases };
+        } catch (error) {
+            throw toUpdateError(this.toAccessError(error), ERROR_CODES.REQUEST_FAILED);
+        }
+    }
+
+    /**
+     * Picks the version to update to: the server's latest, or with a range the newest
+     * matching version the installed one can upgrade to straight away (see minUpgradeFrom)
+     * @param {Object} list - Result of fetchVersionList()
+     * @param {string|null} range - Range the version must match (null: none)
+     * @returns {string|null} Version, or null if none is offered
+     * @throws {UpdateError} UPGRADE_PATH_REQUIRED when newer versions are offered, but none can be
+     *     installed straight from the installed one
+     */
+    selectUpdateVersion({ versions, latest, requiredVersion, releases }, range) {
+        if (!range) {
+            if (!latest && requiredVersion) {
+                throw this.upgradePathError(requiredVersion);
+            }
+            return latest;
+        }
+
+        const matching = versions.filter(version => SemVer.satisfies(version, range));
+        // The server already picked the best version for this client
+        if (latest && matching.includes(latest)) {
+            return latest;
+        }
+
+        const currentVersion = this.getCurrentVersion();
+        const currentValid = SemVer.isValid(currentVersion);
+        const blockedBy = [];
+        for (const version of matching) {
+            if (currentValid && SemVer.compare(version, currentVersion) <= 0) {
+                break;
+            }
+            const minUpgradeFrom = (releases[version] || {}).minUpgradeFrom;
+            if (!currentValid || !SemVer.isValid(minUpgradeFrom) || SemVer.compare(currentVersion, minUpgradeFrom) >= 0) {
+                return version;
+            }
+            blockedBy.push(minUpgradeFrom);
+        }
+        if (blockedBy.length > 0) {
+            // There are newer matching versions, but none accepts the installed one
+            throw this.upgradePathError(blockedBy.sort(SemVer.compare)[0]);
+        }
+        return matching[0] || null;
+    }
+
+    /**
+     * Creates the error of an update no offered version can be installed for straight away
+     * @param {string} requiredVersion - Version to install first (minUpgradeFrom of the newer versions)
+     * @returns {UpdateError} UPGRADE_PATH_REQUIRED error, with requiredVersion set
+     */
+    upgradePathError(requiredVersion) {
+        const error = new UpdateError(ERROR_CODES.UPGRADE_PATH_REQUIRED,
+            `No version can be installed straight from ${this.getCurrentVersion()}: ` +
+            `install ${requiredVersion} or later first`);
+        error.requiredVersion = requiredVersion;
+        return error;
+    }
+
+    /**
+     * Resolves the version an update installs, refusing downgrades unless allowDowngrade is set
+     * @param {string} version - 'LATEST' (held to the version constraint), a range or a version
+     * @param {Object} offered - (optional) Versions to pick from instead of the server's (see
+     *     fetchVersionList()), e.g. those of a bundle
+     * @returns {Promise<string>} Version to install; the installed version when LATEST is not newer
+     */
+    async resolveUpdateVersion(version = 'LATEST', offered = null) {
+        let target = version;
+
+        if (version === 'LATEST' && !this.versionConstraint) {
+            target = offered ? offered.versions[0] : (await this.getReleaseInfo('LATEST')).version;
+        } else if (!SemVer.isValid(version)) {
+            const range = version === 'LATEST' ? this.versionConstraint : version;
+            if (!SemVer.isValidRange(range)) {
+                throw new UpdateError(ERROR_CODES.INVALID_VERSION, `Invalid version or version constraint: ${version}`);
+            }
+
+            target = this.selectUpdateVersion(offered || await this.fetchVersionList(), range);
+            if (!target) {
+                throw new UpdateError(ERROR_CODES.NO_MATCHING_VERSION, `No version matching ${range} is available ` +
+                    (offered ? 'in the bundle' : `on channel ${this.channel}`));
+            }
+            this.logger.log(`Newest version matching ${range}: ${target}`);
+        } else if (this.versionConstraint && !SemVer.satisfies(version, this.versionConstraint)) {
+            this.logger.warn(`Version ${version} does not match the version constraint ${this.versionConstraint}`);
+        }
+
+        const currentVersion = this.getCurrentVersion();
+        if (!this.allowDowngrade && SemVer.isValid(currentVersion) && SemVer.isValid(target) &&
+            SemVer.compare(target, currentVersion) < 0) {
+            if (version === 'LATEST') {
+                // As in checkForUpdate(): an older LATEST is no update, not a downgrade
+                this.logger.log(`Version ${currentVersion} is newer than the latest offered version (${target})`);
+                return currentVersion;
+            }
+            throw new UpdateError(ERROR_CODES.DOWNGRADE_REFUSED, `Refusing to downgrade from ${currentVersion} to ${target} ` +
+                '(allow it with --allow-downgrade)');
+        }
+        return target;
+    }
+
+    /**
+     * Checks if an update is available
+     * @returns {Promise<Object>} Update check result:
+     *     available - whether a newer version is offered (matching the version constraint),
+     *     currentVersion / version - installed and offered version,
+     *     latest - the server's latest version for this client (may not match the version constraint),
+     *     constraint - the version constraint (null: none),
+     *     urgency - 'none', 'optional' or 'mandatory',
+     *     mandatory - an update must be installed (a newer release is mandatory, or the
+     *         installed version is below the offered release's minClientVersion),
+     *     supported - false when the installed version is below the minClientVersion of a release,
+     *     notes / date - release notes and date of the offered version,
+     *     releases - release info of every version between the installed and the offered one,
+     *     error / code - message and error code, set when the check itself failed
+     */
+    async checkForUpdate() {
+        const currentVersion = this.getCurrentVersion();
+        this.emit('checking', { currentVersion, channel: this.channel });
+        const result = {
+            available: false,
+            currentVersion,
+            version: null,
+            latest: null,
+            constraint: this.versionConstraint,
+            urgency: 'none',
+            mandatory: false,
+            supported: true,
+            notes: null,
+            date: null,
+            releases: []
+        };
+
+        try {
+            const list = await this.fetchVersionList();
+            const { versions, releases } = list;
+            result.latest = list.latest;
+            const latest = this.selectUpdateVersion(list, this.versionConstraint);
+            const currentValid = SemVer.isValid(currentVersion);
+
+            if (!latest || latest === currentVersion ||
+                (currentValid && SemVer.isValid(latest) && SemVer.compare(latest, currentVersion) <= 0)) {
+                return result;
+            }
+
+            const info = releases[latest] || {};
+            // Every release the update brings, newest first
+            const pending = versions.filter(version => SemVer.isValid(version) &&
+                SemVer.compare(version, latest) <= 0 &&
+                (!currentValid || SemVer.compare(version, currentVersion) > 0));
+
+            result.available = true;
+            result.version = latest;
+            result.notes = info.notes || null;
+            result.date = info.date || null;
+            result.releases = pending.map(version => releases[version] || { version });
+            // Any listed release the client may move to can have dropped support for the installed version
+            result.supported = !currentValid || !Object.values(releases).some(release =>
+                (!this.versionConstraint || SemVer.satisfies(release.version, this.versionConstraint)) &&
+                SemVer.isValid(release.minClientVersion) &&
+                SemVer.compare(currentVersion, release.minClientVersion) < 0);
+            result.mandatory = !result.supported ||
+                result.releases.some(release => release.mandatory === true);
+            result.urgency = result.mandatory ? 'mandatory' : 'optional';
+            this.emit('update-available', result);
+            return result;
+        } catch (error) {
+            const checkError = toUpdateError(error, ERROR_CODES.REQUEST_FAILED);
+            this.logger.error('Error checking for updates:', checkError.message);
+            this.emitError(checkError);
+            return { ...result, error: checkError.message, code: checkError.code };
+        }
+    }
 }
 
 module.exports = UpdateClient;
+
+// Command-line interface: the same as Update.js
+if (require.main === module) {
+    require('./Update').main(process.argv.slice(2)).then((exitCode) => {
+        if (exitCode !== null) {
+            process.exit(exitCode);
+        }
+    });
+}
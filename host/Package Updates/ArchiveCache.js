@@ -0,0 +1,185 @@
+/**
+ * Archive Cache
+ *
+ * Builds each release archive once and keeps it on disk, so requests are served
+ * from a file (with Content-Length, ETag and Range support) instead of
+ * re-packing and re-compressing the version folder every time.
+ *
+ * Cached archives are keyed by a fingerprint of the source folder(s): any added,
+ * removed or modified file gives a new fingerprint, and the archive is rebuilt.
+ *
+ * Cache layout:
+ * cache/
+ * └── <app>/
+ *     ├── 2.1.0@<fingerprint>.tar.gz        ← Full archive of 2.1.0
+ *     ├── 2.1.0@<fingerprint>.json          ← Size and ETag of the archive
+ *     ├── 2.2.0#linux-x64@<fingerprint>.tar.gz ← Full archive of a platform build (see Variants.js)
+ *     └── 2.0.0~2.1.0@<fingerprint>.tar.gz  ← Delta archive from 2.0.0 to 2.1.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Builds in progress, shared by concurrent requests for the same archive
+const pendingBuilds = new Map();
+
+/**
+ * Computes a fingerprint of a folder from the path, type, size and mtime of every entry
+ * @param {string} folderPath - Folder to fingerprint
+ * @returns {string} - Hex fingerprint
+ */
+function folderFingerprint(folderPath) {
+    const hash = crypto.createHash('sha256');
+
+    const walk = (dir) => {
+        const items = fs.readdirSync(dir, { withFileTypes: true })
+            .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+        for (const item of items) {
+            const fullPath = path.join(dir, item.name);
+            const relPath = path.relative(folderPath, fullPath);
+            const stat = fs.lstatSync(fullPath);
+
+            if (item.isDirectory()) {
+                hash.update(`d:${relPath}\n`);
+                walk(fullPath);
+            } else if (item.isSymbolicLink()) {
+                hash.update(`l:${relPath}:${fs.readlinkSync(fullPath)}\n`);
+            } else {
+                hash.update(`f:${relPath}:${stat.size}:${stat.mtimeMs}:${stat.mode}\n`);
+            }
+        }
+    };
+
+    walk(folderPath);
+    return hash.digest('hex');
+}
+
+/**
+ * Writes an archive stream to the cache, computing its size and strong ETag
+ * @param {stream.Readable} tarStream - Archive stream to store
+ * @param {string} archivePath - Final path of the cached archive
+ * @returns {Promise<Object>} - Cached archive: filePath, size and etag
+ */
+function writeArchive(tarStream, archivePath) {
+    return new Promise((resolve, reject) => {
+        if (tarStream.error) {
+            return reject(tarStream.error);
+        }
+
+        // Write to a temporary file first, so a partial archive is never served
+        const tmpPath = `${archivePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const writer = fs.createWriteStream(tmpPath);
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+
+        const fail = (error) => {
+            writer.destroy();
+            fs.rmSync(tmpPath, { force: true });
+            reject(error);
+        };
+
+        tarStream.on('data', (chunk) => {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+        tarStream.on('error', fail);
+        writer.on('error', fail);
+
+        writer.on('finish', () => {
+            try {
+                const archive = {
+                    size,
+                    etag: `"${hash.digest('hex')}"`
+                };
+                fs.renameSync(tmpPath, archivePath);
+                fs.writeFileSync(archivePath.replace(/\.tar\.gz$/, '.json'), JSON.stringify(archive));
+                resolve({ filePath: archivePath, ...archive });
+            } catch (error) {
+                fail(error);
+            }
+        });
+
+        tarStream.pipe(writer);
+    });
+}
+
+/**
+ * Removes cached archives of the same name built from older folder contents
+ * @param {string} cacheDir - Cache directory of the app
+ * @param {string} name - Archive name (without fingerprint)
+ * @param {string} keepPrefix - File prefix of the current archive
+ */
+function pruneStale(cacheDir, name, keepPrefix) {
+    for (const file of fs.readdirSync(cacheDir)) {
+        if (file.startsWith(`${name}@`) && !file.startsWith(keepPrefix) && !file.endsWith('.tmp')) {
+            fs.rmSync(path.join(cacheDir, file), { force: true });
+        }
+    }
+}
+
+/**
+ * Gets a cached archive, building it first if it is missing or out of date
+ * @param {Object} params - Parameters object
+ * @param {string} params.cacheDir - Cache directory of the app
+ * @param {string} params.name - Archive name (e.g. '2.1.0', '2.0.0~2.1.0' or '2.2.0#linux-x64')
+ * @param {string} params.fingerprint - Fingerprint of the archive sources (e.g. folderFingerprint())
+ * @param {Function} params.createStream - Creates the archive stream when a build is needed
+ * @returns {Promise<Object>} - Cached archive: filePath, size and etag
+ */
+async function getCachedArchive({ cacheDir, name, fingerprint, createStream }) {
+    const key = crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 16);
+    const prefix = `${name}@${key}`;
+    const archivePath = path.join(cacheDir, `${prefix}.tar.gz`);
+    const metaPath = path.join(cacheDir, `${prefix}.json`);
+
+    if (fs.existsSync(archivePath) && fs.existsSync(metaPath)) {
+        return { filePath: archivePath, ...JSON.parse(fs.readFileSync(metaPath, 'utf8')) };
+    }
+
+    if (pendingBuilds.has(archivePath)) {
+        return pendingBuilds.get(archivePath);
+    }
+
+    const build = (async () => {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        console.log(`Building cached archive: ${archivePath}`);
+
+        const archive = await writeArchive(createStream(), archivePath);
+        pruneStale(cacheDir, name, prefix);
+        return archive;
+    })();
+
+    pendingBuilds.set(archivePath, build);
+    try {
+        return await build;
+    } finally {
+        pendingBuilds.delete(archivePath);
+    }
+}
+
+/**
+ * Removes every cached archive (full or delta) that involves a version
+ * @param {string} cacheDir - Cache directory of the app
+ * @param {string} version - Version name
+ */
+function removeCachedArchives(cacheDir, version) {
+    if (!fs.existsSync(cacheDir)) {
+        return;
+    }
+
+    for (const file of fs.readdirSync(cacheDir)) {
+        // Names of the versions involved, without the variant
+        const names = file.split('@')[0].split('~').map(name => name.split('#')[0]);
+        if (names.includes(version)) {
+            fs.rmSync(path.join(cacheDir, file), { force: true });
+        }
+    }
+}
+
+module.exports = {
+    folderFingerprint,
+    getCachedArchive,
+    removeCachedArchives
+};
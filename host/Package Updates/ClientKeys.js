@@ -0,0 +1,239 @@
+/**
+ * Client Key Store
+ *
+ * API keys that clients must present to download releases when the server runs
+ * with REQUIRE_CLIENT_AUTH=true. Keys are sent either as a bearer token
+ * ('Authorization: Bearer <key>') or in the X-API-Key header.
+ *
+ * Only a SHA-256 hash of every key is stored; the key itself is shown once, when
+ * it is created. Each key is scoped to applications and release channels, and
+ * can be revoked. The server reloads the file when it changes.
+ *
+ * client-keys.json:
+ * {
+ *   "keys": [{
+ *     "id": "k_3f9a1c2e",
+ *     "name": "build agents",
+ *     "hash": "<sha256 of the key>",
+ *     "apps": ["_default", "editor"],   ← '_default' is the unprefixed app, '*' is every app
+ *     "channels": ["stable", "beta"],   ← '*' is every channel
+ *     "created": "2024-01-01T00:00:00.000Z",
+ *     "revoked": null
+ *   }]
+ * }
+ *
+ * Usage:
+ * - Create a key:  node ClientKeys.js create --name NAME [--apps _default,editor] [--channels stable,beta]
+ * - List keys:     node ClientKeys.js list
+ * - Revoke a key:  node ClientKeys.js revoke KEY_ID
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Key store file, in the parent directory by default
+const KEYS_FILE = process.env.CLIENT_KEYS_FILE || path.join(__dirname, '..', 'client-keys.json');
+// Scope name of the default application (app ids cannot start with '_')
+const DEFAULT_APP_SCOPE = '_default';
+
+// Last loaded key store, reloaded when the file changes
+let cachedStore = null;
+
+/**
+ * Hashes a client key for storage and lookup
+ * @param {string} key - Client key
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Reads the key store, reusing the last read while the file is unchanged
+ * @param {string} keysFile - Path to the key store file
+ * @returns {Object} Key store ({ keys: [] } if the file does not exist)
+ */
+function readKeyStore(keysFile = KEYS_FILE) {
+    if (!fs.existsSync(keysFile)) {
+        return { keys: [] };
+    }
+
+    const mtimeMs = fs.statSync(keysFile).mtimeMs;
+    if (cachedStore && cachedStore.file === keysFile && cachedStore.mtimeMs === mtimeMs) {
+        return cachedStore.store;
+    }
+
+    const store = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    if (!Array.isArray(store.keys)) {
+        throw new Error(`Invalid key store: ${keysFile}`);
+    }
+
+    cachedStore = { file: keysFile, mtimeMs, store };
+    return store;
+}
+
+/**
+ * Writes the key store
+ * @param {Object} store - Key store
+ * @param {string} keysFile - Path to the key store file
+ */
+function writeKeyStore(store, keysFile = KEYS_FILE) {
+    // Write then rename, so the server never reads a half-written file
+    const tmpFile = `${keysFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, keysFile);
+}
+
+/**
+ * Creates a client key and adds it to the key store
+ * @param {Object} params - Parameters object
+ * @param {string} params.name - Description of the key holder
+ * @param {Array} [params.apps] - Application ids the key may access ('*' for all)
+ * @param {Array} [params.channels] - Channels the key may access ('*' for all)
+ * @param {string} [params.keysFile] - Path to the key store file
+ * @returns {Object} The new key (shown once) and its stored record
+ */
+function createKey({ name, apps = ['*'], channels = ['*'], keysFile = KEYS_FILE }) {
+    const store = readKeyStore(keysFile);
+    const id = `k_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${id}.${crypto.randomBytes(24).toString('base64url')}`;
+
+    const record = {
+        id,
+        name: name || id,
+        hash: hashKey(key),
+        apps,
+        channels: channels.map(channel => channel.toLowerCase()),
+        created: new Date().toISOString(),
+        revoked: null
+    };
+
+    writeKeyStore({ ...store, keys: [...store.keys, record] }, keysFile);
+    return { key, record };
+}
+
+/**
+ * Revokes a client key; revoked keys are rejected but kept for reference
+ * @param {string} id - Key id
+ * @param {string} keysFile - Path to the key store file
+ * @returns {Object} Revoked key record
+ */
+function revokeKey(id, keysFile = KEYS_FILE) {
+    const store = readKeyStore(keysFile);
+    const record = store.keys.find(key => key.id === id);
+
+    if (!record) {
+        throw new Error(`Key ${id} not found`);
+    }
+
+    const revoked = { ...record, revoked: record.revoked || new Date().toISOString() };
+    writeKeyStore({
+        ...store,
+        keys: store.keys.map(key => (key.id === id ? revoked : key))
+    }, keysFile);
+    return revoked;
+}
+
+/**
+ * Looks up the record of a client key
+ * @param {string} key - Key presented by the client
+ * @param {string} keysFile - Path to the key store file
+ * @returns {Object|null} Key record (possibly revoked), or null for an unknown key
+ */
+function findKey(key, keysFile = KEYS_FILE) {
+    const hash = hashKey(key);
+    return readKeyStore(keysFile).keys.find(record => record.hash === hash) || null;
+}
+
+/**
+ * Checks whether a key may access an application
+ * @param {Object} record - Key record
+ * @param {string|null} appId - Application id (null for the default app)
+ * @returns {boolean}
+ */
+function isAppAllowed(record, appId) {
+    const apps = record.apps || [];
+    return apps.includes('*') || apps.includes(appId || DEFAULT_APP_SCOPE);
+}
+
+/**
+ * Splits a comma-separated command line list
+ * @param {string|undefined} value - Flag value
+ * @param {Array} fallback - Value when the flag is missing
+ * @returns {Array} List items
+ */
+function parseList(value, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the value following a command line flag
+ * @param {Array} args - Command line arguments
+ * @param {string} flag - Flag name (e.g. '--name')
+ * @returns {string|undefined} Flag value
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Command-line interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const command = args[0];
+
+    try {
+        if (command === 'create') {
+            const apps = parseList(getFlag(args, '--apps'), ['*']);
+            const invalid = apps.find(app =>
+                app !== '*' && app !== DEFAULT_APP_SCOPE && !/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(app)
+            );
+            if (invalid !== undefined) {
+                throw new Error(`Invalid application id: ${invalid}`);
+            }
+
+            const channels = parseList(getFlag(args, '--channels'), ['*']);
+            const invalidChannel = channels.find(channel => channel !== '*' && !/^[a-zA-Z-]+$/.test(channel));
+            if (invalidChannel !== undefined) {
+                throw new Error(`Invalid channel: ${invalidChannel}`);
+            }
+
+            const { key, record } = createKey({ name: getFlag(args, '--name'), apps, channels });
+            console.log(`Created key ${record.id} (${record.name})`);
+            console.log(`  apps:     ${record.apps.join(', ')}`);
+            console.log(`  channels: ${record.channels.join(', ')}`);
+            console.log(`Key (shown only once): ${key}`);
+        } else if (command === 'list') {
+            for (const record of readKeyStore().keys) {
+                const status = record.revoked ? `revoked ${record.revoked}` : 'active';
+                console.log(`${record.id}  ${record.name}  apps=${record.apps.join(',')}  ` +
+                    `channels=${record.channels.join(',')}  ${status}`);
+            }
+        } else if (command === 'revoke' && args[1]) {
+            const record = revokeKey(args[1]);
+            console.log(`Revoked key ${record.id} (${record.name})`);
+        } else {
+            throw new Error(command ? `Unknown command: ${command}` : 'Missing command');
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        console.log('Usage:');
+        console.log('  node ClientKeys.js create --name NAME [--apps _default,APP_ID] [--channels stable,beta]');
+        console.log('  node ClientKeys.js list');
+        console.log('  node ClientKeys.js revoke KEY_ID');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    DEFAULT_APP_SCOPE,
+    readKeyStore,
+    createKey,
+    revokeKey,
+    findKey,
+    isAppAllowed
+};
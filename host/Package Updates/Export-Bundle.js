@@ -0,0 +1,236 @@
+/**
+ * Offline Update Bundles
+ *
+ * Exports versions into a single bundle file, for sites that cannot reach the
+ * update server (air-gapped networks): the bundle is carried over and clients
+ * install from it with `node Update.js install --from-file <bundle>`.
+ *
+ * A bundle is a tar file holding, for every build of the exported versions
+ * (one per platform variant, see Variants.js), the archive the server would
+ * send and its detached signature, plus a manifest:
+ *
+ * bundle.json                       ← { format, formatVersion, app, created, builds: [{ version, variant,
+ * │                                     archive, size, sha256, signature, info }] }
+ * archives/
+ * │   ├── 2.1.0.tar.gz
+ * │   └── 2.2.0.linux-x64.tar.gz
+ * signatures/
+ *     ├── 2.1.0.sig
+ *     └── 2.2.0.linux-x64.sig
+ *
+ * The checksums catch a bundle damaged on its way; clients still check every
+ * archive against its signature and their pinned public key, so a bundle is no
+ * more trusted than the update server. Versions must be signed first (see
+ * Sign-Release.js), unless --allow-unsigned is given, and complete: a version
+ * the server does not publish yet (see ReleaseIndex.js) is refused.
+ *
+ * Usage:
+ * - Export versions:        node Export-Bundle.js 2.1.0 2.2.0 [--out FILE] [--app APP_ID]
+ * - Only some builds:       node Export-Bundle.js 2.2.0 --platform linux-x64 [--platform generic]
+ * - Unsigned versions too:  node Export-Bundle.js 2.1.0 --allow-unsigned
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const { createAndSaveTarArchive } = require('./TARer');
+const { checkReady } = require('./ReleaseIndex');
+const { getReleaseInfo } = require('./Releases');
+const { getVariants, getSignaturePath } = require('./Variants');
+
+// Set base directory to the parent directory's 'app' folder
+const BASE_DIR = path.join(__dirname, '..', 'app');
+// Applications hosted under /apps/<appId> live in the parent directory's 'apps' folder
+const APPS_DIR = path.join(__dirname, '..', 'apps');
+
+// Identifies bundle.json, and the layout version clients must understand
+const BUNDLE_FORMAT = 'omniupdate-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+const BUNDLE_MANIFEST = 'bundle.json';
+
+/**
+ * Computes the SHA-256 checksum of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Lists the builds of a version to export
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Version name
+ * @param {Array} platforms - Variants to export (empty: all); a version without variants is always exported
+ * @returns {Array} Builds: variant (null for a version without variants), folderPath and signaturePath
+ * @throws {Error} If the version does not exist or is not published yet (e.g. still being copied)
+ */
+function listBuilds(baseDir, version, platforms = []) {
+    const versionPath = path.resolve(baseDir, version);
+    if (path.dirname(versionPath) !== path.resolve(baseDir)) {
+        throw new Error(`Invalid version: ${version}`);
+    }
+    if (!fs.existsSync(versionPath) || !fs.statSync(versionPath).isDirectory()) {
+        throw new Error(`Version ${version} not found`);
+    }
+    // The server does not serve it yet, neither does a bundle
+    const problem = checkReady(baseDir, version);
+    if (problem) {
+        throw new Error(`Version ${version} is not ready (${problem}): ` +
+            'wait until it is complete, or mark it ready with ReleaseIndex.js');
+    }
+
+    const variants = getVariants(versionPath);
+    if (!variants) {
+        return [{ variant: null, folderPath: versionPath, signaturePath: getSignaturePath(versionPath, null) }];
+    }
+
+    const selected = platforms.length > 0 ? variants.filter(variant => platforms.includes(variant)) : variants;
+    if (selected.length === 0) {
+        throw new Error(`Version ${version} has no build for ${platforms.join(', ')} (available: ${variants.join(', ')})`);
+    }
+    return selected.map(variant => ({
+        variant,
+        folderPath: path.join(versionPath, variant),
+        signaturePath: getSignaturePath(versionPath, variant)
+    }));
+}
+
+/**
+ * Exports versions into a bundle file
+ * @param {Object} params - Parameters object
+ * @param {Array} params.versions - Versions to export
+ * @param {string} params.outPath - Bundle file to write
+ * @param {string} [params.baseDir] - Directory holding the version folders
+ * @param {string|null} [params.appId] - Hosted application id (null for the default app)
+ * @param {Array} [params.platforms] - Variants to export (empty: all)
+ * @param {boolean} [params.allowUnsigned=false] - Export versions without a signature
+ * @returns {Promise<Object>} outPath and builds (version, variant and size of every exported build)
+ */
+async function exportBundle({ versions, outPath, baseDir = BASE_DIR, appId = null, platforms = [], allowUnsigned = false }) {
+    if (!Array.isArray(versions) || versions.length === 0) {
+        throw new Error('No version to export');
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omniupdate-bundle-'));
+    try {
+        fs.mkdirSync(path.join(workDir, 'archives'));
+        fs.mkdirSync(path.join(workDir, 'signatures'));
+
+        const builds = [];
+        for (const version of [...new Set(versions)]) {
+            // Release info as GET /versions/<version> publishes it, without the server's builds
+            const info = getReleaseInfo(baseDir, version);
+            delete info.platforms;
+
+            for (const build of listBuilds(baseDir, version, platforms)) {
+                const name = build.variant ? `${version}.${build.variant}` : version;
+                const signed = fs.existsSync(build.signaturePath);
+                if (!signed && !allowUnsigned) {
+                    throw new Error(`Version ${version}${build.variant ? ` (${build.variant})` : ''} is not signed ` +
+                        '(sign it with Sign-Release.js, or use --allow-unsigned)');
+                }
+
+                const archive = `archives/${name}.tar.gz`;
+                await createAndSaveTarArchive({
+                    folder_path: build.folderPath,
+                    saving_path: path.join(workDir, archive)
+                });
+                const signature = signed ? `signatures/${name}.sig` : null;
+                if (signed) {
+                    fs.copyFileSync(build.signaturePath, path.join(workDir, signature));
+                }
+
+                builds.push({
+                    version,
+                    variant: build.variant,
+                    archive,
+                    size: fs.statSync(path.join(workDir, archive)).size,
+                    sha256: await hashFile(path.join(workDir, archive)),
+                    signature,
+                    info
+                });
+            }
+        }
+
+        fs.writeFileSync(path.join(workDir, BUNDLE_MANIFEST), JSON.stringify({
+            format: BUNDLE_FORMAT,
+            formatVersion: BUNDLE_FORMAT_VERSION,
+            app: appId,
+            created: new Date().toISOString(),
+            builds
+        }, null, 2));
+
+        fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+        await tar.c({ file: outPath, cwd: workDir, portable: true }, [BUNDLE_MANIFEST, 'archives', 'signatures']);
+
+        return {
+            outPath,
+            builds: builds.map(({ version, variant, size }) => ({ version, variant, size }))
+        };
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Reads the values following a repeatable command line flag
+ * @param {Array} args - Command line arguments
+ * @param {string} flag - Flag name (e.g. '--platform')
+ * @returns {Array} Flag values
+ */
+function getFlags(args, flag) {
+    return args.flatMap((arg, index) => (arg === flag && args[index + 1] !== undefined ? [args[index + 1]] : []));
+}
+
+// Command-line interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const valueFlags = ['--out', '--app', '--platform'];
+    const versions = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+
+    (async () => {
+        const appId = getFlags(args, '--app')[0];
+        if (appId !== undefined && !/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(appId)) {
+            throw new Error(`Invalid application id: ${appId}`);
+        }
+        if (versions.length === 0) {
+            throw new Error('Missing version');
+        }
+
+        const outPath = getFlags(args, '--out')[0] || `${appId || 'app'}-${versions.join('_')}.bundle.tar`;
+        const result = await exportBundle({
+            versions,
+            outPath,
+            baseDir: appId ? path.join(APPS_DIR, appId) : BASE_DIR,
+            appId: appId || null,
+            platforms: getFlags(args, '--platform'),
+            allowUnsigned: args.includes('--allow-unsigned')
+        });
+
+        for (const build of result.builds) {
+            console.log(`  ${build.version} (${build.variant || 'all platforms'}): ${(build.size / 1024).toFixed(1)} KB`);
+        }
+        console.log(`Exported ${result.builds.length} build(s) to ${result.outPath}`);
+    })().catch((error) => {
+        console.error('Export failed:', error.message);
+        console.log('Usage:');
+        console.log('  node Export-Bundle.js VERSION... [--out FILE] [--app APP_ID] [--platform PLATFORM-ARCH]...');
+        console.log('      [--allow-unsigned]');
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_FORMAT_VERSION,
+    exportBundle
+};
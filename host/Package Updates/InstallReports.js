@@ -0,0 +1,237 @@
+/**
+ * Install Reports
+ *
+ * Clients report every install attempt (POST /reports): which version they went
+ * from and to, whether it worked, how long it took, the error if it failed, and
+ * their platform. An attempt that failed before 'LATEST' or a range was resolved
+ * has no target version (to: null, requested: what was asked for), and is not
+ * counted against any version. Reports are appended to a JSON-lines file and summarized by the
+ * admin /stats endpoint, to decide whether a release should continue rolling
+ * out or be pulled.
+ *
+ * install-reports.log (one report per line):
+ * {"time":"2024-05-04T02:03:11.000Z","app":null,"installId":"9b1d...","from":"2.0.0","to":"2.1.0",
+ *  "requested":"LATEST","outcome":"failure","durationMs":5120,"error":"healthCheck hook failed (exit code 1)",
+ *  "platform":{"os":"linux","arch":"x64","release":"6.1.0","node":"v20.11.0"},"keyId":null}
+ *
+ * Usage:
+ * - Summary: node InstallReports.js stats [--app APP_ID] [--since DATE]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const SemVer = require('./SemVer');
+
+// Report file, in the parent directory's 'logs' folder by default
+const REPORTS_FILE = process.env.INSTALL_REPORTS_FILE || path.join(__dirname, '..', 'logs', 'install-reports.log');
+const OUTCOMES = ['success', 'failure'];
+// Longest error message kept per report
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Validates an install report sent by a client
+ * @param {Object} report - Request body
+ * @returns {string|null} Error message, or null if the report is valid
+ */
+function validateReport(report) {
+    if (!report || typeof report !== 'object' || Array.isArray(report)) {
+        return 'Report must be an object';
+    }
+
+    const isShortString = value => typeof value === 'string' && value.length > 0 && value.length <= 200;
+
+    if (!isShortString(report.installId)) {
+        return 'installId is required';
+    }
+    if (report.from !== undefined && report.from !== null && !isShortString(report.from)) {
+        return 'from must be a version';
+    }
+    if (!OUTCOMES.includes(report.outcome)) {
+        return `outcome must be one of: ${OUTCOMES.join(', ')}`;
+    }
+    // Only failures can happen before the requested version is resolved
+    const toIsOptional = report.outcome === 'failure';
+    if (!(SemVer.isValid(report.to) || (toIsOptional && (report.to === undefined || report.to === null)))) {
+        return 'to must be a version';
+    }
+    if (report.requested !== undefined && report.requested !== null && !isShortString(report.requested)) {
+        return 'requested must be a version, LATEST or a range';
+    }
+    if (report.durationMs !== undefined && !(typeof report.durationMs === 'number' && report.durationMs >= 0)) {
+        return 'durationMs must be a positive number';
+    }
+    if (report.error !== undefined && report.error !== null && typeof report.error !== 'string') {
+        return 'error must be a string';
+    }
+    if (report.platform !== undefined && (typeof report.platform !== 'object' || Array.isArray(report.platform))) {
+        return 'platform must be an object';
+    }
+    return null;
+}
+
+/**
+ * Appends a validated report to the report file
+ * @param {Object} params - Parameters object
+ * @param {string|null} params.appId - Application id (null for the default app)
+ * @param {Object} params.report - Validated report
+ * @param {string|null} params.keyId - Id of the client key that sent it (null without client auth)
+ * @param {string} params.reportsFile - (optional) Path to the report file
+ * @returns {Object} Stored report
+ */
+function appendReport({ appId, report, keyId = null, reportsFile = REPORTS_FILE }) {
+    const platform = report.platform || {};
+    const entry = {
+        time: new Date().toISOString(),
+        app: appId || null,
+        installId: report.installId,
+        from: report.from || null,
+        to: report.to || null,
+        requested: report.requested || report.to || null,
+        outcome: report.outcome,
+        durationMs: report.durationMs !== undefined ? Math.round(report.durationMs) : null,
+        error: report.error ? report.error.slice(0, MAX_ERROR_LENGTH) : null,
+        platform: {
+            os: typeof platform.os === 'string' ? platform.os.slice(0, 50) : null,
+            arch: typeof platform.arch === 'string' ? platform.arch.slice(0, 50) : null,
+            release: typeof platform.release === 'string' ? platform.release.slice(0, 100) : null,
+            node: typeof platform.node === 'string' ? platform.node.slice(0, 50) : null
+        },
+        keyId
+    };
+
+    fs.mkdirSync(path.dirname(reportsFile), { recursive: true });
+    fs.appendFileSync(reportsFile, JSON.stringify(entry) + '\n');
+    return entry;
+}
+
+/**
+ * Summarizes the install reports of an application
+ * @param {Object} params - Parameters object
+ * @param {string|null} params.appId - Application id (null for the default app)
+ * @param {string|null} params.since - (optional) Only count reports from this date on (ISO 8601)
+ * @param {string} params.reportsFile - (optional) Path to the report file
+ * @returns {Promise<Object>} Stats: reports (count), unresolved (failures before a target version was
+ *     known), versions (attempts, successes, failures, failureRate and clients currently on it, per
+ *     version) and clients (last seen version,
+ *     time, outcome and platform, per install id)
+ */
+async function getStats({ appId = null, since = null, reportsFile = REPORTS_FILE }) {
+    const sinceTime = since ? Date.parse(since) : null;
+    const versions = {};
+    const clients = {};
+    let reports = 0;
+    let unresolved = 0;
+
+    const getVersion = version => (versions[version] = versions[version] ||
+        { attempts: 0, successes: 0, failures: 0, failureRate: 0, clients: 0 });
+
+    if (fs.existsSync(reportsFile)) {
+        // Read line by line, the file grows with the fleet
+        const lines = readline.createInterface({
+            input: fs.createReadStream(reportsFile, 'utf8'),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lines) {
+            let report;
+            try {
+                report = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+            if (report.app !== (appId || null) || (sinceTime && Date.parse(report.time) < sinceTime)) {
+                continue;
+            }
+
+            reports++;
+            // Reports of older clients may hold 'LATEST' or a range
+            if (SemVer.isValid(report.to)) {
+                const stats = getVersion(report.to);
+                stats.attempts++;
+                if (report.outcome === 'success') {
+                    stats.successes++;
+                } else {
+                    stats.failures++;
+                }
+            } else {
+                unresolved++;
+            }
+
+            // A failed install leaves the client on the version it had
+            clients[report.installId] = {
+                version: report.outcome === 'success' ? report.to : report.from,
+                lastSeen: report.time,
+                lastOutcome: report.outcome,
+                lastError: report.error,
+                platform: report.platform
+            };
+        }
+    }
+
+    for (const client of Object.values(clients)) {
+        if (client.version) {
+            getVersion(client.version).clients++;
+        }
+    }
+    for (const stats of Object.values(versions)) {
+        stats.failureRate = stats.attempts > 0 ? Math.round((stats.failures / stats.attempts) * 10000) / 10000 : 0;
+    }
+
+    return {
+        app: appId || null,
+        since: since || null,
+        generatedAt: new Date().toISOString(),
+        reports,
+        unresolved,
+        versions,
+        clients
+    };
+}
+
+/**
+ * Reads the value following a command line flag
+ * @param {Array} args - Command line arguments
+ * @param {string} flag - Flag name (e.g. '--app')
+ * @returns {string|undefined} Flag value
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Command-line interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+
+    (async () => {
+        try {
+            if (args[0] !== 'stats') {
+                throw new Error(args[0] ? `Unknown command: ${args[0]}` : 'Missing command');
+            }
+
+            const since = getFlag(args, '--since') || null;
+            if (since && isNaN(Date.parse(since))) {
+                throw new Error(`Invalid date: ${since}`);
+            }
+
+            const stats = await getStats({ appId: getFlag(args, '--app') || null, since });
+            console.log(`${stats.reports} install reports${since ? ` since ${since}` : ''}`);
+            for (const [version, entry] of Object.entries(stats.versions)) {
+                console.log(`  ${version}: ${entry.attempts} attempts, ${entry.failures} failed ` +
+                    `(${(entry.failureRate * 100).toFixed(1)}%), ${entry.clients} clients on it`);
+            }
+        } catch (error) {
+            console.error('Error:', error.message);
+            console.log('Usage:');
+            console.log('  node InstallReports.js stats [--app APP_ID] [--since DATE]');
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = {
+    validateReport,
+    appendReport,
+    getStats
+};
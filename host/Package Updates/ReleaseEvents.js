@@ -0,0 +1,218 @@
+/**
+ * Release Events
+ *
+ * Detects changes to the releases of an application and announces them to the
+ * clients listening on GET /events (Server-Sent Events), so they do not have to
+ * poll /versions to learn about a new release.
+ *
+ * Every watched application folder is scanned while it has listeners, every
+ * EVENTS_SCAN_INTERVAL milliseconds (default: 5000), right after admin API
+ * changes and when the release index publishes or removes a version. Only
+ * published versions are announced (see ReleaseIndex.js). Each scan is compared
+ * with the previous one:
+ *
+ * - release:  a version was added (or has just been signed, or got a build for more platforms)
+ * - yank:     a version was yanked
+ * - unyank:   a yanked version was restored
+ * - rollout:  the rollout percentage of a version was changed, halted or resumed
+ * - delete:   a version was removed
+ *
+ * Events get increasing ids and the last EVENTS_HISTORY (default: 100) events of
+ * every application are kept, so a client reconnecting with Last-Event-ID gets
+ * what it missed. If the id is too old or from before a server restart, the
+ * client is told to resync (check for updates) instead.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const SemVer = require('./SemVer');
+const { readRelease, getReleaseInfo } = require('./Releases');
+const { getPlatforms, isSigned } = require('./Variants');
+const { getVersions } = require('./ReleaseIndex');
+
+const SCAN_INTERVAL = Number(process.env.EVENTS_SCAN_INTERVAL) || 5000;
+const HISTORY_SIZE = Number(process.env.EVENTS_HISTORY) || 100;
+// Event ids start with the server's run id, so ids from a previous run are recognized
+const RUN_ID = crypto.randomBytes(4).toString('hex');
+
+// Watched applications by folder: snapshot, recent events, listeners and scan timer
+const watchers = new Map();
+let lastSequence = 0;
+
+/**
+ * Reads the state of every version of an application that events are sent for
+ * @param {string} baseDir - Folder holding the application's versions
+ * @returns {Map} Version → { signed, platforms, yanked, rollout }
+ */
+function takeSnapshot(baseDir) {
+    const snapshot = new Map();
+
+    // Versions still being copied are announced once complete
+    for (const version of getVersions(baseDir)) {
+        const release = readRelease(baseDir, version);
+        snapshot.set(version, {
+            signed: isSigned(path.join(baseDir, version)),
+            platforms: getPlatforms(baseDir, version),
+            yanked: release.yanked === true,
+            rollout: release.rollout ? {
+                percentage: typeof release.rollout.percentage === 'number' ? release.rollout.percentage : 100,
+                halted: release.rollout.halted === true
+            } : null
+        });
+    }
+    return snapshot;
+}
+
+/**
+ * Compares two snapshots of an application
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {Map} previous - Previous snapshot
+ * @param {Map} current - Current snapshot
+ * @returns {Array} Event type and data of every change
+ */
+function diffSnapshots(baseDir, previous, current) {
+    const changes = [];
+
+    for (const [version, state] of current) {
+        const before = previous.get(version);
+
+        const newPlatforms = before && state.platforms.some(platform => !before.platforms.includes(platform));
+        if (!before || (state.signed && !before.signed) || newPlatforms) {
+            changes.push({
+                type: 'release',
+                data: { ...getReleaseInfo(baseDir, version), signed: state.signed, rollout: state.rollout }
+            });
+            continue;
+        }
+        if (state.yanked !== before.yanked) {
+            changes.push({
+                type: state.yanked ? 'yank' : 'unyank',
+                data: { version, channel: SemVer.channelOf(version) }
+            });
+        }
+        if (JSON.stringify(state.rollout) !== JSON.stringify(before.rollout)) {
+            changes.push({
+                type: 'rollout',
+                data: { version, channel: SemVer.channelOf(version), rollout: state.rollout }
+            });
+        }
+    }
+
+    for (const version of previous.keys()) {
+        if (!current.has(version)) {
+            changes.push({
+                type: 'delete',
+                data: { version, channel: SemVer.channelOf(version) }
+            });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Scans a watched application and sends events for what changed since the last scan
+ * @param {Object} watcher - Watched application
+ */
+function scan(watcher) {
+    const snapshot = takeSnapshot(watcher.baseDir);
+    const changes = diffSnapshots(watcher.baseDir, watcher.snapshot, snapshot);
+    watcher.snapshot = snapshot;
+
+    for (const change of changes) {
+        const event = { id: `${RUN_ID}-${++lastSequence}`, type: change.type, data: change.data };
+
+        watcher.events.push(event);
+        if (watcher.events.length > HISTORY_SIZE) {
+            watcher.events.shift();
+        }
+
+        for (const listener of watcher.listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error sending release event:', error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Gets the watcher of an application, creating it on first use
+ * @param {string} baseDir - Folder holding the application's versions
+ * @returns {Object} Watched application
+ */
+function getWatcher(baseDir) {
+    const key = path.resolve(baseDir);
+    if (!watchers.has(key)) {
+        watchers.set(key, {
+            baseDir: key,
+            snapshot: takeSnapshot(key),
+            events: [],
+            listeners: new Set(),
+            timer: null
+        });
+    }
+    return watchers.get(key);
+}
+
+/**
+ * Listens to the release events of an application
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {Function} listener - Called with every new event ({ id, type, data })
+ * @param {string|null} lastEventId - (optional) Id of the last event the client received
+ * @returns {Object} Subscription: missed (events after lastEventId), resync (true when the
+ *     missed events are unknown and the client should check for updates), lastEventId (id of
+ *     the newest event) and unsubscribe()
+ */
+function subscribe(baseDir, listener, lastEventId = null) {
+    const watcher = getWatcher(baseDir);
+    if (!watcher.timer) {
+        // Changes made while nobody listened are announced by the first scan
+        scan(watcher);
+        watcher.timer = setInterval(() => scan(watcher), SCAN_INTERVAL);
+    }
+
+    let missed = [];
+    let resync = false;
+    if (lastEventId) {
+        const index = watcher.events.findIndex(event => event.id === lastEventId);
+        if (index !== -1) {
+            missed = watcher.events.slice(index + 1);
+        } else {
+            // Dropped from the history, or sent before a restart
+            resync = true;
+        }
+    }
+
+    watcher.listeners.add(listener);
+
+    return {
+        missed,
+        resync,
+        lastEventId: watcher.events.length > 0 ? watcher.events[watcher.events.length - 1].id : null,
+        unsubscribe: () => {
+            watcher.listeners.delete(listener);
+            if (watcher.listeners.size === 0) {
+                clearInterval(watcher.timer);
+                watcher.timer = null;
+            }
+        }
+    };
+}
+
+/**
+ * Scans an application right away (e.g. after an admin API change), if it has listeners
+ * @param {string} baseDir - Folder holding the application's versions
+ */
+function refresh(baseDir) {
+    const watcher = watchers.get(path.resolve(baseDir));
+    if (watcher && watcher.timer) {
+        scan(watcher);
+    }
+}
+
+module.exports = {
+    subscribe,
+    refresh
+};
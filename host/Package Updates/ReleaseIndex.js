@@ -0,0 +1,449 @@
+/**
+ * Release Index
+ *
+ * Keeps the published versions of every application in memory, newest first, so
+ * requests do not list and sort the application folder every time. The index of
+ * an application is built on first use (at startup for the default application
+ * and the hosted ones) and kept current by watching the folder: changes are
+ * debounced for RELEASE_INDEX_DEBOUNCE milliseconds (default: 500), then the
+ * folder is scanned again and what changed is logged. The folder is also
+ * scanned every RELEASE_INDEX_RESCAN milliseconds (default: 60000), in case the
+ * file system drops events (e.g. network shares), and right after admin API changes.
+ *
+ * A version folder is only published once it is complete, so a release still
+ * being copied is never listed, resolved as LATEST or downloaded:
+ *
+ * app/
+ * ├── 2.1.0/
+ * ├── 2.1.0.ready   ← Ready marker: the folder is complete (written by the admin API)
+ * ├── 2.2.0/
+ * ├── 2.2.0.sig     ← ... or a signature whose manifest the folder matches
+ * └── 2.3.0/        ← Neither: pending
+ *
+ * With a signature, every signed file must be in place with its signed size (for
+ * a version with variants, in every build). Until then the version is pending;
+ * describe() and GET /admin/releases tell why. Set REQUIRE_RELEASE_READY=false to
+ * publish every version folder as soon as it appears, as earlier versions did.
+ *
+ * A folder served by an earlier version has no ready markers. Once, when upgrading
+ * and while nothing is being copied, run the adopt command: it marks the pending
+ * versions that have no signature ready. Signed versions need no marker, and one
+ * that does not match its signature stays pending.
+ *
+ * Usage:
+ * - Show the index:       node ReleaseIndex.js status [--app APP_ID]
+ * - Mark a version ready: node ReleaseIndex.js ready 2.3.0 [--app APP_ID]
+ * - Adopt older folders:  node ReleaseIndex.js adopt [--app APP_ID]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SemVer = require('./SemVer');
+const { getVariants, getSignaturePath } = require('./Variants');
+
+// Set base directory to the parent directory's 'app' folder
+const BASE_DIR = path.join(__dirname, '..', 'app');
+// Applications hosted under /apps/<appId> live in the parent directory's 'apps' folder
+const APPS_DIR = path.join(__dirname, '..', 'apps');
+
+const DEBOUNCE = Number(process.env.RELEASE_INDEX_DEBOUNCE) || 500;
+const RESCAN_INTERVAL = Number(process.env.RELEASE_INDEX_RESCAN) || 60000;
+// Only publish versions marked complete (ready marker or matching signature)
+const REQUIRE_READY = process.env.REQUIRE_RELEASE_READY !== 'false';
+
+// Indexed applications by folder
+const indexes = new Map();
+// Called with the folder of an application whose published versions changed
+const changeListeners = new Set();
+
+/**
+ * Gets the path of the ready marker of a version
+ * @param {string} versionPath - Path to the version folder
+ * @returns {string} Path to <version>.ready
+ */
+function getReadyMarkerPath(versionPath) {
+    return `${versionPath}.ready`;
+}
+
+/**
+ * Marks a version folder as complete
+ * @param {string} versionPath - Path to the version folder
+ */
+function markReady(versionPath) {
+    fs.writeFileSync(getReadyMarkerPath(versionPath), `${new Date().toISOString()}\n`);
+}
+
+/**
+ * Marks the pending versions without a signature ready, for folders served by an earlier version
+ * @param {string} baseDir - Folder holding the application's versions
+ * @returns {Array} Versions marked ready
+ */
+function adoptVersions(baseDir) {
+    const adopted = [];
+    for (const version of scanFolder(baseDir).pending.keys()) {
+        const versionPath = path.join(baseDir, version);
+        // A signed version is published once it matches, a marker would skip that check
+        const signed = (getVariants(versionPath) || [null])
+            .some(variant => fs.existsSync(getSignaturePath(versionPath, variant)));
+        if (!signed) {
+            markReady(versionPath);
+            adopted.push(version);
+        }
+    }
+    return sortVersionsDescending(adopted);
+}
+
+/**
+ * Checks a build against the manifest of its signature
+ * @param {string} buildPath - Folder of the build
+ * @param {string} signaturePath - Path to its signature
+ * @param {string} version - Version the signature must be for
+ * @returns {string|null} Why the build is incomplete, or null if it matches
+ */
+function checkAgainstSignature(buildPath, signaturePath, version) {
+    let manifest;
+    try {
+        manifest = JSON.parse(JSON.parse(fs.readFileSync(signaturePath, 'utf8')).manifest);
+    } catch (error) {
+        return fs.existsSync(signaturePath) ? `unreadable signature ${path.basename(signaturePath)}` : 'not marked ready';
+    }
+    if (manifest.version !== version || !manifest.files || typeof manifest.files !== 'object') {
+        return `signature ${path.basename(signaturePath)} is for another version`;
+    }
+
+    for (const [relPath, entry] of Object.entries(manifest.files)) {
+        let stats;
+        try {
+            stats = fs.lstatSync(path.join(buildPath, ...relPath.split('/')));
+        } catch (error) {
+            return `missing ${relPath}`;
+        }
+        if (entry.type === 'symlink' ? !stats.isSymbolicLink() : stats.size !== entry.size) {
+            return `incomplete ${relPath}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether a version folder is complete
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Version folder name
+ * @returns {string|null} Why the version is pending, or null when it is ready
+ */
+function checkReady(baseDir, version) {
+    const versionPath = path.join(baseDir, version);
+    if (!REQUIRE_READY || fs.existsSync(getReadyMarkerPath(versionPath))) {
+        return null;
+    }
+
+    const variants = getVariants(versionPath);
+    for (const variant of variants || [null]) {
+        const problem = checkAgainstSignature(
+            variant ? path.join(versionPath, variant) : versionPath,
+            getSignaturePath(versionPath, variant),
+            version
+        );
+        if (problem) {
+            return variant ? `${variant}: ${problem}` : problem;
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets what a readiness check depends on, so unchanged ready versions are not checked again
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Version folder name
+ * @returns {string} Modification times of the ready marker and signatures, and the variants
+ */
+function getReadyKey(baseDir, version) {
+    const versionPath = path.join(baseDir, version);
+    const mtime = (filePath) => {
+        try {
+            return fs.statSync(filePath).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const variants = getVariants(versionPath) || [null];
+    return JSON.stringify([
+        mtime(getReadyMarkerPath(versionPath)),
+        ...variants.map(variant => [variant, mtime(getSignaturePath(versionPath, variant))])
+    ]);
+}
+
+/**
+ * Sorts version strings in descending order of SemVer precedence, dropping invalid versions
+ * @param {Array} versions - Version strings
+ * @returns {Array} Sorted versions
+ */
+function sortVersionsDescending(versions) {
+    return versions
+        .filter(version => SemVer.isValid(version))
+        .sort((a, b) => {
+            // Bigger versions first, equal precedence (build metadata only) by name
+            return SemVer.compare(b, a) || (a < b ? 1 : a > b ? -1 : 0);
+        });
+}
+
+/**
+ * Scans an application folder
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {Map} known - (optional) Ready key of the versions found ready by the previous scan
+ * @returns {Object} versions (ready, newest first), pending (version → reason) and ready (version → ready key)
+ */
+function scanFolder(baseDir, known = new Map()) {
+    let items = [];
+    try {
+        items = fs.readdirSync(baseDir, { withFileTypes: true });
+    } catch (error) {
+        // The application folder does not exist (yet): no versions
+        items = [];
+    }
+
+    const pending = new Map();
+    const ready = new Map();
+    const folders = items.filter(item => item.isDirectory() && SemVer.isValid(item.name)).map(item => item.name);
+    for (const version of folders) {
+        const key = getReadyKey(baseDir, version);
+        const problem = known.get(version) === key ? null : checkReady(baseDir, version);
+        if (problem) {
+            pending.set(version, problem);
+        } else {
+            ready.set(version, key);
+        }
+    }
+
+    return { versions: sortVersionsDescending([...ready.keys()]), pending, ready };
+}
+
+/**
+ * Scans an indexed application again and logs what changed
+ * @param {Object} index - Indexed application
+ */
+function rebuild(index) {
+    clearTimeout(index.debounceTimer);
+    index.debounceTimer = null;
+
+    const scan = scanFolder(index.baseDir, index.ready);
+    const added = scan.versions.filter(version => !index.versions.includes(version));
+    const removed = index.versions.filter(version => !scan.versions.includes(version));
+    const label = `Release index (${index.label})`;
+
+    for (const version of added) {
+        console.log(`${label}: published ${version}`);
+    }
+    for (const version of removed) {
+        console.log(`${label}: removed ${version}${scan.pending.has(version) ? ` (${scan.pending.get(version)})` : ''}`);
+    }
+    for (const [version, reason] of scan.pending) {
+        if (!index.pending.has(version) && !removed.includes(version)) {
+            console.log(`${label}: waiting for ${version} to be complete (${reason})`);
+        }
+    }
+
+    index.versions = scan.versions;
+    index.pending = scan.pending;
+    index.ready = scan.ready;
+    index.updatedAt = new Date().toISOString();
+    watch(index);
+
+    if (added.length > 0 || removed.length > 0) {
+        for (const listener of changeListeners) {
+            try {
+                listener(index.baseDir);
+            } catch (error) {
+                console.error('Error in release index listener:', error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Watches an indexed application folder, if it exists and is not watched yet
+ * @param {Object} index - Indexed application
+ */
+function watch(index) {
+    if (index.watcher || !fs.existsSync(index.baseDir)) {
+        return;
+    }
+
+    const onChange = (eventType, filename) => {
+        // Uploads, staging and deleted folders of the admin API are not versions
+        if (filename && String(filename).startsWith('.')) {
+            return;
+        }
+        clearTimeout(index.debounceTimer);
+        index.debounceTimer = setTimeout(() => rebuild(index), DEBOUNCE);
+        index.debounceTimer.unref();
+    };
+
+    try {
+        // Recursive, so files still being copied into a version folder are noticed
+        index.watcher = fs.watch(index.baseDir, { recursive: true, persistent: false }, onChange);
+    } catch (error) {
+        try {
+            index.watcher = fs.watch(index.baseDir, { persistent: false }, onChange);
+        } catch (watchError) {
+            console.error(`Release index (${index.label}): cannot watch ${index.baseDir}:`, watchError.message);
+            return;
+        }
+    }
+
+    index.watcher.on('error', (error) => {
+        // e.g. the folder was removed: the next scan watches it again once it is back
+        console.error(`Release index (${index.label}): stopped watching ${index.baseDir}:`, error.message);
+        index.watcher.close();
+        index.watcher = null;
+        onChange('rename', null);
+    });
+}
+
+/**
+ * Gets the index of an application, building it on first use
+ * @param {string} baseDir - Folder holding the application's versions
+ * @returns {Object} Indexed application
+ */
+function getIndex(baseDir) {
+    const key = path.resolve(baseDir);
+    if (!indexes.has(key)) {
+        const index = {
+            baseDir: key,
+            label: key === path.resolve(BASE_DIR) ? 'default app' : path.basename(key),
+            versions: [],
+            pending: new Map(),
+            ready: new Map(),
+            updatedAt: null,
+            watcher: null,
+            debounceTimer: null,
+            rescanTimer: setInterval(() => rebuild(index), RESCAN_INTERVAL)
+        };
+        index.rescanTimer.unref();
+        indexes.set(key, index);
+
+        const scan = scanFolder(key);
+        index.versions = scan.versions;
+        index.pending = scan.pending;
+        index.ready = scan.ready;
+        index.updatedAt = new Date().toISOString();
+        for (const [version, reason] of scan.pending) {
+            console.log(`Release index (${index.label}): waiting for ${version} to be complete (${reason})`);
+        }
+        watch(index);
+    }
+    return indexes.get(key);
+}
+
+/**
+ * Gets the published versions of an application
+ * @param {string} baseDir - Folder holding the application's versions
+ * @returns {Array} Versions that are complete, newest first
+ */
+function getVersions(baseDir) {
+    return [...getIndex(baseDir).versions];
+}
+
+/**
+ * Describes the index of an application
+ * @param {string} baseDir - Folder holding the application's versions
+ * @returns {Object} versions (published, newest first), pending (version and reason of every
+ *     incomplete version folder), updatedAt (time of the last scan) and watching (whether
+ *     changes are picked up as they happen)
+ */
+function describe(baseDir) {
+    const index = getIndex(baseDir);
+    return {
+        versions: [...index.versions],
+        pending: [...index.pending].map(([version, reason]) => ({ version, reason })),
+        updatedAt: index.updatedAt,
+        watching: index.watcher !== null
+    };
+}
+
+/**
+ * Scans an application again right away (e.g. after an admin API change)
+ * @param {string} baseDir - Folder holding the application's versions
+ */
+function refresh(baseDir) {
+    const key = path.resolve(baseDir);
+    if (indexes.has(key)) {
+        rebuild(indexes.get(key));
+    } else {
+        getIndex(key);
+    }
+}
+
+/**
+ * Listens to changes of the published versions of every indexed application
+ * @param {Function} listener - Called with the folder of the application that changed
+ */
+function onChange(listener) {
+    changeListeners.add(listener);
+}
+
+/**
+ * Reads the value following a command line flag
+ * @param {Array} args - Command line arguments
+ * @param {string} flag - Flag name (e.g. '--app')
+ * @returns {string|undefined} Flag value
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Command-line interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const [command, version] = args;
+
+    try {
+        const appId = getFlag(args, '--app');
+        if (appId !== undefined && !/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(appId)) {
+            throw new Error(`Invalid application id: ${appId}`);
+        }
+        const baseDir = appId ? path.join(APPS_DIR, appId) : BASE_DIR;
+
+        if (command === 'status') {
+            const scan = scanFolder(baseDir);
+            console.log(`Published: ${scan.versions.join(', ') || 'none'}`);
+            for (const [pendingVersion, reason] of scan.pending) {
+                console.log(`Pending:   ${pendingVersion} (${reason})`);
+            }
+        } else if (command === 'ready') {
+            const versionPath = path.join(baseDir, version || '');
+            if (!SemVer.isValid(version) || !fs.existsSync(versionPath) || !fs.statSync(versionPath).isDirectory()) {
+                throw new Error(`Version ${version} not found`);
+            }
+            markReady(versionPath);
+            console.log(`Marked ${version} ready: ${getReadyMarkerPath(versionPath)}`);
+        } else if (command === 'adopt') {
+            const adopted = adoptVersions(baseDir);
+            console.log(`Marked ready: ${adopted.join(', ') || 'none'}`);
+            for (const [pendingVersion, reason] of scanFolder(baseDir).pending) {
+                console.log(`Pending:      ${pendingVersion} (${reason})`);
+            }
+        } else {
+            throw new Error(`Unknown command: ${command}`);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        console.log('Usage:');
+        console.log('  node ReleaseIndex.js status [--app APP_ID]');
+        console.log('  node ReleaseIndex.js ready VERSION [--app APP_ID]');
+        console.log('  node ReleaseIndex.js adopt [--app APP_ID]');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    getReadyMarkerPath,
+    markReady,
+    checkReady,
+    getVersions,
+    describe,
+    refresh,
+    onChange
+};
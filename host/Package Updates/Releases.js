@@ -0,0 +1,326 @@
+/**
+ * Release Metadata
+ *
+ * Settings of a release that are not part of its files live in a metadata file
+ * next to the version folder, so they can change without re-signing the release:
+ *
+ * app/
+ * ├── 2.1.0/
+ * ├── 2.1.0.sig
+ * └── 2.1.0.release.json   ← { "notes": "...", "mandatory": false, "rollout": { "percentage": 25 }, ... }
+ *
+ * Published to clients (GET /versions and /versions/<version>):
+ * - notes:            Release notes (changelog) shown to users
+ * - date:             Release date (ISO 8601), defaults to the version folder's modification time
+ * - mandatory:        Clients must install this version (or a later one)
+ * - minClientVersion: Oldest installed version still supported; older clients must update
+ * - minUpgradeFrom:   Oldest installed version that can upgrade straight to this one;
+ *                     older clients are offered an intermediate version as LATEST first
+ *
+ * Staged rollouts: a version with a rollout percentage below 100 is only offered
+ * as LATEST to that share of the clients. Each client is placed in a stable bucket
+ * from its install id, so raising the percentage keeps every client that already
+ * had the version in the rollout. A halted rollout is not offered to new clients.
+ *
+ * Yanked releases are never listed or resolved as LATEST, but can still be
+ * downloaded by exact version.
+ *
+ * Usage:
+ * - Show a release:       node Releases.js show 2.1.0 [--app APP_ID]
+ * - Set rollout share:    node Releases.js rollout 2.1.0 25 [--app APP_ID]
+ * - Halt a rollout:       node Releases.js halt 2.1.0 [--app APP_ID]
+ * - Resume a rollout:     node Releases.js resume 2.1.0 [--app APP_ID]
+ * - Yank a release:       node Releases.js yank 2.1.0 [--app APP_ID]
+ * - Restore it:           node Releases.js unyank 2.1.0 [--app APP_ID]
+ * - Set release info:     node Releases.js set 2.1.0 [--notes TEXT] [--date DATE] [--mandatory true|false]
+ *                             [--min-client-version VERSION] [--min-upgrade-from VERSION] [--app APP_ID]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const SemVer = require('./SemVer');
+const { getPlatforms } = require('./Variants');
+
+// Set base directory to the parent directory's 'app' folder
+const BASE_DIR = path.join(__dirname, '..', 'app');
+// Applications hosted under /apps/<appId> live in the parent directory's 'apps' folder
+const APPS_DIR = path.join(__dirname, '..', 'apps');
+
+// Release info fields, and their command line flags
+const RELEASE_INFO_FIELDS = ['notes', 'date', 'mandatory', 'minClientVersion', 'minUpgradeFrom'];
+const RELEASE_INFO_FLAGS = {
+    '--notes': 'notes',
+    '--date': 'date',
+    '--mandatory': 'mandatory',
+    '--min-client-version': 'minClientVersion',
+    '--min-upgrade-from': 'minUpgradeFrom'
+};
+
+/**
+ * Gets the path of a version's metadata file
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Version name
+ * @returns {string} Path to <version>.release.json
+ */
+function getReleaseFile(baseDir, version) {
+    const releaseFile = path.resolve(baseDir, `${version}.release.json`);
+    if (path.dirname(releaseFile) !== path.resolve(baseDir)) {
+        throw new Error(`Invalid version: ${version}`);
+    }
+    return releaseFile;
+}
+
+/**
+ * Reads the metadata of a version
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Version name
+ * @returns {Object} Release metadata (empty if the version has none)
+ */
+function readRelease(baseDir, version) {
+    try {
+        const releaseFile = getReleaseFile(baseDir, version);
+        if (fs.existsSync(releaseFile)) {
+            return JSON.parse(fs.readFileSync(releaseFile, 'utf8'));
+        }
+    } catch (error) {
+        console.error(`Error reading release metadata of ${version}:`, error.message);
+    }
+    return {};
+}
+
+/**
+ * Merges changes into the metadata of a version
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Version name
+ * @param {Object} changes - Metadata fields to set
+ * @returns {Object} Updated release metadata
+ */
+function writeRelease(baseDir, version, changes) {
+    if (!fs.existsSync(path.join(baseDir, version))) {
+        throw new Error(`Version ${version} not found`);
+    }
+
+    const release = { ...readRelease(baseDir, version), ...changes };
+    const releaseFile = getReleaseFile(baseDir, version);
+
+    // Write then rename, so the server never reads a half-written file
+    const tmpFile = `${releaseFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(release, null, 2));
+    fs.renameSync(tmpFile, releaseFile);
+    return release;
+}
+
+/**
+ * Validates release info fields before they are stored
+ * @param {Object} info - Fields to set (notes, date, mandatory, minClientVersion, minUpgradeFrom)
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+function validateReleaseInfo(info) {
+    if (!info || typeof info !== 'object' || Array.isArray(info)) {
+        return 'Release info must be an object';
+    }
+
+    for (const field of Object.keys(info)) {
+        if (!RELEASE_INFO_FIELDS.includes(field)) {
+            return `Unknown release info field: ${field}`;
+        }
+    }
+
+    if (info.notes !== undefined && info.notes !== null && typeof info.notes !== 'string') {
+        return 'notes must be a string';
+    }
+    if (info.date !== undefined && info.date !== null &&
+        (typeof info.date !== 'string' || isNaN(Date.parse(info.date)))) {
+        return 'date must be an ISO 8601 date';
+    }
+    if (info.mandatory !== undefined && typeof info.mandatory !== 'boolean') {
+        return 'mandatory must be true or false';
+    }
+    for (const field of ['minClientVersion', 'minUpgradeFrom']) {
+        if (info[field] !== undefined && info[field] !== null && !SemVer.isValid(info[field])) {
+            return `${field} must be a SemVer version`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the release info of a version that is published to clients
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Version name
+ * @param {Object} release - (optional) Release metadata, read from disk when omitted
+ * @returns {Object} Release info: version, channel, notes, date, mandatory, minClientVersion, minUpgradeFrom,
+ *     and platforms (variants the version has a build for, see Variants.js)
+ */
+function getReleaseInfo(baseDir, version, release = readRelease(baseDir, version)) {
+    let date = release.date || null;
+    if (!date) {
+        try {
+            date = fs.statSync(path.join(baseDir, version)).mtime.toISOString();
+        } catch (error) {
+            date = null;
+        }
+    }
+
+    return {
+        version,
+        channel: SemVer.channelOf(version),
+        notes: release.notes || null,
+        date,
+        mandatory: release.mandatory === true,
+        minClientVersion: release.minClientVersion || null,
+        minUpgradeFrom: release.minUpgradeFrom || null,
+        platforms: getPlatforms(baseDir, version)
+    };
+}
+
+/**
+ * Checks whether a client can upgrade straight to a version
+ * @param {Object} release - Release metadata of the version
+ * @param {string|null} currentVersion - Version the client has installed (null if unknown)
+ * @returns {boolean}
+ */
+function canUpgradeFrom(release, currentVersion) {
+    if (!release.minUpgradeFrom || !SemVer.isValid(currentVersion)) {
+        return true;
+    }
+    return SemVer.compare(currentVersion, release.minUpgradeFrom) >= 0;
+}
+
+/**
+ * Places a client in a rollout bucket
+ * @param {string} installId - Client install id
+ * @param {string|null} appId - Application id (null for the default app)
+ * @param {string} version - Version being rolled out
+ * @returns {number} Bucket in [0, 100)
+ */
+function getBucket(installId, appId, version) {
+    // Salted per version, so the same clients are not always the first to get a release
+    const hash = crypto.createHash('sha256')
+        .update(`${appId || ''}:${version}:${installId}`)
+        .digest();
+    return (hash.readUInt32BE(0) % 10000) / 100;
+}
+
+/**
+ * Checks whether a version is offered to a client as an update
+ * @param {Object} release - Release metadata of the version
+ * @param {string} version - Version name
+ * @param {Object} client - Requesting client
+ * @param {string|null} client.installId - Client install id
+ * @param {string|null} client.currentVersion - Version the client has installed
+ * @param {string|null} client.appId - Application id (null for the default app)
+ * @returns {boolean}
+ */
+function isOfferedTo(release, version, client) {
+    const rollout = release.rollout;
+
+    // Clients already running the version keep it
+    if (!rollout || client.currentVersion === version) {
+        return true;
+    }
+
+    if (rollout.halted) {
+        return false;
+    }
+
+    const percentage = typeof rollout.percentage === 'number' ? rollout.percentage : 100;
+    if (percentage >= 100) {
+        return true;
+    }
+    if (!client.installId || percentage <= 0) {
+        return false;
+    }
+
+    return getBucket(client.installId, client.appId, version) < percentage;
+}
+
+/**
+ * Reads the value following a command line flag
+ * @param {Array} args - Command line arguments
+ * @param {string} flag - Flag name (e.g. '--app')
+ * @returns {string|undefined} Flag value
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Command-line interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const [command, version] = args;
+
+    try {
+        const appId = getFlag(args, '--app');
+        if (appId !== undefined && !/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(appId)) {
+            throw new Error(`Invalid application id: ${appId}`);
+        }
+        const baseDir = appId ? path.join(APPS_DIR, appId) : BASE_DIR;
+
+        if (!version) {
+            throw new Error('Missing version');
+        }
+
+        let release;
+        if (command === 'show') {
+            release = readRelease(baseDir, version);
+        } else if (command === 'rollout') {
+            const percentage = Number(args[2]);
+            if (!(percentage >= 0 && percentage <= 100)) {
+                throw new Error('Rollout percentage must be between 0 and 100');
+            }
+            const rollout = readRelease(baseDir, version).rollout || {};
+            release = writeRelease(baseDir, version, { rollout: { ...rollout, percentage } });
+        } else if (command === 'halt' || command === 'resume') {
+            const rollout = readRelease(baseDir, version).rollout || { percentage: 100 };
+            release = writeRelease(baseDir, version, {
+                rollout: { ...rollout, halted: command === 'halt' }
+            });
+        } else if (command === 'yank' || command === 'unyank') {
+            release = writeRelease(baseDir, version, { yanked: command === 'yank' });
+        } else if (command === 'set') {
+            const info = {};
+            for (const [flag, field] of Object.entries(RELEASE_INFO_FLAGS)) {
+                const value = getFlag(args, flag);
+                if (value !== undefined) {
+                    // An empty value clears the field
+                    info[field] = field === 'mandatory' ? value === 'true' : value || null;
+                }
+            }
+
+            const error = validateReleaseInfo(info);
+            if (error) {
+                throw new Error(error);
+            }
+            release = writeRelease(baseDir, version, info);
+        } else {
+            throw new Error(`Unknown command: ${command}`);
+        }
+
+        console.log(`Release ${version}:`, JSON.stringify(release, null, 2));
+    } catch (error) {
+        console.error('Error:', error.message);
+        console.log('Usage:');
+        console.log('  node Releases.js show VERSION [--app APP_ID]');
+        console.log('  node Releases.js rollout VERSION PERCENTAGE [--app APP_ID]');
+        console.log('  node Releases.js halt VERSION [--app APP_ID]');
+        console.log('  node Releases.js resume VERSION [--app APP_ID]');
+        console.log('  node Releases.js yank VERSION [--app APP_ID]');
+        console.log('  node Releases.js unyank VERSION [--app APP_ID]');
+        console.log('  node Releases.js set VERSION [--notes TEXT] [--date DATE] [--mandatory true|false]');
+        console.log('      [--min-client-version VERSION] [--min-upgrade-from VERSION] [--app APP_ID]');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    readRelease,
+    writeRelease,
+    validateReleaseInfo,
+    getReleaseInfo,
+    canUpgradeFrom,
+    getBucket,
+    isOfferedTo
+};
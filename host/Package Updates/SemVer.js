@@ -0,0 +1,138 @@
+/**
+ * Semantic Versioning 2.0.0 helpers
+ *
+ * Parses version strings (MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD]) and orders
+ * them by SemVer precedence. See https://semver.org/spec/v2.0.0.html
+ */
+
+const SEMVER_PATTERN = new RegExp(
+    '^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)' +
+    '(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?' +
+    '(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$'
+);
+
+/**
+ * Parses a version string
+ * @param {string} version - Version string (e.g. '1.0.0-beta.1+build.5')
+ * @returns {Object|null} - Parsed version, or null if it is not valid SemVer
+ */
+function parse(version) {
+    if (typeof version !== 'string') {
+        return null;
+    }
+
+    const match = version.match(SEMVER_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        version,
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split('.') : [],
+        build: match[5] ? match[5].split('.') : []
+    };
+}
+
+/**
+ * Checks whether a string is a valid SemVer version
+ * @param {string} version - Version string
+ * @returns {boolean}
+ */
+function isValid(version) {
+    return parse(version) !== null;
+}
+
+/**
+ * Compares two pre-release identifiers
+ * @param {string} a - Identifier
+ * @param {string} b - Identifier
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareIdentifiers(a, b) {
+    const aNumeric = /^\d+$/.test(a);
+    const bNumeric = /^\d+$/.test(b);
+
+    // Numeric identifiers always have lower precedence than alphanumeric ones
+    if (aNumeric && bNumeric) {
+        return Number(a) - Number(b);
+    }
+    if (aNumeric) {
+        return -1;
+    }
+    if (bNumeric) {
+        return 1;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compares two versions by SemVer precedence (build metadata is ignored)
+ * @param {string|Object} a - Version string or parsed version
+ * @param {string|Object} b - Version string or parsed version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal precedence
+ */
+function compare(a, b) {
+    const va = typeof a === 'string' ? parse(a) : a;
+    const vb = typeof b === 'string' ? parse(b) : b;
+
+    if (!va || !vb) {
+        throw new Error(`Invalid version: ${!va ? a : b}`);
+    }
+
+    for (const part of ['major', 'minor', 'patch']) {
+        if (va[part] !== vb[part]) {
+            return va[part] - vb[part];
+        }
+    }
+
+    // A pre-release version has lower precedence than the normal version
+    if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+        return vb.prerelease.length - va.prerelease.length;
+    }
+
+    const length = Math.max(va.prerelease.length, vb.prerelease.length);
+    for (let i = 0; i < length; i++) {
+        // A larger set of pre-release fields has higher precedence
+        if (va.prerelease[i] === undefined) {
+            return -1;
+        }
+        if (vb.prerelease[i] === undefined) {
+            return 1;
+        }
+
+        const result = compareIdentifiers(va.prerelease[i], vb.prerelease[i]);
+        if (result !== 0) {
+            return result;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Gets the release channel a version belongs to: 'stable' for normal versions,
+ * otherwise the name of the first pre-release identifier ('1.0.0-beta.1' is 'beta')
+ * @param {string|Object} version - Version string or parsed version
+ * @returns {string|null} - Channel name, or null for an invalid version
+ */
+function channelOf(version) {
+    const parsed = typeof version === 'string' ? parse(version) : version;
+
+    if (!parsed) {
+        return null;
+    }
+    if (parsed.prerelease.length === 0) {
+        return 'stable';
+    }
+    return parsed.prerelease[0].replace(/[^a-zA-Z-]/g, '').toLowerCase() || 'prerelease';
+}
+
+module.exports = {
+    parse,
+    isValid,
+    compare,
+    channelOf
+};
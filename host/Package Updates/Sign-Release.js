@@ -0,0 +1,218 @@
+/**
+ * Release Signing Tool
+ *
+ * Produces detached signatures for version folders. Run this OFFLINE, on the
+ * release pipeline machine that holds the private key - the update server
+ * never sees the private key, it only serves the generated signature files.
+ *
+ * A signature covers a manifest listing every file of the version folder
+ * (relative path, size and SHA-256), so it stays valid no matter how the
+ * server packs the folder into an archive. Versions with a build per platform
+ * (see Variants.js) get one signature per variant.
+ *
+ * Directory Structure:
+ * /Project-directory/
+ * ├── Package Updates/
+ * │   └── Sign-Release.js    ← This file
+ * └── app/
+ *     ├── 2.1.0/             ← Version folder
+ *     ├── 2.1.0.sig          ← Detached signature (generated)
+ *     ├── 2.2.0/linux-x64/   ← Platform build of a version with variants
+ *     └── 2.2.0.linux-x64.sig ← Detached signature of the build (generated)
+ *
+ * Usage:
+ * - Generate a key pair: node Sign-Release.js keygen --out ./keys [--type ed25519|rsa]
+ * - Sign a version:      node Sign-Release.js sign 2.1.0 --key ./keys/release-private.pem
+ * - Sign a hosted app:   node Sign-Release.js sign 2.1.0 --app editor --key ./keys/release-private.pem
+ * - Sign one variant:    node Sign-Release.js sign 2.2.0 --variant linux-x64 --key ./keys/release-private.pem
+ *   (without --variant, every variant of the version is signed)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isVariantName, getVariants, getSignaturePath } = require('./Variants');
+
+// Set base directory to the parent directory's 'app' folder
+const BASE_DIR = path.join(__dirname, '..', 'app');
+// Applications hosted under /apps/<appId> live in the parent directory's 'apps' folder
+const APPS_DIR = path.join(__dirname, '..', 'apps');
+
+/**
+ * Generates a signing key pair and writes it as PEM files
+ * @param {string} outDir - Directory to write the keys to
+ * @param {string} type - Key type: 'ed25519' or 'rsa'
+ * @returns {Object} Paths of the written private and public keys
+ */
+function generateKeyPair(outDir, type = 'ed25519') {
+    if (type !== 'ed25519' && type !== 'rsa') {
+        throw new Error(`Unsupported key type: ${type}`);
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, {
+        modulusLength: type === 'rsa' ? 3072 : undefined,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const privatePath = path.join(outDir, 'release-private.pem');
+    const publicPath = path.join(outDir, 'release-public.pem');
+    fs.writeFileSync(privatePath, privateKey, { mode: 0o600 });
+    fs.writeFileSync(publicPath, publicKey);
+
+    return { privatePath, publicPath };
+}
+
+/**
+ * Builds the file manifest of a version folder
+ * @param {string} folderPath - Path to the version folder
+ * @param {string} version - Version name recorded in the manifest
+ * @param {string|null} appId - Hosted application id (null for the default app)
+ * @param {string|null} variant - Platform variant the folder is the build of (null for a version without variants)
+ * @returns {Object} Manifest with app, version, variant and per-file entries
+ */
+function buildManifest(folderPath, version, appId = null, variant = null) {
+    if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+        throw new Error(`Version folder does not exist: ${folderPath}`);
+    }
+
+    const files = {};
+
+    const walk = (dir) => {
+        const items = fs.readdirSync(dir, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const item of items) {
+            const fullPath = path.join(dir, item.name);
+            const relPath = path.relative(folderPath, fullPath).split(path.sep).join('/');
+
+            if (item.isDirectory()) {
+                walk(fullPath);
+            } else if (item.isSymbolicLink()) {
+                files[relPath] = {
+                    type: 'symlink',
+                    target: fs.readlinkSync(fullPath)
+                };
+            } else if (item.isFile()) {
+                const content = fs.readFileSync(fullPath);
+                files[relPath] = {
+                    type: 'file',
+                    size: content.length,
+                    sha256: crypto.createHash('sha256').update(content).digest('hex')
+                };
+            } else {
+                throw new Error(`Unsupported file type in release: ${relPath}`);
+            }
+        }
+    };
+
+    walk(folderPath);
+
+    return {
+        app: appId,
+        version,
+        variant,
+        created: new Date().toISOString(),
+        files
+    };
+}
+
+/**
+ * Signs a version folder and writes the detached signature next to it
+ * @param {Object} params - Parameters object
+ * @param {string} params.version - Version folder name
+ * @param {string} params.keyPath - Path to the PEM private key
+ * @param {string} [params.baseDir] - Directory holding the version folders
+ * @param {string|null} [params.appId] - Hosted application id (null for the default app)
+ * @param {string|null} [params.variant] - Platform variant to sign (null for a version without variants)
+ * @returns {string} Path to the written signature file
+ */
+function signRelease({ version, keyPath, baseDir = BASE_DIR, appId = null, variant = null }) {
+    const versionPath = path.resolve(baseDir, version);
+    if (path.dirname(versionPath) !== path.resolve(baseDir)) {
+        throw new Error(`Invalid version: ${version}`);
+    }
+    if (variant !== null && !isVariantName(variant)) {
+        throw new Error(`Invalid variant: ${variant}`);
+    }
+    const folderPath = variant ? path.join(versionPath, variant) : versionPath;
+
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath));
+    const algorithm = privateKey.asymmetricKeyType;
+    if (algorithm !== 'ed25519' && algorithm !== 'rsa') {
+        throw new Error(`Unsupported key type: ${algorithm}`);
+    }
+
+    // The manifest is signed exactly as stored, so clients verify the same bytes
+    const manifest = JSON.stringify(buildManifest(folderPath, version, appId, variant));
+    const signature = crypto.sign(
+        algorithm === 'ed25519' ? null : 'sha256',
+        Buffer.from(manifest),
+        privateKey
+    );
+
+    const signaturePath = getSignaturePath(versionPath, variant);
+    fs.writeFileSync(signaturePath, JSON.stringify({
+        algorithm,
+        manifest,
+        signature: signature.toString('base64')
+    }, null, 2));
+
+    return signaturePath;
+}
+
+/**
+ * Reads the value following a command line flag
+ * @param {Array} args - Command line arguments
+ * @param {string} flag - Flag name (e.g. '--key')
+ * @returns {string|undefined} Flag value
+ */
+function getFlag(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Command-line interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+
+    try {
+        if (args[0] === 'keygen') {
+            const outDir = getFlag(args, '--out') || path.join(__dirname, 'keys');
+            const { privatePath, publicPath } = generateKeyPair(outDir, getFlag(args, '--type'));
+            console.log(`Private key: ${privatePath} (keep it offline, never on the update server)`);
+            console.log(`Public key:  ${publicPath} (pin this on the clients)`);
+        } else if (args[0] === 'sign' && args[1]) {
+            const keyPath = getFlag(args, '--key') || process.env.RELEASE_SIGNING_KEY;
+            if (!keyPath) {
+                throw new Error('Missing private key: use --key <path> or RELEASE_SIGNING_KEY');
+            }
+            const appId = getFlag(args, '--app');
+            if (appId !== undefined && !/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(appId)) {
+                throw new Error(`Invalid application id: ${appId}`);
+            }
+            const baseDir = appId ? path.join(APPS_DIR, appId) : BASE_DIR;
+            const variant = getFlag(args, '--variant');
+            const variants = variant ? [variant] : getVariants(path.resolve(baseDir, args[1])) || [null];
+            for (const name of variants) {
+                const signaturePath = signRelease({ version: args[1], keyPath, baseDir, appId: appId || null, variant: name });
+                console.log(`Signed version ${args[1]}${name ? ` (${name})` : ''}: ${signaturePath}`);
+            }
+        } else {
+            console.log('Usage:');
+            console.log('  node Sign-Release.js keygen [--out DIR] [--type ed25519|rsa]');
+            console.log('  node Sign-Release.js sign VERSION [--app APP_ID] [--variant PLATFORM-ARCH] --key PRIVATE_KEY.pem');
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('Signing failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    generateKeyPair,
+    buildManifest,
+    signRelease
+};
@@ -1,6 +1,11 @@
 const tar = require('tar');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+
+// Name of the metadata file at the root of a delta archive
+const DELTA_META_FILE = 'omniupdate-delta.json';
 
 /**
  * Creates a tar stream from a folder
@@ -40,6 +45,162 @@ function createTarStream(folderPath) {
     }
 }
 
+/**
+ * Compares two entries of the same relative path
+ * @param {string} fromPath - Entry in the old version
+ * @param {string} toPath - Entry in the new version
+ * @returns {boolean} - Whether both entries have the same type and content
+ */
+function sameEntry(fromPath, toPath) {
+    const fromStat = fs.lstatSync(fromPath);
+    const toStat = fs.lstatSync(toPath);
+
+    if (fromStat.isSymbolicLink() || toStat.isSymbolicLink()) {
+        return fromStat.isSymbolicLink() && toStat.isSymbolicLink() &&
+            fs.readlinkSync(fromPath) === fs.readlinkSync(toPath);
+    }
+
+    if (fromStat.isDirectory() !== toStat.isDirectory()) {
+        return false;
+    }
+
+    if (fromStat.isDirectory()) {
+        return true;
+    }
+
+    if (fromStat.size !== toStat.size) {
+        return false;
+    }
+
+    const hash = (filePath) => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    return hash(fromPath) === hash(toPath);
+}
+
+/**
+ * Computes the file-level difference between two version folders
+ * @param {string} fromPath - Path to the old version folder
+ * @param {string} toPath - Path to the new version folder
+ * @returns {Object} - Relative paths that were added or changed, and deleted
+ */
+function diffFolders(fromPath, toPath) {
+    const changed = [];
+    const deleted = [];
+
+    const walk = (relDir) => {
+        const fromDir = path.join(fromPath, relDir);
+        const toDir = path.join(toPath, relDir);
+        const fromNames = fs.existsSync(fromDir) ? fs.readdirSync(fromDir) : [];
+        const toNames = fs.readdirSync(toDir);
+
+        for (const name of fromNames) {
+            if (!toNames.includes(name)) {
+                deleted.push(path.join(relDir, name));
+            }
+        }
+
+        for (const name of toNames) {
+            const relPath = path.join(relDir, name);
+            const fromEntry = path.join(fromPath, relPath);
+            const toEntry = path.join(toPath, relPath);
+
+            if (!fromNames.includes(name)) {
+                // New entry, directories are shipped whole
+                changed.push(relPath);
+            } else if (!sameEntry(fromEntry, toEntry)) {
+                const fromIsDir = fs.lstatSync(fromEntry).isDirectory();
+                // A type change needs the old entry removed first
+                if (fromIsDir || fs.lstatSync(toEntry).isDirectory()) {
+                    deleted.push(relPath);
+                }
+                changed.push(relPath);
+            } else if (fs.lstatSync(toEntry).isDirectory()) {
+                walk(relPath);
+            }
+        }
+    };
+
+    walk('');
+
+    const toPosix = (relPath) => relPath.split(path.sep).join('/');
+    return {
+        changed: changed.map(toPosix),
+        deleted: deleted.map(toPosix)
+    };
+}
+
+/**
+ * Creates a tar stream holding only the changes between two version folders.
+ * Entries are stored under the new version folder name, like a full archive,
+ * plus a metadata file at the archive root listing the deleted paths.
+ * @param {string} fromPath - Path to the old version folder
+ * @param {string} toPath - Path to the new version folder
+ * @param {string} fromVersion - (optional) Old version name, defaults to the old folder name
+ * @param {string} toVersion - (optional) New version name, defaults to the new folder name
+ *     (the folders of platform builds are named after the platform, see Variants.js)
+ * @returns {stream.Readable} - Tar archive stream
+ */
+function createDeltaTarStream(fromPath, toPath, fromVersion = path.basename(fromPath), toVersion = path.basename(toPath)) {
+    let workDir = null;
+
+    try {
+        for (const folderPath of [fromPath, toPath]) {
+            if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+                throw new Error(`Source folder does not exist: ${folderPath}`);
+            }
+        }
+
+        const { changed, deleted } = diffFolders(fromPath, toPath);
+        const version = toVersion;
+
+        // Lay the delta out in a work directory: <version>/<changed files> + metadata
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omniupdate-delta-'));
+        const deltaRoot = path.join(workDir, version);
+        fs.mkdirSync(deltaRoot);
+
+        for (const relPath of changed) {
+            const target = path.join(deltaRoot, relPath);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.cpSync(path.join(toPath, relPath), target, { recursive: true, verbatimSymlinks: true });
+        }
+
+        fs.writeFileSync(path.join(workDir, DELTA_META_FILE), JSON.stringify({
+            from: fromVersion,
+            to: version,
+            deleted
+        }));
+
+        const tarStream = tar.create(
+            {
+                gzip: true,
+                cwd: workDir,
+            },
+            [version, DELTA_META_FILE]
+        );
+
+        // Remove the work directory once the archive is sent or abandoned
+        const cleanup = () => fs.rmSync(workDir, { recursive: true, force: true });
+        tarStream.once('end', cleanup);
+        tarStream.once('close', cleanup);
+        tarStream.once('error', cleanup);
+
+        return tarStream;
+    } catch (error) {
+        if (workDir) {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+
+        // Create an error stream
+        const { Readable } = require('stream');
+        const errorStream = new Readable({
+            read() {
+                this.push(null);
+            }
+        });
+        errorStream.error = error;
+        return errorStream;
+    }
+}
+
 /**
  * Creates a tar archive from a folder and returns it as a buffer
  * @param {string} folderPath - Path to the folder to archive
@@ -74,6 +235,74 @@ function createTarArchive(folderPath) {
     });
 }
 
+/**
+ * Validates an uploaded release archive and extracts it into an empty folder.
+ * Archives may hold the files at their root or inside a single top-level folder
+ * (like the archives created by createTarStream()).
+ * @param {string} tarPath - Path to the tar.gz archive
+ * @param {string} destPath - Folder to extract into
+ * @returns {Promise<number>} - Promise that resolves with the number of extracted files
+ */
+async function extractReleaseArchive(tarPath, destPath) {
+    const entries = [];
+    const problems = [];
+
+    await tar.t({
+        file: tarPath,
+        strict: true,
+        onReadEntry: (entry) => {
+            const entryPath = entry.path.replace(/\/$/, '');
+            const parts = entryPath.split('/');
+
+            if (path.isAbsolute(entry.path) || /^[a-zA-Z]:/.test(entry.path) || parts.includes('..')) {
+                problems.push(`Unsafe path: ${entry.path}`);
+            } else if (!['File', 'OldFile', 'Directory', 'SymbolicLink'].includes(entry.type)) {
+                problems.push(`Unsupported entry type ${entry.type}: ${entry.path}`);
+            }
+
+            entries.push({
+                path: entry.path,
+                parts: parts.filter(part => part !== '.' && part !== ''),
+                type: entry.type,
+                linkpath: entry.linkpath
+            });
+        }
+    });
+
+    const files = entries.filter(entry => entry.type !== 'Directory');
+    if (problems.length === 0 && files.length === 0) {
+        problems.push('no files');
+    }
+
+    // Strip a single top-level folder that holds every entry
+    const top = entries.length > 0 ? entries[0].parts[0] : null;
+    const wrapped = entries.every(entry =>
+        entry.parts[0] === top && (entry.parts.length > 1 || entry.type === 'Directory')
+    );
+
+    // Links must stay inside the extracted release
+    for (const entry of files.filter(file => file.type === 'SymbolicLink')) {
+        const linkDir = path.posix.dirname(entry.parts.slice(wrapped ? 1 : 0).join('/'));
+        const target = path.posix.normalize(path.posix.join(linkDir, entry.linkpath));
+        if (path.posix.isAbsolute(entry.linkpath) || target === '..' || target.startsWith('../')) {
+            problems.push(`Link points outside the release: ${entry.path}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid release archive: ${problems.join(', ')}`);
+    }
+
+    await tar.x({
+        file: tarPath,
+        cwd: destPath,
+        strip: wrapped ? 1 : 0,
+        strict: true
+    });
+
+    return files.length;
+}
+
 /**
  * Saves a tar buffer to the specified path
  * @param {Buffer} tarBuffer - The tar archive buffer to save
@@ -124,7 +353,11 @@ async function createAndSaveTarArchive({ folder_path, saving_path }) {
 
 // Export all functions
 module.exports = {
+    DELTA_META_FILE,
     createTarStream,
+    createDeltaTarStream,
+    diffFolders,
+    extractReleaseArchive,
     createTarArchive,
     saveTarArchive,
     createAndSaveTarArchive
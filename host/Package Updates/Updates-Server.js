@@ -9,19 +9,79 @@
  * ├── Package Updates/    ← This file should be placed here
  * │   └── Updates-Server.js
  * │   └── TARer.js
- * └── app/
- *     ├── 1.0.0/         ← Version directories containing application files
- *     ├── 1.1.0/
- *     ├── 2.0.0/
- *     └── 2.1.0/
- *     └── ...
+ * │   └── Sign-Release.js ← Offline signing tool (private key never on the server)
+ * ├── app/               ← Default application (unprefixed routes)
+ * │   ├── 1.0.0/         ← Version directories containing application files
+ * │   ├── 1.1.0/
+ * │   ├── 2.0.0/
+ * │   ├── 2.1.0/
+ * │   ├── 2.1.0.sig      ← Detached signature of version 2.1.0
+ * │   ├── 2.1.0.ready    ← Ready marker: the folder is complete (see ReleaseIndex.js)
+ * │   └── 2.1.0.release.json ← Release metadata, e.g. staged rollout (see Releases.js)
+ * │   ├── 2.2.0/         ← Version with a build per platform (see Variants.js)
+ * │   │   ├── linux-x64/
+ * │   │   ├── win32-x64/
+ * │   │   └── generic/   ← (optional) Build for every other platform
+ * │   ├── 2.2.0.linux-x64.sig ← Detached signature of each build
+ * │   └── ...
+ * ├── apps/              ← Further applications (routes under /apps/<appId>)
+ * │   ├── editor/
+ * │   │   ├── 1.0.0/
+ * │   │   └── ...
+ * │   └── agent/
+ * │       └── ...
+ * ├── cache/             ← Pre-built archives (generated, safe to delete)
+ * └── logs/              ← Admin audit log
+ *
+ * Versions are listed from an in-memory release index, kept current by watching
+ * the application folders (see ReleaseIndex.js). A version folder is only served
+ * once it is complete - marked with <version>.ready, or matching its signature -
+ * so a release still being copied is never offered as LATEST.
  *
  * Usage:
  * - Run: PORT=3000 node Updates-Server.js
  * - Request: GET /updates?version=LATEST or GET /updates?version=1.2.0
- * - Returns: Streaming tar.gz archive of the requested version
- * - Request: GET /versions
- * - Returns: List of available versions
+ * - Returns: tar.gz archive of the requested version, built once and cached on disk,
+ *   served with Content-Length, a strong ETag and HTTP Range (206) support
+ * - Request: GET /updates?from=1.1.0&version=1.2.0
+ * - Returns: Delta tar.gz archive with only the changes since 1.1.0
+ * - Request: GET /versions or GET /versions?channel=beta
+ * - Returns: List of available versions on the channel (default: stable), with their release info
+ * - Request: GET /versions/1.2.0
+ * - Returns: Release info of the version (notes, date, mandatory, minClientVersion, minUpgradeFrom)
+ * - Request: GET /updates?version=LATEST&channel=beta
+ * - Returns: Archive of the latest version offered on the channel
+ * - Request: GET /signature?version=1.2.0
+ * - Returns: Detached signature of the version (created offline with Sign-Release.js)
+ * - Request: GET /events or GET /events?channel=beta
+ * - Returns: Server-Sent Events stream announcing new, yanked, deleted and rollout-changed
+ *   versions of the channel (see ReleaseEvents.js); reconnect with Last-Event-ID to get missed events
+ * - Clients identify themselves with the X-Install-Id and X-Current-Version headers;
+ *   versions in a staged rollout are only listed / resolved as LATEST for clients in it
+ * - Clients send their platform with the X-Platform and X-Arch headers (or the platform and
+ *   arch query parameters) and get the build of a version for it; versions without a build
+ *   for the client's platform are not listed / resolved as LATEST for it
+ * - With REQUIRE_CLIENT_AUTH=true, release routes require a client key from the key store
+ *   (see ClientKeys.js), sent as 'Authorization: Bearer <key>' or 'X-API-Key: <key>';
+ *   each key only reaches the applications and channels it is scoped to
+ * - Request: POST /reports
+ * - Clients report the outcome of every install attempt (see InstallReports.js)
+ * - Request: GET /apps
+ * - Returns: List of hosted applications
+ * - Request: GET /apps/<appId>/versions, /apps/<appId>/updates, ...
+ * - Returns: Same as the unprefixed routes, for the given application
+ *
+ * Admin API (enabled by setting ADMIN_TOKEN, requires 'Authorization: Bearer <token>'):
+ * - POST /admin/releases?version=2.2.0                   ← Upload a tar.gz and publish it
+ * - POST /admin/releases?version=2.2.0&variant=linux-x64 ← Publish the build of a platform
+ * - PUT /admin/releases/2.2.0/signature                  ← Upload the detached signature (?variant=...)
+ * - PATCH /admin/releases/2.2.0                          ← Set release info (notes, mandatory, ...)
+ * - POST /admin/releases/2.2.0/yank (or /unyank)         ← Hide from LATEST, keep downloadable
+ * - DELETE /admin/releases/2.2.0                         ← Remove the version
+ * - GET /admin/releases                                   ← Published and pending versions (release index)
+ * - GET /admin/stats?since=2024-05-01                     ← Install counts, failure rates, last seen versions
+ * - /admin/apps/<appId>/releases/...                     ← Same, for a hosted application
+ * Every admin request is written to the audit log (ADMIN_AUDIT_LOG).
  *
  * Typical use cases:
  * - Desktop/mobile application updates
@@ -31,29 +91,131 @@
  */
 
 const express = require('express');
-const { createTarStream } = require('./TARer');
+const { createTarStream, createDeltaTarStream, extractReleaseArchive } = require('./TARer');
+const { folderFingerprint, getCachedArchive, removeCachedArchives } = require('./ArchiveCache');
+const SemVer = require('./SemVer');
+const {
+    readRelease,
+    writeRelease,
+    validateReleaseInfo,
+    getReleaseInfo,
+    canUpgradeFrom,
+    isOfferedTo
+} = require('./Releases');
+const { findKey, isAppAllowed } = require('./ClientKeys');
+const ReleaseEvents = require('./ReleaseEvents');
+const ReleaseIndex = require('./ReleaseIndex');
+const { isVariantName, normalizePlatform, getVariants, getPlatforms, selectVariant, resolveVariant, getSignaturePath } = require('./Variants');
+const { validateReport, appendReport, getStats } = require('./InstallReports');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 
 const PORT = process.env.PORT || 3000;
 // Set base directory to the parent directory's 'app' folder
 const BASE_DIR = path.join(__dirname, '..', 'app');
+// Applications served under /apps/<appId> live in the parent directory's 'apps' folder
+const APPS_DIR = path.join(__dirname, '..', 'apps');
+// Pre-built release archives are cached in the parent directory's 'cache' folder
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '..', 'cache');
+// Cache folder of the default app (app ids cannot start with '_')
+const DEFAULT_APP_CACHE = '_default';
+// Release channels, from most to least stable. A channel also offers every more stable channel.
+const CHANNELS = (process.env.CHANNELS || 'stable,rc,beta,alpha,nightly')
+    .split(',')
+    .map(channel => channel.trim().toLowerCase())
+    .filter(Boolean);
+const DEFAULT_CHANNEL = CHANNELS[0];
+// Require a client key (see ClientKeys.js) on the release routes
+const REQUIRE_CLIENT_AUTH = process.env.REQUIRE_CLIENT_AUTH === 'true';
+// Origins allowed to call the server from a browser ('*' for any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+// Token required by the admin API (the admin API is disabled when unset)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+// Admin actions are appended to this file as JSON lines
+const ADMIN_AUDIT_LOG = process.env.ADMIN_AUDIT_LOG || path.join(__dirname, '..', 'logs', 'admin-audit.log');
+// Largest release archive accepted by the admin API, in bytes (default: 512 MB)
+const ADMIN_MAX_UPLOAD = Number(process.env.ADMIN_MAX_UPLOAD) || 512 * 1024 * 1024;
+// Interval of keep-alive comments on event streams, so proxies do not close idle connections (ms)
+const EVENTS_KEEPALIVE = Number(process.env.EVENTS_KEEPALIVE) || 25000;
+// Reconnect delay suggested to event stream clients (ms)
+const EVENTS_RETRY = 5000;
 
 const app = express();
+// Release routes, mounted for the default app and for every app under /apps/<appId>
+const releases = express.Router();
+// Admin routes, mounted under /admin for the default app and under /admin/apps/<appId>
+const admin = express.Router();
+
+// Identify the requesting client, for staged rollouts and access control
+releases.use((req, res, next) => {
+    req.client = {
+        appId: req.appId,
+        installId: req.get('X-Install-Id') || null,
+        currentVersion: req.get('X-Current-Version') || null,
+        platform: normalizePlatform(req.query.platform || req.get('X-Platform')),
+        arch: normalizePlatform(req.query.arch || req.get('X-Arch')),
+        key: null
+    };
+    next();
+});
 
-// Enable CORS for cross-origin requests
+// Enable CORS for cross-origin requests from the allowed origins
 app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+    const origin = req.get('Origin');
+    if (CORS_ORIGINS.includes('*')) {
+        res.header('Access-Control-Allow-Origin', '*');
+    } else if (origin && CORS_ORIGINS.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Vary', 'Origin');
+    }
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Install-Id, X-Current-Version, X-Platform, X-Arch');
     next();
 });
 
+/**
+ * Middleware: requires a valid client key for the requested application (when client auth is enabled)
+ */
+function requireClientKey(req, res, next) {
+    const access = authenticateClient(req);
+
+    if (!access.Status) {
+        if (access.code === 401) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+        }
+        return res.status(access.code).json({
+            error: access.error
+        });
+    }
+
+    req.client.key = access.key;
+    next();
+}
+
 /**
  * GET endpoint to get available versions
+ * Query parameter: channel - (optional) release channel, defaults to the most stable one
  */
-app.get('/versions', (req, res) => {
+releases.get('/versions', requireClientKey, (req, res) => {
     try {
-        const V_Found = get_versions();
+        const channel = normalizeChannel(req.query.channel);
+
+        if (!channel) {
+            return res.status(400).json({
+                error: `Invalid channel: ${req.query.channel}`
+            });
+        }
+
+        if (!isChannelAllowed(req.client.key, channel)) {
+            return res.status(403).json({
+                error: `This client key does not give access to channel ${channel}`
+            });
+        }
+
+        const V_Found = get_versions(req.appDir, channel, req.client);
 
         if (!V_Found.Status) {
             return res.status(500).json({
@@ -61,9 +223,19 @@ app.get('/versions', (req, res) => {
             });
         }
 
+        const releases = {};
+        for (const version of V_Found.versions) {
+            releases[version] = getReleaseInfo(req.appDir, version);
+        }
+
+        const latest = selectLatest(req.appDir, V_Found.versions, req.client);
         res.json({
+            channel,
             versions: V_Found.versions,
-            latest: V_Found.versions.length > 0 ? V_Found.versions[0] : null
+            latest,
+            // Set when no offered version accepts the installed one (see minUpgradeFrom)
+            requiredVersion: latest ? undefined : getRequiredVersion(req.appDir, V_Found.versions, req.client),
+            releases
         });
     } catch (error) {
         console.error('Error in /versions endpoint:', error);
@@ -73,11 +245,41 @@ app.get('/versions', (req, res) => {
     }
 });
 
+/**
+ * GET endpoint to get the release info of a version
+ * Path parameter: version - specific version or 'LATEST'
+ * Query parameter: channel - (optional) release channel 'LATEST' is resolved in
+ */
+releases.get('/versions/:version', requireClientKey, (req, res) => {
+    try {
+        const resolved = resolveVersion(req.appDir, req.params.version, req.query.channel, req.client);
+
+        if (!resolved.Status) {
+            return res.status(resolved.code).json({
+                error: resolved.error,
+                requiredVersion: resolved.requiredVersion
+            });
+        }
+
+        res.json(getReleaseInfo(req.appDir, resolved.version));
+    } catch (error) {
+        console.error('Error in /versions/:version endpoint:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
 /**
  * GET endpoint to stream tar archive of specific version
  * Query parameter: version - specific version or 'LATEST'
+ * Query parameter: channel - (optional) release channel 'LATEST' is resolved in
+ * Query parameter: from - (optional) version the client currently has; when it is
+ * available, only the changes from it are sent as a delta archive
+ * Query parameters: platform, arch - (optional) platform of the client, instead of the
+ * X-Platform and X-Arch headers; selects the build of versions with variants
  */
-app.get('/updates', async (req, res) => {
+releases.get('/updates', requireClientKey, async (req, res) => {
     let version = req.query.version;
 
     if (!version) {
@@ -85,87 +287,209 @@ app.get('/updates', async (req, res) => {
     }
 
     try {
-        const V_Found = get_versions();
+        const resolved = resolveVersion(req.appDir, version, req.query.channel, req.client);
 
-        if (!V_Found.Status) {
-            return res.status(403).json({
-                error: V_Found.error
+        if (!resolved.Status) {
+            return res.status(resolved.code).json({
+                error: resolved.error,
+                requiredVersion: resolved.requiredVersion
             });
         }
 
-        const versions = V_Found.versions;
+        version = resolved.version;
+        const resolvedPath = resolved.folderPath;
+        const name = getArchiveName(resolved);
 
-        if (versions.length === 0) {
-            return res.status(404).json({
-                error: 'No available releases for this app'
+        const cacheDir = path.join(CACHE_DIR, req.appId || DEFAULT_APP_CACHE);
+
+        // Send a delta when the client's version is known and differs from the target
+        let archive = null;
+        if (req.query.from) {
+            const from = resolveVersion(req.appDir, req.query.from, null, {
+                key: req.client.key,
+                platform: req.client.platform,
+                arch: req.client.arch
             });
+
+            if (from.Status && from.version !== version && req.query.from.toUpperCase() !== 'LATEST') {
+                try {
+                    archive = await getCachedArchive({
+                        cacheDir,
+                        name: `${getArchiveName(from)}~${name}`,
+                        fingerprint: folderFingerprint(from.folderPath) + folderFingerprint(resolvedPath),
+                        createStream: () => createDeltaTarStream(from.folderPath, resolvedPath, from.version, version)
+                    });
+                } catch (error) {
+                    console.error('Delta error, sending full archive:', error.message);
+                }
+            }
         }
 
-        // Find the requested version
-        if (version.toUpperCase() === 'LATEST') {
-            version = versions[0];
-        } else {
-            const cleanVersion = version.replace(/\s/g, '');
-            const foundVersion = versions.find(v =>
-                v.toUpperCase() === cleanVersion.toUpperCase()
-            );
+        const isDelta = archive !== null;
+        if (!isDelta) {
+            archive = await getCachedArchive({
+                cacheDir,
+                name,
+                fingerprint: folderFingerprint(resolvedPath),
+                createStream: () => createTarStream(resolvedPath)
+            });
+        }
 
-            if (!foundVersion) {
-                return res.status(404).json({
-                    error: `Version ${version} not found, try a different version or 'version=LATEST' to get the latest version`
+        // Set appropriate headers for file download
+        const filename = isDelta ? `${version}.delta.tar.gz` : `${version}.tar.gz`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('X-Update-Type', isDelta ? 'delta' : 'full');
+        if (resolved.variant) {
+            res.setHeader('X-Update-Variant', resolved.variant);
+        }
+        // Strong ETag of the archive bytes, also used for If-None-Match and If-Range
+        res.setHeader('ETag', archive.etag);
+
+        // Serve the cached file: Content-Length, Accept-Ranges and 206 partial responses
+        res.sendFile(archive.filePath, { lastModified: false }, (error) => {
+            if (error && !res.headersSent) {
+                console.error('Error sending archive:', error.message);
+                res.status(500).json({
+                    error: `Failed to send archive: ${error.message}`
                 });
             }
-            version = foundVersion;
-        }
+        });
 
-        // Security: Prevent directory traversal attacks
-        const folderPath = path.join(BASE_DIR, version);
-        const resolvedPath = path.resolve(folderPath);
+    } catch (error) {
+        console.error('Unexpected error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
 
-        if (!resolvedPath.startsWith(BASE_DIR)) {
-            return res.status(403).json({
-                error: 'Invalid version path'
+/**
+ * GET endpoint to fetch the detached signature of a version
+ * Query parameter: version - specific version or 'LATEST'
+ * Signatures are produced offline by Sign-Release.js and stored as <app folder>/<version>.sig
+ * (<version>.<variant>.sig for the builds of a version with variants)
+ */
+releases.get('/signature', requireClientKey, (req, res) => {
+    try {
+        const resolved = resolveVersion(req.appDir, req.query.version || 'LATEST', req.query.channel, req.client);
+
+        if (!resolved.Status) {
+            return res.status(resolved.code).json({
+                error: resolved.error,
+                requiredVersion: resolved.requiredVersion
             });
         }
 
-        // Check if the folder actually exists
-        if (!fs.existsSync(resolvedPath) || !fs.statSync(resolvedPath).isDirectory()) {
+        if (!fs.existsSync(resolved.signaturePath)) {
             return res.status(404).json({
-                error: `Version ${version} not found`
+                error: `No signature available for version ${resolved.version}` +
+                    (resolved.variant ? ` (${resolved.variant})` : '')
             });
         }
 
-        console.log(`Creating archive for: ${resolvedPath}`);
+        res.setHeader('Content-Type', 'application/json');
+        res.send(fs.readFileSync(resolved.signaturePath, 'utf8'));
+    } catch (error) {
+        console.error('Error in /signature endpoint:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
 
-        const tarStream = createTarStream(resolvedPath);
+/**
+ * GET endpoint streaming release events as Server-Sent Events (see ReleaseEvents.js)
+ * Query parameter: channel - (optional) release channel, only versions offered on it are announced
+ * Header: Last-Event-ID - (optional) id of the last event received; missed events are sent first
+ */
+releases.get('/events', requireClientKey, (req, res) => {
+    const channel = normalizeChannel(req.query.channel);
 
-        // Handle stream errors
-        tarStream.on('error', (error) => {
-            console.error('Stream error:', error.message);
-            if (!res.headersSent) {
-                res.status(500).json({
-                    error: `Failed to create archive: ${error.message}`
-                });
-            }
+    if (!channel) {
+        return res.status(400).json({
+            error: `Invalid channel: ${req.query.channel}`
         });
+    }
 
-        // Set appropriate headers for file download
-        const filename = `${version}.tar.gz`;
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Type', 'application/gzip');
+    if (!isChannelAllowed(req.client.key, channel)) {
+        return res.status(403).json({
+            error: `This client key does not give access to channel ${channel}`
+        });
+    }
 
-        // Pipe the tar stream to the response
-        tarStream.pipe(res);
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${EVENTS_RETRY}\n\n`);
 
-        // Handle connection close
-        req.on('close', () => {
-            if (tarStream.destroy) {
-                tarStream.destroy();
-            }
+    const send = (event) => {
+        // The stream may have been ended before 'close' fires
+        if (res.writableEnded) {
+            return;
+        }
+        // Releases without a build for the client's platform are not announced to it
+        const platforms = event.type === 'release' ? event.data.platforms : null;
+        if (platforms && !selectVariant(platforms, req.client.platform, req.client.arch)) {
+            return;
+        }
+        if (isInChannel(event.data.version, channel)) {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ app: req.appId, ...event.data })}\n\n`);
+        }
+    };
+
+    const subscription = ReleaseEvents.subscribe(req.appDir, send, req.get('Last-Event-ID') || null);
+    if (subscription.resync) {
+        // The missed events are unknown: the client should check for updates
+        res.write(`id: ${subscription.lastEventId || ''}\nevent: resync\ndata: ${JSON.stringify({ app: req.appId })}\n\n`);
+    }
+    subscription.missed.forEach(send);
+
+    // Keep the connection open, and close it once the client key is no longer valid (e.g. revoked)
+    const keepAlive = setInterval(() => {
+        if (!authenticateClient(req).Status) {
+            stop();
+            res.end();
+            return;
+        }
+        res.write(': keep-alive\n\n');
+    }, EVENTS_KEEPALIVE);
+
+    const stop = () => {
+        clearInterval(keepAlive);
+        subscription.unsubscribe();
+    };
+    res.on('close', stop);
+});
+
+/**
+ * POST endpoint for clients to report an install attempt (see InstallReports.js)
+ * Body: JSON with installId, from, to, outcome ('success' or 'failure'), durationMs, error and platform
+ */
+releases.post('/reports', requireClientKey, express.json({ limit: '16kb' }), (req, res) => {
+    try {
+        const invalid = validateReport(req.body);
+        if (invalid) {
+            return res.status(400).json({
+                error: invalid
+            });
+        }
+
+        appendReport({
+            appId: req.appId,
+            report: req.body,
+            keyId: req.client.key ? req.client.key.id : null
         });
 
+        res.status(202).json({
+            accepted: true
+        });
     } catch (error) {
-        console.error('Unexpected error:', error);
+        console.error('Error in /reports endpoint:', error.message);
         res.status(500).json({
             error: 'Internal server error'
         });
@@ -174,85 +498,974 @@ app.get('/updates', async (req, res) => {
 
 /**
  * Health check endpoint
+ * Query parameter: channel - (optional) release channel of the listed versions
+ * Versions are only listed for clients allowed to see them
  */
-app.get('/health', (req, res) => {
+releases.get('/health', (req, res) => {
+    const channel = normalizeChannel(req.query.channel) || DEFAULT_CHANNEL;
+    const access = authenticateClient(req);
+    const client = { ...req.client, key: access.key || null };
+
     res.json({
         status: 'OK',
         timestamp: new Date().toISOString(),
-        versions: get_versions().versions || []
+        versions: access.Status && isChannelAllowed(client.key, channel)
+            ? get_versions(req.appDir, channel, client).versions || []
+            : []
+    });
+});
+
+/**
+ * Release routes error handler (e.g. malformed or oversized report bodies)
+ */
+releases.use((error, req, res, next) => {
+    const status = error.status || 500;
+    res.status(status).json({
+        error: status === 500 ? 'Internal server error' : error.message
+    });
+});
+
+/**
+ * GET endpoint to list the applications hosted under /apps/<appId>
+ * With client auth, only the applications the client key gives access to are listed
+ */
+app.get('/apps', (req, res, next) => {
+    req.appId = null;
+    req.client = { key: null };
+    next();
+}, requireClientKey, (req, res) => {
+    const key = req.client.key;
+    res.json({
+        apps: getFolders(APPS_DIR)
+            .filter(isValidAppId)
+            .filter(appId => !key || isAppAllowed(key, appId))
+    });
+});
+
+/**
+ * Release routes of a hosted application
+ */
+app.use('/apps/:appId', (req, res, next) => {
+    const appDir = resolveAppDir(req.params.appId);
+
+    if (!appDir) {
+        return res.status(404).json({
+            error: `Application ${req.params.appId} not found`
+        });
+    }
+
+    req.appId = req.params.appId;
+    req.appDir = appDir;
+    next();
+}, releases);
+
+/**
+ * Admin API: every route requires the admin token
+ */
+admin.use((req, res, next) => {
+    if (!ADMIN_TOKEN) {
+        return res.status(404).json({
+            error: 'Admin API is disabled: set ADMIN_TOKEN to enable it'
+        });
+    }
+
+    if (!isAdminAuthorized(req.get('Authorization'))) {
+        writeAuditLog(req, 'authenticate', null, 'denied', 'Missing or invalid admin token');
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+            error: 'Missing or invalid admin token'
+        });
+    }
+
+    next();
+});
+
+/**
+ * POST endpoint to publish a new version from an uploaded tar.gz archive
+ * Query parameter: version - version to publish (SemVer, must not exist yet)
+ * Query parameter: variant - (optional) platform build to add to the version, e.g. 'linux-x64'
+ *     or 'generic' (see Variants.js); the version may already have other variants
+ * Body: tar.gz archive of the version folder (files at the root or in a single top folder)
+ */
+admin.post('/releases', async (req, res) => {
+    const version = req.query.version;
+    const variant = req.query.variant || null;
+    const release = variant ? `${version} (${variant})` : version;
+    const suffix = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    const uploadPath = path.join(req.appDir, `.upload-${suffix}.tar.gz`);
+    const stagingPath = path.join(req.appDir, `.staging-${suffix}`);
+
+    try {
+        const folderPath = getAdminVersionPath(req.appDir, version);
+        if (!folderPath) {
+            writeAuditLog(req, 'publish', version, 'failure', 'Invalid version');
+            return res.status(400).json({
+                error: `Invalid version: ${version}. Use a SemVer version, e.g. ?version=2.2.0`
+            });
+        }
+
+        if (variant && (typeof variant !== 'string' || !isVariantName(variant))) {
+            writeAuditLog(req, 'publish', version, 'failure', 'Invalid variant');
+            return res.status(400).json({
+                error: `Invalid variant: ${variant}. Use <platform>-<arch> (e.g. linux-x64) or generic`
+            });
+        }
+
+        // A variant is added to a version with variants, or creates the version
+        const versionExists = fs.existsSync(folderPath);
+        if (versionExists && (!variant || !getVariants(folderPath))) {
+            writeAuditLog(req, 'publish', version, 'failure', 'Version already exists');
+            return res.status(409).json({
+                error: `Version ${version} already exists` + (variant ? ' without variants' : '')
+            });
+        }
+
+        const targetPath = versionExists ? path.join(folderPath, variant) : folderPath;
+        if (fs.existsSync(targetPath)) {
+            writeAuditLog(req, 'publish', release, 'failure', 'Variant already exists');
+            return res.status(409).json({
+                error: `Version ${release} already exists`
+            });
+        }
+
+        fs.mkdirSync(req.appDir, { recursive: true });
+        await saveUpload(req, uploadPath, ADMIN_MAX_UPLOAD);
+
+        // Unpack next to the version folders, then publish with a single rename
+        fs.mkdirSync(stagingPath);
+        const extractPath = variant && !versionExists ? path.join(stagingPath, variant) : stagingPath;
+        fs.mkdirSync(extractPath, { recursive: true });
+        const fileCount = await extractReleaseArchive(uploadPath, extractPath);
+
+        try {
+            fs.renameSync(stagingPath, targetPath);
+        } catch (error) {
+            if (error.code === 'EEXIST' || error.code === 'ENOTEMPTY') {
+                writeAuditLog(req, 'publish', release, 'failure', 'Version already exists');
+                return res.status(409).json({
+                    error: `Version ${release} already exists`
+                });
+            }
+            throw error;
+        }
+
+        // Uploads are complete once renamed into place
+        ReleaseIndex.markReady(folderPath);
+        console.log(`Published version ${release}${req.appId ? ` of ${req.appId}` : ''} (${fileCount} files)`);
+        ReleaseIndex.refresh(req.appDir);
+        ReleaseEvents.refresh(req.appDir);
+        writeAuditLog(req, 'publish', release, 'success', `${fileCount} files`);
+        res.status(201).json({
+            app: req.appId,
+            version,
+            variant,
+            files: fileCount
+        });
+    } catch (error) {
+        const status = error.status || (error.message.startsWith('Invalid release archive') ||
+            error.code === 'TAR_BAD_ARCHIVE' || error.code === 'Z_DATA_ERROR' ? 400 : 500);
+
+        console.error('Error publishing release:', error.message);
+        writeAuditLog(req, 'publish', release, 'failure', error.message);
+        if (!res.headersSent) {
+            res.status(status).json({
+                error: status === 500 ? 'Internal server error' : error.message
+            });
+        }
+    } finally {
+        fs.rmSync(uploadPath, { force: true });
+        fs.rmSync(stagingPath, { recursive: true, force: true });
+    }
+});
+
+/**
+ * PUT endpoint to store the detached signature of a version (created offline with Sign-Release.js)
+ * Query parameter: variant - (optional) platform build the signature is for
+ * Body: JSON signature document ({ algorithm, manifest, signature })
+ * The signature may be uploaded before the archive, so clients never see an unsigned release
+ */
+admin.put('/releases/:version/signature', express.json({ limit: '20mb' }), (req, res) => {
+    const version = req.params.version;
+    const variant = req.query.variant || null;
+
+    try {
+        const folderPath = getAdminVersionPath(req.appDir, version);
+        if (!folderPath) {
+            writeAuditLog(req, 'signature', version, 'failure', 'Invalid version');
+            return res.status(400).json({
+                error: `Invalid version: ${version}`
+            });
+        }
+
+        if (variant && (typeof variant !== 'string' || !isVariantName(variant))) {
+            writeAuditLog(req, 'signature', version, 'failure', 'Invalid variant');
+            return res.status(400).json({
+                error: `Invalid variant: ${variant}`
+            });
+        }
+
+        const signed = req.body || {};
+        let manifest = null;
+        try {
+            manifest = typeof signed.manifest === 'string' ? JSON.parse(signed.manifest) : null;
+        } catch (error) {
+            manifest = null;
+        }
+
+        if (!manifest || typeof signed.signature !== 'string' || typeof signed.algorithm !== 'string') {
+            writeAuditLog(req, 'signature', version, 'failure', 'Invalid signature document');
+            return res.status(400).json({
+                error: 'Invalid signature document: expected { algorithm, manifest, signature } from Sign-Release.js'
+            });
+        }
+
+        if (manifest.version !== version || (manifest.app || null) !== req.appId ||
+            (manifest.variant || null) !== variant) {
+            const describe = (appId, release, build) =>
+                `${appId || 'default'} ${release}${build ? ` (${build})` : ''}`;
+            writeAuditLog(req, 'signature', version, 'failure', 'Signature is for another release');
+            return res.status(400).json({
+                error: `Signature is for ${describe(manifest.app, manifest.version, manifest.variant)}, ` +
+                    `expected ${describe(req.appId, version, variant)}`
+            });
+        }
+
+        // Write then rename, so clients never read a half-written signature
+        fs.mkdirSync(req.appDir, { recursive: true });
+        const signaturePath = getSignaturePath(folderPath, variant);
+        const tmpPath = `${signaturePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({
+            algorithm: signed.algorithm,
+            manifest: signed.manifest,
+            signature: signed.signature
+        }, null, 2));
+        fs.renameSync(tmpPath, signaturePath);
+
+        // The signature may complete a version copied without a ready marker
+        ReleaseIndex.refresh(req.appDir);
+        ReleaseEvents.refresh(req.appDir);
+        writeAuditLog(req, 'signature', version, 'success', variant);
+        res.json({
+            app: req.appId,
+            version,
+            variant,
+            signed: true
+        });
+    } catch (error) {
+        console.error('Error storing signature:', error.message);
+        writeAuditLog(req, 'signature', version, 'failure', error.message);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * PATCH endpoint to set the release info of a version
+ * Body: JSON with any of notes, date, mandatory, minClientVersion, minUpgradeFrom (null clears a field)
+ */
+admin.patch('/releases/:version', express.json(), (req, res) => {
+    const version = req.params.version;
+
+    try {
+        const folderPath = getAdminVersionPath(req.appDir, version);
+        if (!folderPath || !fs.existsSync(folderPath)) {
+            writeAuditLog(req, 'release-info', version, 'failure', 'Version not found');
+            return res.status(404).json({
+                error: `Version ${version} not found`
+            });
+        }
+
+        const invalid = validateReleaseInfo(req.body);
+        if (invalid) {
+            writeAuditLog(req, 'release-info', version, 'failure', invalid);
+            return res.status(400).json({
+                error: invalid
+            });
+        }
+
+        const release = writeRelease(req.appDir, version, req.body);
+
+        writeAuditLog(req, 'release-info', version, 'success', Object.keys(req.body).join(', '));
+        res.json(getReleaseInfo(req.appDir, version, release));
+    } catch (error) {
+        console.error('Error setting release info:', error.message);
+        writeAuditLog(req, 'release-info', version, 'failure', error.message);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST endpoints to yank a version (hidden from listings and LATEST, still
+ * downloadable by exact version) or to undo it
+ */
+admin.post('/releases/:version/:action', (req, res, next) => {
+    const { version, action } = req.params;
+
+    if (action !== 'yank' && action !== 'unyank') {
+        return next();
+    }
+
+    try {
+        const folderPath = getAdminVersionPath(req.appDir, version);
+        if (!folderPath || !fs.existsSync(folderPath)) {
+            writeAuditLog(req, action, version, 'failure', 'Version not found');
+            return res.status(404).json({
+                error: `Version ${version} not found`
+            });
+        }
+
+        const yanked = action === 'yank';
+        const release = writeRelease(req.appDir, version, {
+            yanked,
+            yankedAt: yanked ? new Date().toISOString() : null
+        });
+
+        ReleaseEvents.refresh(req.appDir);
+        writeAuditLog(req, action, version, 'success');
+        res.json({
+            app: req.appId,
+            version,
+            release
+        });
+    } catch (error) {
+        console.error(`Error in ${action}:`, error.message);
+        writeAuditLog(req, action, version, 'failure', error.message);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * DELETE endpoint to remove a version with its signatures, metadata and cached archives
+ */
+admin.delete('/releases/:version', (req, res) => {
+    const version = req.params.version;
+
+    try {
+        const folderPath = getAdminVersionPath(req.appDir, version);
+        if (!folderPath || !fs.existsSync(folderPath)) {
+            writeAuditLog(req, 'delete', version, 'failure', 'Version not found');
+            return res.status(404).json({
+                error: `Version ${version} not found`
+            });
+        }
+
+        // Unlist the version with a single rename before removing its files
+        const deletedPath = path.join(req.appDir, `.deleted-${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+        fs.renameSync(folderPath, deletedPath);
+        for (const variant of getVariants(deletedPath) || [null]) {
+            fs.rmSync(getSignaturePath(folderPath, variant), { force: true });
+        }
+        fs.rmSync(`${folderPath}.release.json`, { force: true });
+        fs.rmSync(ReleaseIndex.getReadyMarkerPath(folderPath), { force: true });
+        removeCachedArchives(path.join(CACHE_DIR, req.appId || DEFAULT_APP_CACHE), version);
+        fs.rmSync(deletedPath, { recursive: true, force: true });
+
+        console.log(`Deleted version ${version}${req.appId ? ` of ${req.appId}` : ''}`);
+        ReleaseIndex.refresh(req.appDir);
+        ReleaseEvents.refresh(req.appDir);
+        writeAuditLog(req, 'delete', version, 'success');
+        res.json({
+            app: req.appId,
+            version,
+            deleted: true
+        });
+    } catch (error) {
+        console.error('Error deleting release:', error.message);
+        writeAuditLog(req, 'delete', version, 'failure', error.message);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET endpoint describing the release index of the application: published versions, and
+ * version folders not served yet because they are incomplete (see ReleaseIndex.js)
+ */
+admin.get('/releases', (req, res) => {
+    try {
+        res.json({
+            app: req.appId,
+            ...ReleaseIndex.describe(req.appDir)
+        });
+    } catch (error) {
+        console.error('Error in /releases endpoint:', error.message);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET endpoint summarizing the install reports of the application: attempts and failure
+ * rate per version, and the last seen version of every client
+ * Query parameter: since - (optional) only count reports from this date on (ISO 8601)
+ */
+admin.get('/stats', async (req, res) => {
+    try {
+        const since = req.query.since || null;
+        if (since && (typeof since !== 'string' || isNaN(Date.parse(since)))) {
+            return res.status(400).json({
+                error: `Invalid date: ${since}`
+            });
+        }
+
+        res.json(await getStats({ appId: req.appId, since }));
+    } catch (error) {
+        console.error('Error in /stats endpoint:', error.message);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * Admin error handler (e.g. malformed JSON bodies)
+ */
+admin.use((error, req, res, next) => {
+    const status = error.status || 500;
+    writeAuditLog(req, 'request', null, 'failure', error.message);
+    res.status(status).json({
+        error: status === 500 ? 'Internal server error' : error.message
     });
 });
 
+/**
+ * Admin routes of a hosted application (the application folder is created on first publish)
+ */
+app.use('/admin/apps/:appId', (req, res, next) => {
+    if (!isValidAppId(req.params.appId)) {
+        return res.status(404).json({
+            error: `Application ${req.params.appId} not found`
+        });
+    }
+
+    req.appId = req.params.appId;
+    req.appDir = path.join(APPS_DIR, req.params.appId);
+    next();
+}, admin);
+
+/**
+ * Admin routes of the default application
+ */
+app.use('/admin', (req, res, next) => {
+    req.appId = null;
+    req.appDir = BASE_DIR;
+    next();
+}, admin);
+
+/**
+ * Release routes of the default application
+ */
+app.use((req, res, next) => {
+    req.appId = null;
+    req.appDir = BASE_DIR;
+    next();
+}, releases);
+
 /**
  * 404 handler
  */
 app.use((req, res) => {
     res.status(404).json({
-        error: 'Endpoint not found. Available endpoints: GET /versions, GET /updates?version=VERSION, GET /health'
+        error: 'Endpoint not found. Available endpoints: GET /versions, GET /versions/VERSION, GET /updates?version=VERSION, GET /signature?version=VERSION, GET /events, POST /reports, GET /health, GET /apps, GET /apps/APP_ID/...'
     });
 });
 
 /**
- * Gets all available versions (folders) in the base directory
- * @returns {Object} Object with Status and versions or error
+ * Checks whether an application id is well-formed
+ * @param {string} appId - Application id
+ * @returns {boolean}
+ */
+function isValidAppId(appId) {
+    return typeof appId === 'string' && /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(appId);
+}
+
+/**
+ * Authenticates the client key of a request, when client auth is enabled
+ * @param {Object} req - Express request (req.appId is the requested application)
+ * @returns {Object} Object with Status and key (null when client auth is disabled), or code and error
  */
-function get_versions() {
+function authenticateClient(req) {
+    if (!REQUIRE_CLIENT_AUTH) {
+        return { Status: true, key: null };
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    const credential = bearer ? bearer[1].trim() : req.get('X-API-Key');
+
+    if (!credential) {
+        return {
+            Status: false,
+            code: 401,
+            error: 'Authentication required: send a client key as a bearer token or in the X-API-Key header'
+        };
+    }
+
+    let key;
     try {
-        const versions = getFolders(BASE_DIR);
-        const sorted = sortVersionsDescending(versions);
-        return sorted;
-    } catch (e) {
+        key = findKey(credential);
+    } catch (error) {
+        console.error('Error reading client key store:', error.message);
         return {
             Status: false,
-            error: e.message
+            code: 500,
+            error: 'Internal server error'
+        };
+    }
+
+    if (!key) {
+        return {
+            Status: false,
+            code: 401,
+            error: 'Invalid client key'
         };
     }
+    if (key.revoked) {
+        return {
+            Status: false,
+            code: 401,
+            error: 'Client key has been revoked'
+        };
+    }
+    if (!isAppAllowed(key, req.appId)) {
+        return {
+            Status: false,
+            code: 403,
+            error: `This client key does not give access to application ${req.appId || 'default'}`
+        };
+    }
+
+    return { Status: true, key };
+}
+
+/**
+ * Checks whether a client key gives access to every version of a channel
+ * @param {Object|null} key - Client key record (null when client auth is disabled)
+ * @param {string} channel - Channel name
+ * @returns {boolean}
+ */
+function isChannelAllowed(key, channel) {
+    if (!key) {
+        return true;
+    }
+
+    const channels = key.channels || [];
+    return channels.includes('*') || channels.some(allowed => channelIncludes(allowed, channel));
+}
+
+/**
+ * Checks an Authorization header against the admin token
+ * @param {string} header - Authorization header ('Bearer <token>')
+ * @returns {boolean}
+ */
+function isAdminAuthorized(header) {
+    const match = typeof header === 'string' && header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return false;
+    }
+
+    // Compare fixed-length digests in constant time
+    const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+    const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Appends an admin action to the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - Action name (e.g. 'publish', 'delete', 'yank')
+ * @param {string|null} version - Version the action applies to
+ * @param {string} outcome - 'success', 'failure' or 'denied'
+ * @param {string} detail - (optional) Additional information
+ */
+function writeAuditLog(req, action, version, outcome, detail = null) {
+    const entry = {
+        time: new Date().toISOString(),
+        action,
+        app: req.appId || null,
+        version: version || null,
+        outcome,
+        detail,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null,
+        request: `${req.method} ${req.originalUrl}`
+    };
+
+    try {
+        fs.mkdirSync(path.dirname(ADMIN_AUDIT_LOG), { recursive: true });
+        fs.appendFileSync(ADMIN_AUDIT_LOG, JSON.stringify(entry) + '\n');
+    } catch (error) {
+        console.error('Error writing audit log:', error.message);
+    }
 }
 
 /**
- * Sorts version strings in descending order
- * @param {Array} versions - Array of version strings
- * @returns {Object} Object with Status and sorted versions
+ * Gets the folder a version is published to by the admin API
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Version name
+ * @returns {string|null} Absolute version folder, or null if the version is not valid SemVer
  */
-function sortVersionsDescending(versions) {
-    if (!Array.isArray(versions)) {
+function getAdminVersionPath(baseDir, version) {
+    if (!SemVer.isValid(version)) {
+        return null;
+    }
+
+    // Security: Prevent directory traversal attacks
+    const folderPath = path.resolve(baseDir, version);
+    if (path.dirname(folderPath) !== path.resolve(baseDir)) {
+        return null;
+    }
+    return folderPath;
+}
+
+/**
+ * Streams a request body to a file, enforcing a size limit
+ * @param {Object} req - Express request
+ * @param {string} filePath - Destination file
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<number>} - Resolves with the number of bytes written
+ */
+function saveUpload(req, filePath, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => Object.assign(
+            new Error(`Release archive is larger than ${maxBytes} bytes`),
+            { status: 413 }
+        );
+
+        if (Number(req.get('Content-Length')) > maxBytes) {
+            return reject(tooLarge());
+        }
+
+        const writer = fs.createWriteStream(filePath);
+        let size = 0;
+        let failure = null;
+
+        const fail = (error) => {
+            if (!failure) {
+                failure = error;
+                req.unpipe(writer);
+                writer.end();
+            }
+        };
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                fail(tooLarge());
+            }
+        });
+        req.on('error', fail);
+        req.on('aborted', () => fail(new Error('Upload aborted')));
+        writer.on('error', fail);
+
+        writer.on('close', () => {
+            if (failure) {
+                return reject(failure);
+            }
+            if (size === 0) {
+                return reject(Object.assign(new Error('Empty upload: send the tar.gz archive as the request body'), { status: 400 }));
+            }
+            resolve(size);
+        });
+
+        req.pipe(writer);
+    });
+}
+
+/**
+ * Resolves an application id to its folder in the apps directory
+ * @param {string} appId - Application id
+ * @returns {string|null} Absolute application folder, or null if invalid or missing
+ */
+function resolveAppDir(appId) {
+    if (!isValidAppId(appId)) {
+        return null;
+    }
+
+    // Security: Prevent directory traversal attacks
+    const appDir = path.resolve(APPS_DIR, appId);
+    if (path.dirname(appDir) !== path.resolve(APPS_DIR)) {
+        return null;
+    }
+
+    if (!fs.existsSync(appDir) || !fs.statSync(appDir).isDirectory()) {
+        return null;
+    }
+
+    return appDir;
+}
+
+/**
+ * Validates a requested channel name
+ * @param {string} channel - Requested channel (undefined for the default channel)
+ * @returns {string|null} Lower-cased channel name, or null if invalid
+ */
+function normalizeChannel(channel) {
+    if (channel === undefined || channel === '') {
+        return DEFAULT_CHANNEL;
+    }
+    if (typeof channel !== 'string' || !/^[a-zA-Z-]+$/.test(channel)) {
+        return null;
+    }
+    return channel.toLowerCase();
+}
+
+/**
+ * Checks whether a version is offered on a channel
+ * @param {string} version - Version string
+ * @param {string} channel - Channel name
+ * @returns {boolean} True if the version belongs to the channel or a more stable one
+ */
+function isInChannel(version, channel) {
+    return channelIncludes(channel, SemVer.channelOf(version));
+}
+
+/**
+ * Checks whether a channel offers the versions of another channel
+ * @param {string} channel - Channel name
+ * @param {string} other - Channel name
+ * @returns {boolean} True if other is the same channel or a more stable one
+ */
+function channelIncludes(channel, other) {
+    if (other === channel) {
+        return true;
+    }
+
+    const otherRank = CHANNELS.indexOf(other);
+    const channelRank = CHANNELS.indexOf(channel);
+
+    // Channels outside the configured list only add their own versions to the default channel
+    if (channelRank === -1) {
+        return other === DEFAULT_CHANNEL;
+    }
+    return otherRank !== -1 && otherRank <= channelRank;
+}
+
+/**
+ * Resolves a requested version (or 'LATEST') to an existing version folder
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Requested version or 'LATEST'
+ * @param {string} channel - (optional) Channel 'LATEST' is resolved in
+ * @param {Object} client - (optional) Requesting client 'LATEST' is resolved for (staged rollouts),
+ *     whose client key must give access to the version and whose platform selects the variant
+ * @returns {Object} Object with Status, version, variant (null for a version without variants),
+ *     folderPath (folder served to the client) and signaturePath, or code and error (and
+ *     requiredVersion when no version can be installed straight from the client's, code 409)
+ */
+function resolveVersion(baseDir, version, channel, client = null) {
+    const isLatest = version.toUpperCase() === 'LATEST';
+    const latestChannel = normalizeChannel(channel);
+
+    if (isLatest && !latestChannel) {
         return {
             Status: false,
-            error: 'Invalid versions array'
+            code: 400,
+            error: `Invalid channel: ${channel}`
         };
     }
 
-    try {
-        const filteredAndSorted = versions
-            .filter(version => {
-                return typeof version === 'string' && /^\d+(\.\d+)*$/.test(version);
-            })
-            .sort((a, b) => {
-                const partsA = a.split('.').map(Number);
-                const partsB = b.split('.').map(Number);
-
-                const maxLength = Math.max(partsA.length, partsB.length);
-
-                for (let i = 0; i < maxLength; i++) {
-                    const numA = partsA[i] || 0;
-                    const numB = partsB[i] || 0;
-
-                    if (numA !== numB) {
-                        return numB - numA; // Bigger numbers first
-                    }
-                }
+    const key = client ? client.key : null;
+    if (isLatest && !isChannelAllowed(key, latestChannel)) {
+        return {
+            Status: false,
+            code: 403,
+            error: `This client key does not give access to channel ${latestChannel}`
+        };
+    }
 
-                return 0;
-            });
+    // Exact versions can be downloaded from any channel the client key allows, whatever their rollout
+    const V_Found = isLatest
+        ? get_versions(baseDir, latestChannel, client)
+        : get_versions(baseDir);
 
+    if (!V_Found.Status) {
         return {
-            Status: true,
-            versions: filteredAndSorted
+            Status: false,
+            code: 403,
+            error: V_Found.error
         };
-    } catch (error) {
+    }
+
+    const versions = V_Found.versions;
+
+    if (versions.length === 0) {
+        return {
+            Status: false,
+            code: 404,
+            error: isLatest
+                ? `No available releases for this app on channel ${latestChannel}`
+                : 'No available releases for this app'
+        };
+    }
+
+    // Find the requested version
+    if (isLatest) {
+        version = selectLatest(baseDir, versions, client);
+        if (!version) {
+            const requiredVersion = getRequiredVersion(baseDir, versions, client);
+            return {
+                Status: false,
+                code: 409,
+                error: `No version can be installed straight from ${client.currentVersion}: ` +
+                    `install ${requiredVersion} or later first`,
+                requiredVersion
+            };
+        }
+    } else {
+        const cleanVersion = version.replace(/\s/g, '');
+        const foundVersion = versions.find(v =>
+            v.toUpperCase() === cleanVersion.toUpperCase()
+        );
+
+        if (!foundVersion) {
+            return {
+                Status: false,
+                code: 404,
+                error: `Version ${version} not found, try a different version or 'version=LATEST' to get the latest version`
+            };
+        }
+        version = foundVersion;
+
+        if (!isChannelAllowed(key, SemVer.channelOf(version))) {
+            return {
+                Status: false,
+                code: 403,
+                error: `This client key does not give access to version ${version}`
+            };
+        }
+    }
+
+    // Security: Prevent directory traversal attacks
+    const folderPath = path.join(baseDir, version);
+    const resolvedPath = path.resolve(folderPath);
+
+    if (path.dirname(resolvedPath) !== path.resolve(baseDir)) {
+        return {
+            Status: false,
+            code: 403,
+            error: 'Invalid version path'
+        };
+    }
+
+    // Check if the folder actually exists
+    if (!fs.existsSync(resolvedPath) || !fs.statSync(resolvedPath).isDirectory()) {
         return {
             Status: false,
-            error: error.message
+            code: 404,
+            error: `Version ${version} not found`
+        };
+    }
+
+    const variant = resolveVariant(resolvedPath, client ? client.platform : null, client ? client.arch : null);
+    if (!variant.Status) {
+        return variant;
+    }
+
+    return {
+        Status: true,
+        version,
+        ...variant
+    };
+}
+
+/**
+ * Gets the name a resolved version is cached under
+ * @param {Object} resolved - Resolved version (see resolveVersion())
+ * @returns {string} Version, followed by '#<variant>' for a platform build
+ */
+function getArchiveName(resolved) {
+    return resolved.variant ? `${resolved.version}#${resolved.variant}` : resolved.version;
+}
+
+/**
+ * Picks the version offered as LATEST: the newest one the client can upgrade to
+ * straight from its installed version (see minUpgradeFrom in Releases.js)
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {Array} versions - Available versions, newest first
+ * @param {Object|null} client - (optional) Requesting client
+ * @returns {string|null} Latest version; null if there are no versions, or if there are newer
+ *     versions but none accepts the installed one (see getRequiredVersion())
+ */
+function selectLatest(baseDir, versions, client = null) {
+    if (versions.length === 0) {
+        return null;
+    }
+
+    const currentVersion = client ? client.currentVersion : null;
+    for (const version of versions) {
+        // Never step back below the installed version
+        if (SemVer.isValid(currentVersion) && SemVer.compare(version, currentVersion) <= 0) {
+            break;
+        }
+        if (canUpgradeFrom(readRelease(baseDir, version), currentVersion)) {
+            return version;
+        }
+    }
+
+    // No newer version accepts the installed one; without newer versions, the newest one
+    const blocked = SemVer.isValid(currentVersion) && SemVer.compare(versions[0], currentVersion) > 0;
+    return blocked ? null : versions[0];
+}
+
+/**
+ * Gets the version a client must reach before it can upgrade to any of the newer versions,
+ * when none of them accepts its installed version (see selectLatest())
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {Array} versions - Available versions, newest first
+ * @param {Object|null} client - (optional) Requesting client
+ * @returns {string|null} Lowest minUpgradeFrom of the newer versions, or null
+ */
+function getRequiredVersion(baseDir, versions, client = null) {
+    const currentVersion = client ? client.currentVersion : null;
+    if (!SemVer.isValid(currentVersion)) {
+        return null;
+    }
+
+    const required = versions
+        .filter(version => SemVer.compare(version, currentVersion) > 0)
+        .map(version => readRelease(baseDir, version).minUpgradeFrom)
+        .filter(minUpgradeFrom => SemVer.isValid(minUpgradeFrom));
+    return required.sort(SemVer.compare)[0] || null;
+}
+
+/**
+ * Gets the published versions of an application, from the release index (see ReleaseIndex.js)
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string|null} channel - (optional) Only return versions offered on this channel
+ * @param {Object|null} client - (optional) Only return versions rolled out to this client,
+ *     with a build for its platform
+ * @returns {Object} Object with Status and versions or error
+ */
+function get_versions(baseDir, channel = null, client = null) {
+    try {
+        const sorted = { Status: true, versions: ReleaseIndex.getVersions(baseDir) };
+        if (sorted.Status && channel) {
+            sorted.versions = sorted.versions.filter(version => isInChannel(version, channel));
+        }
+        if (sorted.Status && (channel || client)) {
+            // Yanked versions are only reachable by exact version
+            sorted.versions = sorted.versions.filter(version =>
+                !readRelease(baseDir, version).yanked
+            );
+        }
+        if (sorted.Status && client) {
+            sorted.versions = sorted.versions.filter(version =>
+                isOfferedTo(readRelease(baseDir, version), version, client) &&
+                selectVariant(getPlatforms(baseDir, version), client.platform, client.arch) !== null
+            );
+        }
+        return sorted;
+    } catch (e) {
+        return {
+            Status: false,
+            error: e.message
         };
     }
 }
@@ -260,7 +1473,7 @@ function sortVersionsDescending(versions) {
 /**
  * Gets all folders in a directory
  * @param {string} dirPath - Path to directory
- * @returns {Array} Array of folder names
+ * @returns {Array} Array of folder names (empty if the directory does not exist)
  */
 function getFolders(dirPath) {
     try {
@@ -269,17 +1482,46 @@ function getFolders(dirPath) {
             .filter(item => item.isDirectory())
             .map(folder => folder.name);
     } catch (error) {
-        console.error('Error reading directory:', error.message);
+        // A missing folder has none (e.g. no apps/ when only the default application is hosted)
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading directory:', error.message);
+        }
         return [];
     }
 }
 
+// Announce versions as soon as the release index publishes them
+ReleaseIndex.onChange(baseDir => ReleaseEvents.refresh(baseDir));
+
 // Start server
 app.listen(PORT, () => {
     console.log(`App versions Update stream Server is running on port ${PORT}`);
     console.log(`Serving versions from: ${BASE_DIR}`);
+    console.log(`Serving applications from: ${APPS_DIR}`);
+    console.log(`Caching archives in: ${CACHE_DIR}`);
+    console.log(`Release channels: ${CHANNELS.join(', ')}`);
+    console.log(REQUIRE_CLIENT_AUTH
+        ? 'Client authentication required (client keys: see ClientKeys.js)'
+        : 'Client authentication disabled (set REQUIRE_CLIENT_AUTH=true to require client keys)');
     console.log(`Available endpoints:`);
     console.log(`  GET http://localhost:${PORT}/versions - List available versions`);
+    console.log(`  GET http://localhost:${PORT}/versions/VERSION - Release info of a version`);
     console.log(`  GET http://localhost:${PORT}/updates?version=VERSION - Download a version`);
+    console.log(`  GET http://localhost:${PORT}/signature?version=VERSION - Release signature`);
+    console.log(`  GET http://localhost:${PORT}/events - Release events (Server-Sent Events)`);
+    console.log(`  POST http://localhost:${PORT}/reports - Install reports`);
     console.log(`  GET http://localhost:${PORT}/health - Health check`);
+    console.log(`  GET http://localhost:${PORT}/apps - List hosted applications`);
+    console.log(`  GET http://localhost:${PORT}/apps/APP_ID/... - Same endpoints for a hosted application`);
+    console.log(ADMIN_TOKEN
+        ? `Admin API enabled under /admin, audit log: ${ADMIN_AUDIT_LOG}`
+        : 'Admin API disabled (set ADMIN_TOKEN to enable it)');
+
+    // Index the releases of every application now, rather than on its first request
+    const appDirs = getFolders(APPS_DIR).filter(isValidAppId).map(appId => path.join(APPS_DIR, appId));
+    for (const baseDir of [BASE_DIR, ...appDirs]) {
+        const index = ReleaseIndex.describe(baseDir);
+        console.log(`Indexed ${index.versions.length} version(s) in ${baseDir}` +
+            (index.pending.length > 0 ? `, ${index.pending.length} pending` : ''));
+    }
 });
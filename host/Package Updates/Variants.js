@@ -0,0 +1,176 @@
+/**
+ * Platform Variants
+ *
+ * Releases that ship native binaries need one build per platform. A version
+ * folder either holds the application files (one build for every platform), or
+ * one variant folder per build, named after Node's process.platform and
+ * process.arch, plus an optional generic build for every other platform:
+ *
+ * app/
+ * ├── 2.1.0/
+ * │   ├── linux-x64/
+ * │   ├── linux-arm64/
+ * │   ├── win32-x64/
+ * │   └── generic/
+ * ├── 2.1.0.linux-x64.sig   ← Detached signature of each variant
+ * ├── 2.1.0.linux-arm64.sig
+ * ├── 2.1.0.win32-x64.sig
+ * └── 2.1.0.generic.sig
+ *
+ * A version folder containing a '<platform>-<arch>' or 'generic' folder is split
+ * into variants; anything else in it is not served. Clients send their platform
+ * and architecture (X-Platform and X-Arch headers, or the platform and arch query
+ * parameters) and get the matching variant, else the generic one. Versions
+ * without a variant for a client are not listed or resolved as LATEST for it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Values of Node's process.platform and process.arch
+const PLATFORMS = ['aix', 'android', 'cygwin', 'darwin', 'freebsd', 'haiku', 'linux', 'netbsd', 'openbsd', 'sunos', 'win32'];
+const ARCHS = ['arm', 'arm64', 'ia32', 'loong64', 'mips', 'mipsel', 'ppc', 'ppc64', 'riscv64', 's390', 's390x', 'x64'];
+// Variant served to platforms without a variant of their own
+const GENERIC_VARIANT = 'generic';
+
+/**
+ * Checks whether a name is a variant folder name
+ * @param {string} name - Folder name
+ * @returns {boolean} True for '<platform>-<arch>' and 'generic'
+ */
+function isVariantName(name) {
+    if (name === GENERIC_VARIANT) {
+        return true;
+    }
+
+    const separator = typeof name === 'string' ? name.indexOf('-') : -1;
+    return separator !== -1 &&
+        PLATFORMS.includes(name.slice(0, separator)) &&
+        ARCHS.includes(name.slice(separator + 1));
+}
+
+/**
+ * Validates a platform or architecture sent by a client
+ * @param {string} value - Requested platform or architecture
+ * @returns {string|null} Lower-cased value, or null if missing or invalid
+ */
+function normalizePlatform(value) {
+    if (typeof value !== 'string' || !/^[a-zA-Z0-9_]+$/.test(value)) {
+        return null;
+    }
+    return value.toLowerCase();
+}
+
+/**
+ * Lists the variants of a version folder
+ * @param {string} versionPath - Path to the version folder
+ * @returns {Array|null} Sorted variant names, or null when the folder holds the files of a single build
+ */
+function getVariants(versionPath) {
+    let items = [];
+    try {
+        items = fs.readdirSync(versionPath, { withFileTypes: true });
+    } catch (error) {
+        return null;
+    }
+
+    const variants = items
+        .filter(item => item.isDirectory() && isVariantName(item.name))
+        .map(item => item.name)
+        .sort();
+    return variants.length > 0 ? variants : null;
+}
+
+/**
+ * Gets the platforms a version has a build for
+ * @param {string} baseDir - Folder holding the application's versions
+ * @param {string} version - Version name
+ * @returns {Array} Variant names ('generic' for a version without variants)
+ */
+function getPlatforms(baseDir, version) {
+    return getVariants(path.join(baseDir, version)) || [GENERIC_VARIANT];
+}
+
+/**
+ * Picks the variant for a client
+ * @param {Array} variants - Variant names of the version
+ * @param {string|null} platform - Client platform (e.g. 'linux')
+ * @param {string|null} arch - Client architecture (e.g. 'x64')
+ * @returns {string|null} Matching variant, else 'generic' when available, else null
+ */
+function selectVariant(variants, platform, arch) {
+    if (platform && arch && variants.includes(`${platform}-${arch}`)) {
+        return `${platform}-${arch}`;
+    }
+    return variants.includes(GENERIC_VARIANT) ? GENERIC_VARIANT : null;
+}
+
+/**
+ * Resolves the folder served to a client for a version
+ * @param {string} versionPath - Path to the version folder
+ * @param {string|null} platform - Client platform
+ * @param {string|null} arch - Client architecture
+ * @returns {Object} Object with Status, variant (null for a version without variants),
+ *     folderPath and signaturePath, or code and error
+ */
+function resolveVariant(versionPath, platform, arch) {
+    const variants = getVariants(versionPath);
+
+    if (!variants) {
+        return {
+            Status: true,
+            variant: null,
+            folderPath: versionPath,
+            signaturePath: getSignaturePath(versionPath, null)
+        };
+    }
+
+    const variant = selectVariant(variants, platform, arch);
+    if (!variant) {
+        return {
+            Status: false,
+            code: 404,
+            error: `Version ${path.basename(versionPath)} has no build for ${platform || 'unknown'}-${arch || 'unknown'} ` +
+                `(available: ${variants.join(', ')})`
+        };
+    }
+
+    return {
+        Status: true,
+        variant,
+        folderPath: path.join(versionPath, variant),
+        signaturePath: getSignaturePath(versionPath, variant)
+    };
+}
+
+/**
+ * Gets the path of the detached signature of a version or one of its variants
+ * @param {string} versionPath - Path to the version folder
+ * @param {string|null} variant - Variant name (null for a version without variants)
+ * @returns {string} Path to <version>.sig or <version>.<variant>.sig
+ */
+function getSignaturePath(versionPath, variant) {
+    return variant ? `${versionPath}.${variant}.sig` : `${versionPath}.sig`;
+}
+
+/**
+ * Checks whether every build of a version is signed
+ * @param {string} versionPath - Path to the version folder
+ * @returns {boolean}
+ */
+function isSigned(versionPath) {
+    const variants = getVariants(versionPath) || [null];
+    return variants.every(variant => fs.existsSync(getSignaturePath(versionPath, variant)));
+}
+
+module.exports = {
+    GENERIC_VARIANT,
+    isVariantName,
+    normalizePlatform,
+    getVariants,
+    getPlatforms,
+    selectVariant,
+    resolveVariant,
+    getSignaturePath,
+    isSigned
+};